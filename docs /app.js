@@ -1,4 +1,5 @@
 const DATA_URL = "./data/ipo.json";
+const STATUS_URL = "./data/status.json";
 const SHORTCUT_NAME = "공모주 미리알림 추가";
 
 const $ = (id) => document.getElementById(id);
@@ -27,6 +28,63 @@ function dtIcsAllDay(ymdStr) {
   return ymdStr.replaceAll("-", "");
 }
 
+// 청약 외 공모 일정 (스크래퍼가 증권신고서 "일정" 표에서 채운 schedule)
+const MILESTONES = [
+  { key: "demand_forecast", label: "수요예측" },
+  { key: "allocation_notice", label: "배정공고" },
+  { key: "refund", label: "환불" },
+  { key: "payment", label: "납입" },
+  { key: "listing", label: "상장" },
+];
+
+function milestonesOf(it) {
+  const s = it.schedule || {};
+  const out = [];
+  for (const { key, label } of MILESTONES) {
+    const v = s[key];
+    if (!v) continue;
+    const start = typeof v === "string" ? v : v.start;
+    const end = typeof v === "string" ? v : (v.end || v.start);
+    if (start) out.push({ key, label, start, end });
+  }
+  return out;
+}
+
+// 공모 유형 표시 이름 — 화면에서만 씀 (키는 스크래퍼 scripts/lib/taxonomy.js 의 OFFER_TYPES 와 같게 유지)
+const OFFER_TYPE_LABELS = {
+  ipo: "공모주", spac: "스팩", reit: "리츠", infra: "인프라펀드", transfer: "이전상장",
+  relisting: "재상장", konex: "코넥스", other: "기타", rights: "유상증자", unknown: "미분류",
+};
+
+function typeTag(it) {
+  return `[${OFFER_TYPE_LABELS[it.offer_type] || OFFER_TYPE_LABELS.ipo}]`;
+}
+
+// 정정/철회 표시 (스크래퍼의 amendment_flags)
+const FLAG_LABELS = { rescheduled: "일정 변경", repriced: "가격 변경", withdrawn: "철회" };
+
+function amendmentSummary(it) {
+  const count = (it.amendments || []).filter((a) => a.kind === "amendment").length;
+  const flags = (it.amendment_flags || []).map((f) => FLAG_LABELS[f] || f);
+  if (!count && !flags.length) return "";
+  return [count ? `정정 ${count}회` : "", ...flags].filter(Boolean).join(" · ");
+}
+
+function formatRange(start, end) {
+  return !end || start === end ? start : `${start} ~ ${end}`;
+}
+
+function pushAllDayEvent(lines, { uid, dtstamp, start, end, summary, desc }) {
+  lines.push("BEGIN:VEVENT");
+  lines.push(`UID:${escapeIcs(uid)}@ipo`);
+  lines.push(`DTSTAMP:${dtstamp}`);
+  lines.push(`DTSTART;VALUE=DATE:${dtIcsAllDay(start)}`);
+  lines.push(`DTEND;VALUE=DATE:${dtIcsAllDay(addDays(end, 1))}`);
+  lines.push(`SUMMARY:${escapeIcs(summary)}`);
+  lines.push(`DESCRIPTION:${escapeIcs(desc)}`);
+  lines.push("END:VEVENT");
+}
+
 function buildICS(items) {
   const lines = [];
   lines.push("BEGIN:VCALENDAR");
@@ -41,25 +99,36 @@ function buildICS(items) {
     `${String(now.getUTCHours()).padStart(2,"0")}${String(now.getUTCMinutes()).padStart(2,"0")}${String(now.getUTCSeconds()).padStart(2,"0")}Z`;
 
   for (const it of items) {
-    const start = dtIcsAllDay(it.sbd_start);
-    const endExclusive = dtIcsAllDay(addDays(it.sbd_end, 1));
+    const ms = milestonesOf(it);
 
     const desc = [
       `청약: ${it.sbd_start} ~ ${it.sbd_end}`,
+      ...ms.map((m) => `${m.label}: ${formatRange(m.start, m.end)}`),
       it.brokers ? `증권사: ${it.brokers}` : `증권사: (미입력)`,
       it.equalMin ? `균등 최소금액: ${it.equalMin}` : `균등 최소금액: (미입력)`,
       it.note ? `메모: ${it.note}` : "",
       "※ 최종 일정/증권사는 반드시 공시 확인"
     ].filter(Boolean).join("\n");
 
-    lines.push("BEGIN:VEVENT");
-    lines.push(`UID:${escapeIcs(it.corp_name)}-${escapeIcs(it.sbd_start)}@ipo`);
-    lines.push(`DTSTAMP:${dtstamp}`);
-    lines.push(`DTSTART;VALUE=DATE:${start}`);
-    lines.push(`DTEND;VALUE=DATE:${endExclusive}`);
-    lines.push(`SUMMARY:${escapeIcs(`[공모주] ${it.corp_name} 청약`)}`);
-    lines.push(`DESCRIPTION:${escapeIcs(desc)}`);
-    lines.push("END:VEVENT");
+    pushAllDayEvent(lines, {
+      uid: `${it.corp_name}-${it.sbd_start}`,
+      dtstamp,
+      start: it.sbd_start,
+      end: it.sbd_end,
+      summary: `${it.withdrawn ? "[철회] " : ""}${typeTag(it)} ${it.corp_name} 청약`,
+      desc,
+    });
+
+    for (const m of ms) {
+      pushAllDayEvent(lines, {
+        uid: `${it.corp_name}-${m.key}-${m.start}`,
+        dtstamp,
+        start: m.start,
+        end: m.end,
+        summary: `${typeTag(it)} ${it.corp_name} ${m.label}`,
+        desc: `${m.label}: ${formatRange(m.start, m.end)}\n청약: ${it.sbd_start} ~ ${it.sbd_end}`,
+      });
+    }
   }
 
   lines.push("END:VCALENDAR");
@@ -69,14 +138,74 @@ function buildICS(items) {
 function buildRemindersText(items) {
   return items.map(it => {
     const p = [];
-    p.push(`[공모주] ${it.corp_name}`);
+    p.push(`${typeTag(it)} ${it.corp_name}`);
     p.push(`청약 ${it.sbd_start}~${it.sbd_end}`);
+    for (const m of milestonesOf(it)) p.push(`${m.label} ${formatRange(m.start, m.end)}`);
     if (it.brokers) p.push(`증권사 ${it.brokers}`);
     if (it.equalMin) p.push(`균등 ${it.equalMin}`);
     return p.join(" | ");
   }).join("\n");
 }
 
+// ---------------- 수집 상태 배너 (스크래퍼가 쓰는 status.json) ----------------
+// 월~토 하루 한 번 갱신 → 일요일을 끼어도 이 시간 안에는 성공이 있어야 함
+const STALE_HOURS = 50;
+
+const STAGE_LABELS = {
+  calendar: "청약 달력", opendart: "OpenDART", listed: "상장회사 목록", classify: "원문 분류",
+  overrides: "수동 보정", guards: "이상 징후 점검", write: "저장", archive: "아카이브", outcomes: "상장 결과",
+};
+
+function formatTime(iso) {
+  const t = Date.parse(iso || "");
+  return Number.isNaN(t) ? "-" : new Date(t).toLocaleString("ko-KR", { timeZone: "Asia/Seoul" });
+}
+
+function healthProblems(status, now = Date.now()) {
+  const out = [];
+  if (!status.ok) {
+    const why = (status.guards || []).map((g) => g.message).concat(status.error ? [String(status.error).split("\n")[0]] : []);
+    out.push(`마지막 수집 실패 (${formatTime(status.run_at)}) — 이전 데이터를 보여주는 중${why.length ? `: ${why.join(" / ")}` : ""}`);
+  }
+  const last = Date.parse(status.last_success_at || "");
+  if (Number.isNaN(last) || now - last > STALE_HOURS * 3600 * 1000) {
+    out.push(`데이터가 오래됨 — 마지막 성공 갱신: ${formatTime(status.last_success_at)}`);
+  }
+  const staleMonths = (status.months || []).filter((m) => m.stale).map((m) => m.month);
+  if (staleMonths.length) out.push(`못 받은 달: ${staleMonths.join(", ")} (그 달 청약이 빠졌을 수 있음)`);
+  for (const s of status.stages || []) {
+    if (s.status !== "degraded" && s.status !== "failed") continue;
+    const detail = s.error || s.note || "";
+    out.push(`${STAGE_LABELS[s.name] || s.name} ${s.status === "failed" ? "실패" : "일부 실패"}${detail ? ` (${detail})` : ""}`);
+  }
+  return out;
+}
+
+function renderHealth(status) {
+  const box = $("health");
+  const problems = status ? healthProblems(status) : [];
+  box.style.display = problems.length ? "block" : "none";
+  box.className = `card health${status && !status.ok ? " failed" : ""}`;
+  box.innerHTML = "";
+  if (!problems.length) return;
+
+  const title = document.createElement("b");
+  title.textContent = "데이터 상태 확인 필요";
+  box.appendChild(title);
+  for (const p of problems) {
+    const line = document.createElement("div");
+    line.className = "muted";
+    line.textContent = `· ${p}`;
+    box.appendChild(line);
+  }
+  if (status.unknown_count) {
+    const line = document.createElement("div");
+    line.className = "muted";
+    line.textContent = `· 분류 보류(공모주/유상증자 판단 못 함): ${status.unknown_count}건`;
+    box.appendChild(line);
+  }
+}
+
 function download(filename, content, mime = "text/plain;charset=utf-8") {
   const blob = new Blob([content], { type: mime });
   const a = document.createElement("a");
@@ -88,11 +217,264 @@ function download(filename, content, mime = "text/plain;charset=utf-8") {
   URL.revokeObjectURL(a.href);
 }
 
+// ---------------- 달력 보기 (월 격자, 일요일 시작) ----------------
+const VIEW_KEY = "ipo-calendar:view";
+const WEEKDAYS = ["일", "월", "화", "수", "목", "금", "토"];
+
+function todayKST() {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: "Asia/Seoul", year: "numeric", month: "2-digit", day: "2-digit" }).format(new Date());
+}
+
+function weekdayOf(ymdStr) {
+  const [y, m, d] = ymdStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+function shiftMonth(ym, delta) {
+  const [y, m] = ym.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1 + delta, 1));
+  return `${dt.getUTCFullYear()}-${String(dt.getUTCMonth() + 1).padStart(2, "0")}`;
+}
+
+let calMonth = todayKST().slice(0, 7); // YYYY-MM
+
+// 달력 막대: 청약 기간 + 나머지 공모 일정 (청약이 위쪽 줄에 오도록 먼저)
+function calendarEventsOf(items) {
+  const out = [];
+  for (const it of items) {
+    if (it.sbd_start) {
+      const tag = it.offer_type && it.offer_type !== "ipo" ? `${typeTag(it)} ` : "";
+      out.push({ it, kind: "sub", start: it.sbd_start, end: it.sbd_end || it.sbd_start, label: `${tag}${it.corp_name}` });
+    }
+    for (const m of milestonesOf(it)) {
+      out.push({ it, kind: "ms", start: m.start, end: m.end, label: `${it.corp_name} ${m.label}` });
+    }
+  }
+  const rank = (e) => (e.kind === "sub" ? 0 : 1);
+  return out.sort((a, b) => rank(a) - rank(b) || a.start.localeCompare(b.start) || b.end.localeCompare(a.end));
+}
+
+// 한 주에 걸친 막대를 겹치지 않는 줄(lane)에 배치
+function layoutWeek(events, weekStart, weekEnd) {
+  const lanes = []; // lanes[i][col] = 차지함
+  const placed = [];
+  for (const ev of events) {
+    if (ev.end < weekStart || ev.start > weekEnd) continue;
+    const s = ev.start < weekStart ? 0 : weekdayOf(ev.start);
+    const e = ev.end > weekEnd ? 6 : weekdayOf(ev.end);
+    let lane = lanes.findIndex((cols) => cols.slice(s, e + 1).every((used) => !used));
+    if (lane < 0) {
+      lane = lanes.length;
+      lanes.push(Array(7).fill(false));
+    }
+    for (let c = s; c <= e; c++) lanes[lane][c] = true;
+    placed.push({ ev, s, e, lane, contLeft: ev.start < weekStart, contRight: ev.end > weekEnd });
+  }
+  return { placed, laneCount: lanes.length };
+}
+
+function renderCalendar(items) {
+  const [y, m] = calMonth.split("-").map(Number);
+  $("cal-title").textContent = `${y}년 ${m}월`;
+
+  const box = $("calendar");
+  box.innerHTML = "";
+  const head = document.createElement("div");
+  head.className = "cal-head";
+  for (const w of WEEKDAYS) {
+    const d = document.createElement("div");
+    d.textContent = w;
+    head.appendChild(d);
+  }
+  box.appendChild(head);
+
+  const events = calendarEventsOf(items);
+  const today = todayKST();
+  const first = `${calMonth}-01`;
+  const last = addDays(`${shiftMonth(calMonth, 1)}-01`, -1);
+  let shown = 0;
+
+  for (let weekStart = addDays(first, -weekdayOf(first)); weekStart <= last; weekStart = addDays(weekStart, 7)) {
+    const weekEnd = addDays(weekStart, 6);
+    const { placed, laneCount } = layoutWeek(events, weekStart, weekEnd);
+
+    const week = document.createElement("div");
+    week.className = "cal-week";
+    week.style.gridTemplateRows = `auto repeat(${laneCount}, auto) 1fr`;
+
+    for (let i = 0; i < 7; i++) {
+      const day = addDays(weekStart, i);
+      const cell = document.createElement("div");
+      cell.className = ["cal-day", day.slice(0, 7) !== calMonth ? "other" : "", day === today ? "today" : "",
+        i === 0 ? "sun" : i === 6 ? "sat" : ""].filter(Boolean).join(" ");
+      cell.style.gridColumn = String(i + 1);
+      cell.style.gridRow = "1 / -1";
+      const num = document.createElement("div");
+      num.className = "cal-num";
+      num.textContent = day === today ? `${Number(day.slice(8))} 오늘` : String(Number(day.slice(8)));
+      cell.appendChild(num);
+      week.appendChild(cell);
+    }
+
+    for (const p of placed) {
+      const bar = document.createElement("div");
+      bar.className = ["cal-bar", p.ev.kind, p.contLeft ? "cont-left" : "", p.contRight ? "cont-right" : "",
+        p.ev.it.withdrawn ? "withdrawn" : ""].filter(Boolean).join(" ");
+      bar.style.gridColumn = `${p.s + 1} / ${p.e + 2}`;
+      bar.style.gridRow = String(p.lane + 2);
+      bar.textContent = p.ev.label;
+      bar.title = `${p.ev.label} (${formatRange(p.ev.start, p.ev.end)})`;
+      bar.addEventListener("click", () => { location.hash = detailHref(p.ev.it); });
+      week.appendChild(bar);
+      if (p.ev.end >= first && p.ev.start <= last) shown++;
+    }
+    box.appendChild(week);
+  }
+  $("cal-empty").style.display = shown ? "none" : "block";
+}
+
+// ---------------- 목록 / 달력 전환 (선택은 localStorage 에 기억) ----------------
+function savedView() {
+  try {
+    return localStorage.getItem(VIEW_KEY) === "calendar" ? "calendar" : "list";
+  } catch {
+    return "list";
+  }
+}
+
+function showView(view) {
+  $("list-view").style.display = view === "list" ? "" : "none";
+  $("calendar-view").style.display = view === "calendar" ? "" : "none";
+  $("view-list").classList.toggle("active", view === "list");
+  $("view-calendar").classList.toggle("active", view === "calendar");
+  try {
+    localStorage.setItem(VIEW_KEY, view);
+  } catch {
+    // 사생활 보호 모드 등: 기억만 못 함
+  }
+}
+
+// ---------------- 필터 / 검색 / 정렬 (상태는 URL hash 에: #market=KOSDAQ&type=ipo&when=week) ----------------
+const FILTER_DEFAULTS = { q: "", market: "", type: "", broker: "", when: "", sort: "start" };
+const MARKET_LABELS = { KOSPI: "유가증권", KOSDAQ: "코스닥", KONEX: "코넥스", ETC: "기타" };
+const WHEN_LABELS = { open: "청약 중", week: "이번 주 청약", upcoming: "청약 예정", closed: "청약 마감" };
+const SORT_LABELS = { start: "청약 시작일순", end: "청약 종료일순", name: "회사명순" };
+
+let filter = { ...FILTER_DEFAULTS };
+
+function parseFilterHash(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const out = { ...FILTER_DEFAULTS };
+  for (const k of Object.keys(FILTER_DEFAULTS)) if (params.get(k)) out[k] = params.get(k);
+  return out;
+}
+
+function filterToHash(f) {
+  const params = new URLSearchParams();
+  for (const [k, v] of Object.entries(f)) if (v && v !== FILTER_DEFAULTS[k]) params.set(k, v);
+  const q = params.toString();
+  return q ? `#${q}` : "";
+}
+
+function isFiltered(f) {
+  return Object.keys(FILTER_DEFAULTS).some((k) => k !== "sort" && f[k] !== FILTER_DEFAULTS[k]);
+}
+
+function brokersOf(it) {
+  return String(it.brokers || "").split(",").map((b) => b.trim()).filter(Boolean);
+}
+
+function normalizeQuery(s) {
+  return String(s || "").toLowerCase().replace(/\s+/g, "");
+}
+
+function whenMatches(it, when, today) {
+  const start = it.sbd_start || it.sbd_end;
+  const end = it.sbd_end || it.sbd_start;
+  if (!start) return false;
+  if (when === "open") return start <= today && today <= end;
+  if (when === "upcoming") return start > today;
+  if (when === "closed") return end < today;
+  if (when === "week") {
+    const weekStart = addDays(today, -weekdayOf(today));
+    return start <= addDays(weekStart, 6) && end >= weekStart;
+  }
+  return true;
+}
+
+function applyFilter(items, f, today = todayKST()) {
+  const q = normalizeQuery(f.q);
+  const out = items.filter((it) =>
+    (!f.market || it.market === f.market) &&
+    (!f.type || (it.offer_type || "ipo") === f.type) &&
+    (!f.broker || brokersOf(it).includes(f.broker)) &&
+    (!f.when || whenMatches(it, f.when, today)) &&
+    (!q || normalizeQuery(it.corp_name).includes(q)));
+
+  const byName = (a, b) => String(a.corp_name || "").localeCompare(String(b.corp_name || ""), "ko");
+  const byDate = (k) => (a, b) => String(a[k] || "").localeCompare(String(b[k] || "")) || byName(a, b);
+  return out.sort(f.sort === "name" ? byName : byDate(f.sort === "end" ? "sbd_end" : "sbd_start"));
+}
+
+// 지금 화면(필터 적용)에 보이는 항목 — 내보내기도 이걸 씀
+function visibleItems() {
+  return lastData ? applyFilter(lastData.items, filter) : [];
+}
+
+// allLabel 을 주면 맨 앞에 "전체"(값 "") 항목
+function fillSelect(id, labels, allLabel) {
+  const sel = $(id);
+  const current = sel.value || filter[id.slice(2)] || "";
+  sel.innerHTML = "";
+  for (const [value, label] of [...(allLabel ? [["", allLabel]] : []), ...Object.entries(labels)]) {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = label;
+    sel.appendChild(opt);
+  }
+  sel.value = current;
+}
+
+// 증권사 목록은 데이터에서 (링크로 받은 값이 지금 데이터에 없어도 선택지로 남김)
+function fillBrokerOptions(items) {
+  const names = new Set(items.flatMap(brokersOf));
+  if (filter.broker) names.add(filter.broker);
+  const sorted = [...names].sort((a, b) => a.localeCompare(b, "ko"));
+  fillSelect("f-broker", Object.fromEntries(sorted.map((b) => [b, b])), "전체 증권사");
+}
+
+function writeFilterControls(f) {
+  for (const k of Object.keys(FILTER_DEFAULTS)) $(`f-${k}`).value = f[k];
+}
+
+function readFilterControls() {
+  return Object.fromEntries(Object.keys(FILTER_DEFAULTS).map((k) => [k, $(`f-${k}`).value.trim() ? $(`f-${k}`).value : FILTER_DEFAULTS[k]]));
+}
+
+function onFilterInput() {
+  filter = readFilterControls();
+  // replaceState: 글자 칠 때마다 뒤로 가기 기록이 쌓이지 않게
+  history.replaceState(null, "", filterToHash(filter) || `${location.pathname}${location.search}`);
+  renderVisible();
+}
+
 function render(items, meta) {
   $("range").textContent = meta.range?.start && meta.range?.end ? `${meta.range.start} ~ ${meta.range.end}` : "-";
   $("updated").textContent = meta.last_updated_kst || "-";
-  $("count").textContent = String(items.length);
+  fillBrokerOptions(items);
+  renderVisible();
+}
 
+function renderVisible() {
+  const items = visibleItems();
+  const total = lastData ? lastData.items.length : 0;
+  $("count").textContent = isFiltered(filter) ? `${items.length} / ${total}` : String(items.length);
+  $("empty").textContent = isFiltered(filter) && total ? "조건에 맞는 공모주가 없어요." : "표시할 공모주가 없어요.";
+  renderList(items);
+  renderCalendar(items);
+}
+
+function renderList(items) {
   const list = $("list");
   list.innerHTML = "";
   $("empty").style.display = items.length ? "none" : "block";
@@ -103,7 +485,11 @@ function render(items, meta) {
 
     const title = document.createElement("div");
     title.className = "item-title";
-    title.textContent = it.corp_name;
+    const tag = it.offer_type && it.offer_type !== "ipo" ? `${typeTag(it)} ` : "";
+    const titleLink = document.createElement("a");
+    titleLink.href = detailHref(it);
+    titleLink.textContent = `${tag}${it.corp_name}${it.withdrawn ? " [철회]" : ""}`;
+    title.appendChild(titleLink);
 
     const line1 = document.createElement("div");
     line1.className = "muted";
@@ -117,6 +503,38 @@ function render(items, meta) {
     div.appendChild(line1);
     div.appendChild(line2);
 
+    const amend = amendmentSummary(it);
+    if (amend) {
+      const lineA = document.createElement("div");
+      lineA.className = "muted";
+      lineA.textContent = `정정: ${amend}`;
+      div.appendChild(lineA);
+    }
+
+    if (it.override) {
+      const lineO = document.createElement("div");
+      lineO.className = "muted";
+      const what = it.override.added ? "수동 추가" : `수동 보정${it.override.fields.length ? ` (${it.override.fields.join(", ")})` : ""}`;
+      lineO.textContent = `${what}${it.override.reason ? ` — ${it.override.reason}` : ""}`;
+      div.appendChild(lineO);
+    }
+
+    const mine = recordOf(it);
+    if (mine) {
+      const lineT = document.createElement("div");
+      lineT.className = "muted";
+      lineT.textContent = `내 청약: ${recordSummary(mine.rec)}`;
+      div.appendChild(lineT);
+    }
+
+    const ms = milestonesOf(it);
+    if (ms.length) {
+      const line3 = document.createElement("div");
+      line3.className = "muted";
+      line3.textContent = `일정: ${ms.map((m) => `${m.label} ${formatRange(m.start, m.end)}`).join(" · ")}`;
+      div.appendChild(line3);
+    }
+
     list.appendChild(div);
   }
 }
@@ -130,14 +548,479 @@ async function loadData() {
   return data;
 }
 
+// status.json 은 없어도 됨 (배너만 안 뜸)
+async function loadStatus() {
+  try {
+    const res = await fetch(`${STATUS_URL}?t=${Date.now()}`, { cache: "no-store" });
+    return res.ok ? await res.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+// ---------------- 상세 화면 (#/ipo/<rcpNo>, rcpNo 가 없는 수동 추가 항목은 회사명) ----------------
+const CHANGES_URL = "./data/changes.json";
+const DETAIL_ROUTE_RE = /^#\/ipo\/(.+)$/;
+const DART_DSAF_URL = "https://dart.fss.or.kr/dsaf001/main.do";
+const ZONE_LABELS = { cover: "표지", body: "본문" };
+const CHANGE_KIND_LABELS = { added: "새로 보임", removed: "목록에서 빠짐", rescheduled: "일정 변경", reclassified: "유형 변경" };
+
+function detailHref(it) {
+  return `#/ipo/${encodeURIComponent(it.rcpNo || it.corp_name)}`;
+}
+
+function detailIdOf(hash) {
+  const m = String(hash || "").match(DETAIL_ROUTE_RE);
+  if (!m) return null;
+  try {
+    return decodeURIComponent(m[1]);
+  } catch {
+    return m[1];
+  }
+}
+
+// 정정 전 rcpNo 로 만든 링크도 찾아감
+function findItem(items, id) {
+  return items.find((it) => it.rcpNo === id)
+    || items.find((it) => (it.amendments || []).some((a) => a.rcpNo === id))
+    || items.find((it) => it.corp_name === id)
+    || null;
+}
+
+let changesPromise = null;
+
+// changes.json 은 없어도 됨 (변경 이력 칸만 빠짐). 새로고침 전까지 한 번만 받음
+function loadChanges() {
+  if (!changesPromise) {
+    changesPromise = fetch(`${CHANGES_URL}?t=${Date.now()}`, { cache: "no-store" })
+      .then((res) => (res.ok ? res.json() : null))
+      .catch(() => null);
+  }
+  return changesPromise;
+}
+
+// changes.js 의 itemKey 와 같은 키 (시장 + 회사명)
+function changeHistoryOf(changes, it) {
+  const key = `${it.market_short || ""}||${it.corp_name || ""}`;
+  const out = [];
+  for (const run of changes?.history || []) {
+    for (const kind of Object.keys(CHANGE_KIND_LABELS)) {
+      for (const c of run[kind] || []) {
+        if (c.key === key) out.push({ run_at: run.run_at, kind, change: c });
+      }
+    }
+  }
+  return out;
+}
+
+function formatValue(v) {
+  if (v === null || v === undefined || v === "") return "-";
+  if (Array.isArray(v)) return v.length ? v.map(formatValue).join(", ") : "-";
+  if (typeof v === "number") return v.toLocaleString("ko-KR");
+  if (typeof v === "object") {
+    if ("low" in v || "high" in v) return `${formatValue(v.low)} ~ ${formatValue(v.high)}`;
+    if ("start" in v) return formatRange(v.start, v.end);
+    return JSON.stringify(v);
+  }
+  return String(v);
+}
+
+function describeChange(kind, c) {
+  if (kind === "rescheduled") return `청약 ${formatRange(c.before.sbd_start, c.before.sbd_end)} → ${formatRange(c.after.sbd_start, c.after.sbd_end)}`;
+  if (kind === "reclassified") return `${OFFER_TYPE_LABELS[c.before.offer_type] || c.before.offer_type} → ${OFFER_TYPE_LABELS[c.after.offer_type] || c.after.offer_type}`;
+  if (kind === "removed") return c.reason === "out_of_range" ? "기간이 지나서" : "데이터에서 사라짐";
+  return `청약 ${formatRange(c.sbd_start, c.sbd_end)}`;
+}
+
+function el(tag, className, text) {
+  const e = document.createElement(tag);
+  if (className) e.className = className;
+  if (text !== undefined) e.textContent = text;
+  return e;
+}
+
+function link(href, text) {
+  const a = el("a", "", text);
+  a.href = href;
+  a.target = "_blank";
+  a.rel = "noopener";
+  return a;
+}
+
+function section(box, title) {
+  box.appendChild(el("hr"));
+  box.appendChild(el("b", "", title));
+  const body = el("div", "detail-section");
+  box.appendChild(body);
+  return body;
+}
+
+// [라벨, 값] 목록 → 표 (값이 없는 줄은 뺌)
+function fieldTable(rows) {
+  const dl = el("dl", "fields");
+  for (const [label, value] of rows) {
+    const text = formatValue(value);
+    if (text === "-") continue;
+    dl.appendChild(el("dt", "", label));
+    dl.appendChild(el("dd", "", text));
+  }
+  return dl;
+}
+
+function backHref() {
+  return filterToHash(filter) || "#";
+}
+
+async function renderDetail(id) {
+  const box = $("detail-view");
+  box.innerHTML = "";
+  const back = el("a", "btn small", "← 목록으로");
+  back.href = backHref();
+  box.appendChild(back);
+
+  const it = lastData ? findItem(lastData.items, id) : null;
+  if (!it) {
+    box.appendChild(el("div", "muted", lastData ? `지금 데이터에 없는 공모예요 (${id}). 기간이 지났거나 목록에서 빠졌을 수 있어요.` : "불러오는 중…"));
+    return;
+  }
+
+  const title = el("h1", "", `${typeTag(it)} ${it.corp_name}${it.withdrawn ? " [철회]" : ""}`);
+  title.style.marginTop = "10px";
+  box.appendChild(title);
+
+  const links = el("div", "row");
+  if (it.href_abs) links.appendChild(link(it.href_abs, "DART 공시 보기"));
+  if (it.viewer_url) links.appendChild(link(it.viewer_url, "신고서 원문"));
+  box.appendChild(links);
+
+  section(box, "내 청약 기록").appendChild(trackerForm(it));
+
+  box.appendChild(fieldTable([
+    ["시장", it.market ? `${MARKET_LABELS[it.market] || it.market} (${it.market})` : ""],
+    ["청약", it.sbd_start ? formatRange(it.sbd_start, it.sbd_end) : ""],
+    ...milestonesOf(it).map((m) => [m.label, formatRange(m.start, m.end)]),
+    ["증권사", it.brokers],
+    ["균등 최소금액", it.equalMin],
+    ["메모", it.note],
+    ["접수번호(rcpNo)", it.rcpNo],
+    ["종목코드", it.stock_code],
+    ["고유번호", it.corp_code],
+    ["찾은 곳", it.sources],
+  ]));
+
+  if (it.terms) {
+    const t = it.terms;
+    section(box, "공모 조건").appendChild(fieldTable([
+      ["희망 공모가", t.price_band],
+      ["확정 공모가", t.final_price],
+      ["대표 주관사", t.lead_managers],
+      ["인수회사", t.underwriters],
+      ["공모 주식수", t.shares_offered],
+      ["최소 청약 단위", t.subscription_unit],
+      ["청약 증거금률", t.deposit_rate != null ? `${t.deposit_rate}%` : ""],
+    ]));
+  }
+
+  const cls = section(box, "분류 근거");
+  const conf = typeof it.offer_confidence === "number" ? ` · 확신도 ${Math.round(it.offer_confidence * 100)}%` : "";
+  cls.appendChild(el("div", "", `${OFFER_TYPE_LABELS[it.offer_type] || it.offer_type}${conf}`));
+  if (it.offer_reason) cls.appendChild(el("div", "muted", it.offer_reason));
+  for (const e of it.offer_evidence || []) {
+    cls.appendChild(el("div", "muted", `· [${ZONE_LABELS[e.zone] || e.zone}] ${e.term} (${e.points > 0 ? "+" : ""}${e.points}) — ${e.snippet}`));
+  }
+
+  if (it.override) {
+    const o = it.override;
+    const what = o.added ? "수동 추가" : `수동 보정${o.fields.length ? `: ${o.fields.join(", ")}` : ""}${o.included ? " (필터 무시)" : ""}`;
+    section(box, "수동 보정").appendChild(el("div", "muted", `${what}${o.reason ? ` — ${o.reason}` : ""}`));
+  }
+
+  if ((it.amendments || []).length) {
+    const am = section(box, `신고서 흐름${amendmentSummary(it) ? ` (${amendmentSummary(it)})` : ""}`);
+    for (const a of it.amendments) {
+      const row = el("div", "muted");
+      row.appendChild(document.createTextNode(`${a.date} `));
+      row.appendChild(link(`${DART_DSAF_URL}?rcpNo=${a.rcpNo}`, a.title || a.rcpNo));
+      am.appendChild(row);
+      for (const c of a.changes || []) am.appendChild(el("div", "muted", `   ${c.field}: ${formatValue(c.before)} → ${formatValue(c.after)}`));
+    }
+  }
+
+  const raw = el("details");
+  raw.appendChild(el("summary", "muted", "원본 데이터(JSON)"));
+  raw.appendChild(el("pre", "raw", JSON.stringify(it, null, 2)));
+  box.appendChild(el("hr"));
+  box.appendChild(raw);
+
+  // 변경 이력은 늦게 와도 됨 (원본 데이터 위에 끼워 넣음).
+  // 기다리는 사이 상세를 다시 그렸으면 이 raw 는 떨어져 나간 것 → 새 렌더가 알아서 붙임
+  const history = changeHistoryOf(await loadChanges(), it);
+  if (history.length && raw.isConnected) {
+    const hr = el("hr");
+    const ch = el("div", "detail-section");
+    ch.appendChild(el("b", "", "변경 이력 (수집 실행별)"));
+    for (const h of history) {
+      ch.appendChild(el("div", "muted", `${formatTime(h.run_at)} · ${CHANGE_KIND_LABELS[h.kind]} · ${describeChange(h.kind, h.change)}`));
+    }
+    box.insertBefore(ch, raw.previousSibling);
+    box.insertBefore(hr, ch);
+  }
+}
+
+// hash 에 따라 목록/달력 ↔ 상세
+function route() {
+  const id = detailIdOf(location.hash);
+  $("main-view").style.display = id ? "none" : "";
+  $("detail-view").style.display = id ? "" : "none";
+  if (id) {
+    renderDetail(id);
+    window.scrollTo(0, 0);
+    return;
+  }
+  filter = parseFilterHash(location.hash);
+  fillBrokerOptions(lastData ? lastData.items : []);
+  writeFilterControls(filter);
+  renderVisible();
+}
+
+// ---------------- 내 청약 기록 (localStorage, rcpNo 별 — 기기 간 이동은 JSON 내보내기/가져오기) ----------------
+const TRACKER_KEY = "ipo-calendar:tracker";
+const TRACKER_VERSION = 1;
+const TRACK_STATUS_LABELS = { plan: "청약 예정", done: "청약함", skip: "건너뜀" };
+
+/**
+ * 기록 1건: { status, broker, deposit(원), allocated(주), corp_name, sbd_end, refund, updated_at }
+ * 회사명/청약 종료일/환불일은 저장할 때 복사해 둠 (공모가 데이터 범위를 벗어나도 요약에 남게)
+ * 키는 상세 화면과 같은 rcpNo (없으면 회사명). 정정신고서로 rcpNo 가 바뀌면 다음 저장 때 새 키로 옮김
+ */
+let tracker = loadTracker();
+
+function toAmount(v) {
+  const n = Number(String(v ?? "").replace(/[,\s원주]/g, ""));
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : null;
+}
+
+function formatWon(n) {
+  return `${n.toLocaleString("ko-KR")}원`;
+}
+
+// 날짜는 YYYY-MM-DD 문자열만 (요약 카드가 문자열로 비교/정렬)
+function dateOrNull(v) {
+  return typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v) ? v : null;
+}
+
+// 저장본/가져온 파일 → records (형식이 아니면 throw, 상태가 이상한 기록은 건너뜀)
+// 가져온 파일은 아무 JSON 이나 될 수 있음: 값은 타입을 맞추고, records 는 프로토타입 없는 객체로
+// 만들어서 "constructor" / "__proto__" 같은 키도 그냥 회사 키로 다룸
+function trackerRecordsOf(obj) {
+  if (!obj || obj.version !== TRACKER_VERSION || !obj.records || typeof obj.records !== "object" || Array.isArray(obj.records)) {
+    throw new Error(`청약 기록 파일이 아니에요 (version ${TRACKER_VERSION} 의 records 가 필요)`);
+  }
+  const out = Object.create(null);
+  for (const [key, r] of Object.entries(obj.records)) {
+    if (!r || !Object.keys(TRACK_STATUS_LABELS).includes(r.status)) continue;
+    out[key] = {
+      status: r.status,
+      broker: String(r.broker || ""),
+      deposit: toAmount(r.deposit),
+      allocated: toAmount(r.allocated),
+      corp_name: String(r.corp_name || key),
+      sbd_end: dateOrNull(r.sbd_end),
+      refund: dateOrNull(r.refund),
+      updated_at: typeof r.updated_at === "string" ? r.updated_at : null,
+    };
+  }
+  return out;
+}
+
+function loadTracker() {
+  try {
+    const raw = localStorage.getItem(TRACKER_KEY);
+    return raw ? trackerRecordsOf(JSON.parse(raw)) : Object.create(null);
+  } catch {
+    return Object.create(null);
+  }
+}
+
+function trackerFile() {
+  return { version: TRACKER_VERSION, exported_at: new Date().toISOString(), records: tracker };
+}
+
+function writeTracker() {
+  try {
+    localStorage.setItem(TRACKER_KEY, JSON.stringify(trackerFile()));
+  } catch {
+    alert("브라우저에 저장하지 못했어요 (사생활 보호 모드?). 내보내기로 따로 보관하세요.");
+  }
+}
+
+// 정정 전 rcpNo 나 회사명으로 저장한 기록도 찾음
+function recordOf(it) {
+  const keys = [it.rcpNo, ...(it.amendments || []).map((a) => a.rcpNo), it.corp_name].filter(Boolean);
+  const key = keys.find((k) => tracker[k]);
+  return key ? { key, rec: tracker[key] } : null;
+}
+
+// status 가 "" 면 기록 삭제
+function saveRecord(it, patch) {
+  const found = recordOf(it);
+  if (found) delete tracker[found.key];
+  if (patch.status) {
+    tracker[it.rcpNo || it.corp_name] = {
+      ...found?.rec,
+      ...patch,
+      corp_name: it.corp_name,
+      sbd_end: it.sbd_end || null,
+      refund: it.schedule?.refund || null,
+      updated_at: new Date().toISOString(),
+    };
+  }
+  writeTracker();
+  renderTracker();
+  renderVisible();
+}
+
+function recordSummary(rec) {
+  return [
+    TRACK_STATUS_LABELS[rec.status],
+    rec.broker,
+    rec.deposit ? `증거금 ${formatWon(rec.deposit)}` : "",
+    rec.allocated ? `배정 ${rec.allocated.toLocaleString("ko-KR")}주` : "",
+  ].filter(Boolean).join(" · ");
+}
+
+// 상세 화면의 입력 칸
+function trackerForm(it) {
+  const rec = recordOf(it)?.rec || {};
+  const form = el("div", "row filters");
+
+  const status = el("select", "input");
+  for (const [value, label] of [["", "기록 없음"], ...Object.entries(TRACK_STATUS_LABELS)]) {
+    const opt = el("option", "", label);
+    opt.value = value;
+    status.appendChild(opt);
+  }
+  status.value = rec.status || "";
+
+  const brokers = el("datalist");
+  brokers.id = "tr-brokers";
+  for (const b of brokersOf(it)) {
+    const opt = el("option");
+    opt.value = b;
+    brokers.appendChild(opt);
+  }
+  const broker = el("input", "input");
+  broker.placeholder = "청약한 증권사 계좌";
+  broker.setAttribute("list", "tr-brokers");
+  broker.value = rec.broker || "";
+
+  const deposit = el("input", "input");
+  deposit.type = "number";
+  deposit.min = "0";
+  deposit.placeholder = "증거금(원)";
+  deposit.value = rec.deposit ?? "";
+
+  const allocated = el("input", "input");
+  allocated.type = "number";
+  allocated.min = "0";
+  allocated.placeholder = "배정 주식수";
+  allocated.value = rec.allocated ?? "";
+
+  const save = el("button", "btn small", "저장");
+  const note = el("span", "muted", rec.updated_at ? `마지막 저장: ${formatTime(rec.updated_at)}` : "");
+  save.addEventListener("click", () => {
+    saveRecord(it, { status: status.value, broker: broker.value.trim(), deposit: toAmount(deposit.value), allocated: toAmount(allocated.value) });
+    note.textContent = status.value ? "저장했어요" : "기록을 지웠어요";
+  });
+
+  for (const c of [status, broker, brokers, deposit, allocated, save, note]) form.appendChild(c);
+  return form;
+}
+
+// 요약 카드: 상태별 개수 + 아직 환불 안 된 증거금(환불일순) + 다가오는 청약 예정
+function renderTracker(today = todayKST()) {
+  const box = $("tracker-summary");
+  box.innerHTML = "";
+  const records = Object.entries(tracker).map(([key, rec]) => ({ key, ...rec }));
+  if (!records.length) {
+    box.appendChild(el("div", "muted", "아직 기록이 없어요. 공모 상세 화면에서 청약 예정/청약함/건너뜀을 표시할 수 있어요."));
+    return;
+  }
+
+  const counts = Object.entries(TRACK_STATUS_LABELS).map(([s, label]) => `${label} ${records.filter((r) => r.status === s).length}`);
+  box.appendChild(el("div", "muted", counts.join(" · ")));
+
+  const entry = (r, text) => {
+    const row = el("div", "muted", "· ");
+    const a = el("a", "", r.corp_name);
+    a.href = `#/ipo/${encodeURIComponent(r.key)}`;
+    row.appendChild(a);
+    row.appendChild(document.createTextNode(` — ${text}`));
+    return row;
+  };
+
+  // 환불일 당일까지는 묶인 돈으로 봄 (환불일을 모르면 계속 묶인 걸로)
+  const tied = records
+    .filter((r) => r.status === "done" && r.deposit && (!r.refund || r.refund >= today))
+    .sort((a, b) => (a.refund || "9999").localeCompare(b.refund || "9999"));
+  if (tied.length) {
+    const total = tied.reduce((sum, r) => sum + r.deposit, 0);
+    box.appendChild(el("b", "", `묶인 증거금 ${formatWon(total)}`));
+    for (const r of tied) {
+      const when = r.refund ? (r.refund === today ? "오늘 환불" : `환불 ${r.refund}`) : "환불일 미정";
+      box.appendChild(entry(r, `${formatWon(r.deposit)}${r.broker ? ` (${r.broker})` : ""} · ${when}`));
+    }
+  }
+
+  const planned = records
+    .filter((r) => r.status === "plan" && (!r.sbd_end || r.sbd_end >= today))
+    .sort((a, b) => (a.sbd_end || "9999").localeCompare(b.sbd_end || "9999"));
+  if (planned.length) {
+    box.appendChild(el("b", "", "청약 예정"));
+    for (const r of planned) box.appendChild(entry(r, r.sbd_end ? `청약 마감 ${r.sbd_end}` : "청약일 미정"));
+  }
+}
+
+function exportTracker() {
+  if (!Object.keys(tracker).length) return alert("내보낼 청약 기록이 없어요.");
+  download(`ipo-tracker-${todayKST()}.json`, JSON.stringify(trackerFile(), null, 2), "application/json;charset=utf-8");
+}
+
+// 같은 키는 updated_at 이 더 최근인 쪽을 남김
+async function importTracker(file) {
+  try {
+    const incoming = trackerRecordsOf(JSON.parse(await file.text()));
+    let added = 0;
+    let updated = 0;
+    for (const [key, rec] of Object.entries(incoming)) {
+      const mine = tracker[key];
+      if (!mine) added++;
+      else if ((rec.updated_at || "") > (mine.updated_at || "")) updated++;
+      else continue;
+      tracker[key] = rec;
+    }
+    writeTracker();
+    renderTracker();
+    renderVisible();
+    const id = detailIdOf(location.hash);
+    if (id) renderDetail(id);
+    alert(`청약 기록 ${Object.keys(incoming).length}건 가져옴 (새로 ${added} · 갱신 ${updated})`);
+  } catch (e) {
+    alert(`가져오기 실패: ${e.message || e}`);
+  }
+}
+
 let lastData = null;
 
 async function reload() {
   $("reload").disabled = true;
   try {
-    const data = await loadData();
+    const [data, status] = await Promise.all([loadData(), loadStatus()]);
     lastData = data;
+    changesPromise = null;
     render(data.items, data);
+    renderHealth(status);
+    if (detailIdOf(location.hash)) renderDetail(detailIdOf(location.hash));
   } catch (e) {
     alert(e.message || String(e));
   } finally {
@@ -147,21 +1030,32 @@ async function reload() {
 
 $("reload").addEventListener("click", reload);
 
+$("view-list").addEventListener("click", () => showView("list"));
+$("view-calendar").addEventListener("click", () => showView("calendar"));
+
+function moveCalendar(ym) {
+  calMonth = ym;
+  renderCalendar(visibleItems());
+}
+$("cal-prev").addEventListener("click", () => moveCalendar(shiftMonth(calMonth, -1)));
+$("cal-next").addEventListener("click", () => moveCalendar(shiftMonth(calMonth, 1)));
+$("cal-today").addEventListener("click", () => moveCalendar(todayKST().slice(0, 7)));
+
 $("dl-ics").addEventListener("click", () => {
   if (!lastData) return alert("먼저 데이터 새로고침을 눌러줘!");
-  const ics = buildICS(lastData.items);
+  const ics = buildICS(visibleItems());
   download("ipo.ics", ics, "text/calendar;charset=utf-8");
 });
 
 $("dl-rem").addEventListener("click", () => {
   if (!lastData) return alert("먼저 데이터 새로고침을 눌러줘!");
-  const txt = buildRemindersText(lastData.items);
+  const txt = buildRemindersText(visibleItems());
   download("ipo_reminders.txt", txt);
 });
 
 $("run-shortcut").addEventListener("click", () => {
   if (!lastData) return alert("먼저 데이터 새로고침을 눌러줘!");
-  const txt = buildRemindersText(lastData.items);
+  const txt = buildRemindersText(visibleItems());
 
   const name = encodeURIComponent(SHORTCUT_NAME);
   const text = encodeURIComponent(txt);
@@ -171,4 +1065,44 @@ $("run-shortcut").addEventListener("click", () => {
   window.location.href = url;
 });
 
+fillSelect("f-market", MARKET_LABELS, "전체 시장");
+fillSelect("f-type", OFFER_TYPE_LABELS, "전체 유형");
+fillSelect("f-when", WHEN_LABELS, "전체 기간");
+fillSelect("f-sort", SORT_LABELS);
+for (const k of Object.keys(FILTER_DEFAULTS)) {
+  $(`f-${k}`).addEventListener(k === "q" ? "input" : "change", onFilterInput);
+}
+$("f-reset").addEventListener("click", () => {
+  writeFilterControls(FILTER_DEFAULTS);
+  onFilterInput();
+});
+$("f-share").addEventListener("click", async () => {
+  try {
+    await navigator.clipboard.writeText(location.href);
+    alert("지금 조건의 링크를 복사했어요.");
+  } catch {
+    prompt("이 링크를 복사하세요", location.href);
+  }
+});
+$("tr-export").addEventListener("click", exportTracker);
+$("tr-import").addEventListener("click", () => $("tr-file").click());
+$("tr-file").addEventListener("change", (e) => {
+  const file = e.target.files[0];
+  e.target.value = "";
+  if (file) importTracker(file);
+});
+// 다른 탭에서 기록을 바꾼 경우
+window.addEventListener("storage", (e) => {
+  if (e.key !== TRACKER_KEY) return;
+  tracker = loadTracker();
+  renderTracker();
+  renderVisible();
+});
+
+// 공유 링크로 들어오거나 주소창에서 hash 를 바꾼 경우 (상세 ↔ 목록 포함)
+window.addEventListener("hashchange", route);
+
+showView(savedView());
+renderTracker();
+route();
 reload();
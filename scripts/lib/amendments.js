@@ -0,0 +1,135 @@
+/**
+ * 정정신고서/철회신고서 추적
+ *  - dsaf001 페이지의 "관련 공시"(family select 등)에서 같은 공모의 최초 신고서 → 정정 → 철회 흐름을 읽는다
+ *  - 분류/추출은 항상 최신 신고서 기준 (철회신고서 자체는 본문이 없으니 그 직전 신고서)
+ *  - 연속된 신고서끼리 추출값(일정/가격/주식수/주관사)을 비교해서 무엇이 바뀌었는지 남김
+ *
+ * rcpNo 앞 8자리가 접수일(YYYYMMDD)이라 문자열 정렬 = 시간순
+ */
+
+import * as cheerio from "cheerio";
+import { normalizeText } from "./util.js";
+
+const RCP_RE = /rcpNo=(\d{14})/;
+
+function dateFromRcpNo(rcpNo) {
+  return `${rcpNo.slice(0, 4)}-${rcpNo.slice(4, 6)}-${rcpNo.slice(6, 8)}`;
+}
+
+/**
+ * 신고서 제목으로 종류 판단
+ *  - [기재정정] / [첨부정정] / [발행조건확정] 은 모두 최초 신고서를 고친 것 (발행조건확정은 확정공모가를 채운 정정)
+ */
+export function filingKind(title) {
+  const t = String(title || "");
+  if (/철회/.test(t)) return "withdrawal";
+  if (/정정|발행조건확정/.test(t)) return "amendment";
+  return "original";
+}
+
+function isOfferingFiling(title) {
+  return /증권신고서|철회신고서/.test(title) && !/실적보고서/.test(title);
+}
+
+/**
+ * dsaf001 HTML 에서 관련 공시 목록 추출
+ * @returns {{ chain: {rcpNo:string, date:string, title:string, kind:string}[], related: {rcpNo:string, date:string, title:string}[] }}
+ *   chain  : 증권신고서 계열(최초/정정/철회), 시간순
+ *   related: 그 밖의 관련 공시 (투자설명서, 증권발행실적보고서 등)
+ */
+export function extractFilingFamily(html, selfRcpNo) {
+  const $ = cheerio.load(html || "");
+  const seen = new Map();
+
+  const consider = (raw, text) => {
+    const m = String(raw || "").match(RCP_RE);
+    if (!m) return;
+    const t = normalizeText(text);
+    const dm = t.match(/(20\d{2})[.\-/](\d{2})[.\-/](\d{2})/);
+    const title = normalizeText(t.replace(/(20\d{2})[.\-/](\d{2})[.\-/](\d{2})/, "")).replace(/^[+\s]+|[+\s]+$/g, "");
+    if (!title) return;
+    if (!seen.has(m[1])) {
+      seen.set(m[1], {
+        rcpNo: m[1],
+        date: dm ? `${dm[1]}-${dm[2]}-${dm[3]}` : dateFromRcpNo(m[1]),
+        title,
+      });
+    }
+  };
+
+  $("select option").each((_, el) => consider($(el).attr("value"), $(el).text()));
+  $("a").each((_, el) => consider(`${$(el).attr("href") || ""} ${$(el).attr("onclick") || ""}`, $(el).text()));
+
+  // 자기 자신이 목록에 없으면 페이지 제목으로 추가
+  if (selfRcpNo && !seen.has(selfRcpNo)) {
+    const title = normalizeText($("title").text()) || "증권신고서";
+    seen.set(selfRcpNo, { rcpNo: selfRcpNo, date: dateFromRcpNo(selfRcpNo), title });
+  }
+
+  const all = [...seen.values()].sort((a, b) => a.rcpNo.localeCompare(b.rcpNo));
+  const chain = [];
+  const related = [];
+  for (const f of all) {
+    if (isOfferingFiling(f.title) || f.rcpNo === selfRcpNo) chain.push({ ...f, kind: filingKind(f.title) });
+    else related.push(f);
+  }
+  return { chain, related };
+}
+
+/** 분류/추출에 쓸 신고서: 철회신고서를 뺀 가장 최신 */
+export function latestContentFiling(chain) {
+  const usable = chain.filter((f) => f.kind !== "withdrawal");
+  return usable.length ? usable[usable.length - 1] : null;
+}
+
+const COMPARED_FIELDS = [
+  ["schedule.demand_forecast", (d) => d.schedule?.demand_forecast],
+  ["schedule.subscription", (d) => d.schedule?.subscription],
+  ["schedule.refund", (d) => d.schedule?.refund],
+  ["schedule.payment", (d) => d.schedule?.payment],
+  ["schedule.listing", (d) => d.schedule?.listing],
+  ["terms.price_band", (d) => d.terms?.price_band],
+  ["terms.final_price", (d) => d.terms?.final_price],
+  ["terms.shares_offered", (d) => d.terms?.shares_offered],
+  ["terms.lead_managers", (d) => d.terms?.lead_managers],
+];
+
+/** 두 신고서 추출값 비교 (한쪽이라도 값이 없으면 비교 안 함 — 추출 실패를 변경으로 오인하지 않게) */
+export function diffFilingDetails(prev, next) {
+  const changes = [];
+  if (!prev || !next) return changes;
+  for (const [field, get] of COMPARED_FIELDS) {
+    const a = get(prev);
+    const b = get(next);
+    const empty = (v) => v == null || (Array.isArray(v) && v.length === 0);
+    if (empty(a) || empty(b)) continue;
+    if (JSON.stringify(a) !== JSON.stringify(b)) changes.push({ field, before: a, after: b });
+  }
+  return changes;
+}
+
+/**
+ * 신고서 흐름 + 각 신고서 추출값 → 아이템에 붙일 정정 이력
+ * @param {{rcpNo:string, date:string, title:string, kind:string}[]} chain
+ * @param {Map<string, object>} detailsByRcpNo  rcpNo -> classifyRcpNo 결과 (없을 수 있음)
+ */
+export function summarizeAmendments(chain, detailsByRcpNo) {
+  const amendments = [];
+  let prevDetails = null;
+  for (const f of chain) {
+    const details = detailsByRcpNo.get(f.rcpNo) || null;
+    const changes = f.kind === "withdrawal" ? [] : diffFilingDetails(prevDetails, details);
+    amendments.push({ rcpNo: f.rcpNo, date: f.date, title: f.title, kind: f.kind, changes });
+    if (details) prevDetails = details;
+  }
+
+  const changedFields = new Set(amendments.flatMap((a) => a.changes.map((c) => c.field)));
+  const flags = [];
+  if ([...changedFields].some((f) => f.startsWith("schedule."))) flags.push("rescheduled");
+  if (changedFields.has("terms.price_band") || changedFields.has("terms.final_price")) flags.push("repriced");
+
+  const withdrawn = chain.some((f) => f.kind === "withdrawal");
+  if (withdrawn) flags.push("withdrawn");
+
+  return { amendments, flags, withdrawn };
+}
@@ -0,0 +1,160 @@
+/**
+ * 월별 아카이브 (docs/data/archive/YYYY-MM.json + index.json)
+ *  - ipo.json 은 오늘~다음 달 말만 담으니, 지나간 공모는 여기에 월별(청약 시작월)로 쌓는다
+ *  - 실행마다 결과를 합쳐 넣고, 한 번 들어간 공모는 지우지 않음 (철회돼도 withdrawn 으로 남음)
+ *  - 같은 공모 판단: 시장+회사명(changes.js itemKey) 이 같고 청약일이 SAME_OFFERING_DAYS 안
+ *    (같은 회사가 몇 년 뒤 또 공모하면 별도 항목)
+ *  - first_seen_at: 아카이브에 처음 들어간 실행 시각
+ *  - outcome: 상장 후 결과 (outcomes.js 가 채움, 새 실행 결과로 합쳐도 유지됨)
+ *  - 새 결과가 기존 값을 덮어씀 (정정으로 일정이 바뀐 경우). 다만 실행 범위 경계에서 잘린
+ *    하루짜리 조각(캘린더에 [시작] 또는 [종료] 한쪽만 보인 것)은 덮지 않고 기존 청약기간과 합침
+ *
+ * index.json: { version, updated_at, months: [{ month, count, file }] } — 사이트가 어떤 달이 있는지 알 수 있게
+ */
+
+import fs from "fs";
+import path from "path";
+import { readJsonIfExists, addDaysISO } from "./util.js";
+import { itemKey } from "./changes.js";
+
+export const DEFAULT_ARCHIVE_DIR = "docs/data/archive";
+const ARCHIVE_VERSION = 1;
+const SAME_OFFERING_DAYS = 14;
+const EDGE_DAYS = 4; // 실행 범위 경계에서 이만큼 안쪽이면 "잘린 조각" 후보
+const MONTH_FILE_RE = /^(\d{4}-\d{2})\.json$/;
+
+function monthOf(it) {
+  return (it.sbd_start || it.sbd_end || "").slice(0, 7);
+}
+
+function daysApart(a, b) {
+  return Math.abs(Date.parse(a) - Date.parse(b)) / 86400000;
+}
+
+function sameOffering(a, b) {
+  if (itemKey(a) !== itemKey(b)) return false;
+  const da = a.sbd_start || a.sbd_end;
+  const db = b.sbd_start || b.sbd_end;
+  return !da || !db || daysApart(da, db) <= SAME_OFFERING_DAYS;
+}
+
+function nearEdge(date, range) {
+  if (!date || !range) return false;
+  return date <= addDaysISO(range.start, EDGE_DAYS) || date >= addDaysISO(range.end, -EDGE_DAYS);
+}
+
+// 캘린더에 한쪽 표시만 보여서 시작일=종료일로 채워진 조각
+function isEdgeFragment(it, range) {
+  return it.sbd_start && it.sbd_start === it.sbd_end && nearEdge(it.sbd_start, range);
+}
+
+function mergeItem(old, next, range, runAt) {
+  const merged = { ...old, ...next, first_seen_at: old.first_seen_at || runAt };
+  if (isEdgeFragment(next, range)) {
+    merged.sbd_start = [old.sbd_start, next.sbd_start].filter(Boolean).sort()[0] || null;
+    merged.sbd_end = [old.sbd_end, next.sbd_end].filter(Boolean).sort().at(-1) || null;
+  }
+  return merged;
+}
+
+/** @returns {Map<string, object[]>} month -> items */
+export function loadArchive(dir = DEFAULT_ARCHIVE_DIR) {
+  const absDir = path.resolve(dir);
+  const months = new Map();
+  if (!fs.existsSync(absDir)) return months;
+  for (const f of fs.readdirSync(absDir).sort()) {
+    const m = f.match(MONTH_FILE_RE);
+    if (!m) continue;
+    const obj = readJsonIfExists(path.join(absDir, f));
+    if (obj?.version === ARCHIVE_VERSION && Array.isArray(obj.items)) months.set(m[1], obj.items);
+  }
+  return months;
+}
+
+function sortItems(items) {
+  return items.sort((a, b) => (a.sbd_start || "").localeCompare(b.sbd_start || "") || (a.corp_name || "").localeCompare(b.corp_name || ""));
+}
+
+/**
+ * 이번 실행 결과를 아카이브에 합침
+ * @param {object[]} items   ipo.json items (유형 필터까지 거친 것)
+ * @param {{ dir?: string, runAt: string, range: {start:string, end:string} }} opts
+ * @returns {{ added: number, updated: number, months: string[] }}  months: 바뀐 달
+ */
+export function mergeIntoArchive(items, { dir = DEFAULT_ARCHIVE_DIR, runAt, range }) {
+  const archive = loadArchive(dir);
+  const before = snapshotOf(archive);
+  let added = 0;
+  let updated = 0;
+
+  for (const it of items) {
+    const month = monthOf(it);
+    if (!month) continue;
+
+    // 같은 공모가 이미 있으면 (앞뒤 달 포함) 그 자리에서 합침
+    let found = null;
+    for (const [m, list] of archive) {
+      const idx = list.findIndex((x) => sameOffering(x, it));
+      if (idx >= 0) { found = { m, list, idx }; break; }
+    }
+
+    if (!found) {
+      if (!archive.has(month)) archive.set(month, []);
+      archive.get(month).push({ ...it, first_seen_at: runAt });
+      added++;
+      continue;
+    }
+
+    const merged = mergeItem(found.list[found.idx], it, range, runAt);
+    updated++;
+    // 정정으로 청약 시작월이 바뀌었으면 해당 달 파일로 옮김
+    if (monthOf(merged) !== found.m) {
+      found.list.splice(found.idx, 1);
+      if (!archive.has(monthOf(merged))) archive.set(monthOf(merged), []);
+      archive.get(monthOf(merged)).push(merged);
+    } else {
+      found.list[found.idx] = merged;
+    }
+  }
+
+  return { added, updated, months: writeArchive(dir, archive, before, runAt) };
+}
+
+/**
+ * 아카이브를 읽어서 update(archive) 로 고친 뒤 바뀐 달만 다시 씀 (상장 결과 채우기 등)
+ * @param {(archive: Map<string, object[]>) => Promise<void>|void} update  아이템을 제자리에서 고침
+ * @returns {Promise<string[]>} 바뀐 달
+ */
+export async function updateArchive(dir, runAt, update) {
+  const archive = loadArchive(dir);
+  const before = snapshotOf(archive);
+  await update(archive);
+  return writeArchive(dir, archive, before, runAt);
+}
+
+function snapshotOf(archive) {
+  return new Map([...archive].map(([m, list]) => [m, JSON.stringify(list)]));
+}
+
+function writeArchive(dir, archive, before, runAt) {
+  const absDir = path.resolve(dir);
+  fs.mkdirSync(absDir, { recursive: true });
+  const changedMonths = [];
+  for (const [m, list] of archive) {
+    sortItems(list);
+    // 내용이 그대로인 달은 다시 쓰지 않음 (updated_at 만 바뀌는 커밋 방지)
+    if (before.get(m) === JSON.stringify(list)) continue;
+    changedMonths.push(m);
+    const data = { version: ARCHIVE_VERSION, month: m, updated_at: runAt, count: list.length, items: list };
+    fs.writeFileSync(path.join(absDir, `${m}.json`), JSON.stringify(data, null, 2), "utf-8");
+  }
+
+  if (changedMonths.length || !fs.existsSync(path.join(absDir, "index.json"))) writeArchiveIndex(absDir, archive, runAt);
+  return changedMonths.sort();
+}
+
+function writeArchiveIndex(absDir, archive, runAt) {
+  const months = [...archive.keys()].sort().map((m) => ({ month: m, count: archive.get(m).length, file: `${m}.json` }));
+  const data = { version: ARCHIVE_VERSION, updated_at: runAt, months };
+  fs.writeFileSync(path.join(absDir, "index.json"), JSON.stringify(data, null, 2), "utf-8");
+}
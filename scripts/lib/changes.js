@@ -0,0 +1,118 @@
+/**
+ * 실행 간 변경 내역 (docs/data/changes.json)
+ *  - 직전 ipo.json 과 이번 결과를 비교해서 added / removed / rescheduled / reclassified 목록을 만든다
+ *  - 아이템 식별: 시장 + 회사명 (정정신고서가 나오면 rcpNo 가 바뀌므로 rcpNo 로는 못 묶음)
+ *  - changes.json 은 최신 실행(latest) + 최근 N회 실행 이력(history, 최신순)
+ *
+ * 프론트/알림 쪽은 latest 만 보면 "이번에 뭐가 바뀌었나"를 알 수 있음
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_HISTORY_RUNS = 30;
+const CHANGES_VERSION = 1;
+
+export function itemKey(it) {
+  return `${it.market_short || ""}||${it.corp_name || ""}`;
+}
+
+function brief(it) {
+  return {
+    key: itemKey(it),
+    corp_name: it.corp_name,
+    market: it.market || "",
+    rcpNo: it.rcpNo || "",
+    sbd_start: it.sbd_start || null,
+    sbd_end: it.sbd_end || null,
+    offer_type: it.offer_type || "unknown",
+  };
+}
+
+function scheduleOf(it) {
+  return { sbd_start: it.sbd_start || null, sbd_end: it.sbd_end || null, schedule: it.schedule || null };
+}
+
+/**
+ * @param {object|null} previous 직전 ipo.json (없으면 null → 전부 added)
+ * @param {object} next          이번 ipo.json payload
+ * @param {string} runAt         실행 시각 (ISO)
+ */
+export function diffRuns(previous, next, runAt) {
+  const prevItems = new Map((previous?.items || []).map((it) => [itemKey(it), it]));
+  const nextItems = new Map((next?.items || []).map((it) => [itemKey(it), it]));
+
+  const added = [];
+  const removed = [];
+  const rescheduled = [];
+  const reclassified = [];
+
+  for (const [k, it] of nextItems) {
+    const before = prevItems.get(k);
+    if (!before) {
+      added.push(brief(it));
+      continue;
+    }
+    const a = scheduleOf(before);
+    const b = scheduleOf(it);
+    if (JSON.stringify(a) !== JSON.stringify(b)) rescheduled.push({ ...brief(it), before: a, after: b });
+
+    if ((before.offer_type || "unknown") !== (it.offer_type || "unknown")) {
+      reclassified.push({
+        ...brief(it),
+        before: { offer_type: before.offer_type || "unknown", offer_reason: before.offer_reason || "" },
+        after: { offer_type: it.offer_type || "unknown", offer_reason: it.offer_reason || "" },
+      });
+    }
+  }
+
+  const rangeStart = next?.range?.start || "";
+  for (const [k, it] of prevItems) {
+    if (nextItems.has(k)) continue;
+    // 기간이 지나서 빠진 건지, 데이터에서 사라진 건지 구분
+    const reason = rangeStart && it.sbd_end && it.sbd_end < rangeStart ? "out_of_range" : "missing";
+    removed.push({ ...brief(it), reason });
+  }
+
+  return {
+    run_at: runAt,
+    previous_updated_kst: previous?.last_updated_kst || null,
+    range: next?.range || null,
+    counts: {
+      added: added.length,
+      removed: removed.length,
+      rescheduled: rescheduled.length,
+      reclassified: reclassified.length,
+    },
+    added,
+    removed,
+    rescheduled,
+    reclassified,
+  };
+}
+
+export function hasChanges(run) {
+  return Object.values(run.counts).some((n) => n > 0);
+}
+
+function readChangesFile(absPath) {
+  try {
+    const obj = JSON.parse(fs.readFileSync(absPath, "utf-8"));
+    if (obj && obj.version === CHANGES_VERSION && Array.isArray(obj.history)) return obj;
+  } catch {
+    // 없거나 깨졌으면 새로 시작
+  }
+  return { version: CHANGES_VERSION, updated_at: null, latest: null, history: [] };
+}
+
+/** 이번 실행을 changes.json 에 추가 (history 는 최신순 maxRuns 개 유지) */
+export function appendChangeRun(changesPath, run, maxRuns = DEFAULT_HISTORY_RUNS) {
+  const absPath = path.resolve(changesPath);
+  const data = readChangesFile(absPath);
+  data.updated_at = run.run_at;
+  data.latest = run;
+  data.history = [run, ...data.history].slice(0, Math.max(1, maxRuns));
+  fs.mkdirSync(path.dirname(absPath), { recursive: true });
+  fs.writeFileSync(absPath, JSON.stringify(data, null, 2), "utf-8");
+  return data;
+}
@@ -0,0 +1,201 @@
+/**
+ * 증권신고서(지분증권) 원문 텍스트로 "공모주(IPO) vs 유상증자" 판정 (점수제)
+ *
+ * 예전 방식(유상증자 키워드가 하나라도 있으면 rights)은 IPO 신고서의 위험요소/자본금변동 섹션에
+ * "신주인수권", "제3자배정" 같은 말이 흔히 나와서 진짜 IPO를 떨어뜨렸음.
+ *
+ * 점수 규칙:
+ *  - 규칙마다 가중치(weight). 표지(cover: 문서 제목 + 원문 앞부분)에서 나오면 COVER_MULTIPLIER 배
+ *  - 같은 용어가 본문에서 여러 번 나와도 MAX_HITS_PER_RULE 번까지만 셈
+ *  - negative: 해당 용어 주변(±CONTEXT_CHARS) 문맥이 이 패턴에 걸리면 그 출현은 무시 (근거에 "ignored" 로 남김)
+ *  - 총점이 MIN_SCORE 미만이거나 confidence 가 MIN_CONFIDENCE 미만이면 unknown
+ *
+ * 결과의 evidence 는 판정에 기여한 문구(앞뒤 문맥 포함) 목록 → offer_reason 에 그대로 사용
+ *
+ * ipo 로 판정되면 회사명과 표지 문구로 세부 유형(스팩/리츠/인프라/재상장/이전상장/코넥스/기타)을 붙임
+ * → type 은 taxonomy.js 의 OFFER_TYPES 중 하나, family 는 점수제 판정 그대로(ipo | rights | unknown)
+ * 세부 유형은 표지에서만 찾는다 (본문 위험요소/비교회사 설명에 "재상장", "코넥스" 가 흔히 나옴)
+ */
+
+// 점수제 분류기 버전 — 규칙을 바꾸면 올려서 예전 캐시 결과를 버리게 한다
+export const CLASSIFIER_VERSION = 3;
+
+const COVER_CHARS = 2000;
+const COVER_MULTIPLIER = 3;
+const CONTEXT_CHARS = 40;
+const MAX_HITS_PER_RULE = 3;
+const MIN_SCORE = 4;
+const MIN_CONFIDENCE = 0.65;
+const EVIDENCE_LIMIT = 6;
+
+// 과거 이력/자본금 변동 등 "예전에 있었던 일" 문맥
+const HISTORY_CONTEXT = /(과거|최근\s*\d+\s*년|자본금\s*변동|증자\s*\(?\s*감자\s*\)?\s*현황|연혁|발행\s*이력)/;
+
+const RULES = [
+  // ---- 유상증자
+  { type: "rights", term: "주주배정", weight: 5, negative: [HISTORY_CONTEXT] },
+  { type: "rights", term: "주주우선공모", weight: 5, negative: [HISTORY_CONTEXT] },
+  { type: "rights", term: "일반공모(유상증자)", weight: 5 },
+  { type: "rights", term: "실권주", weight: 3, negative: [HISTORY_CONTEXT] },
+  { type: "rights", term: "구주주", weight: 3, negative: [HISTORY_CONTEXT] },
+  { type: "rights", term: "신주배정기준일", weight: 3 },
+  { type: "rights", term: "유상증자", weight: 2, negative: [HISTORY_CONTEXT] },
+  { type: "rights", term: "제3자배정", weight: 1, negative: [HISTORY_CONTEXT] },
+  { type: "rights", term: "제3자 배정", weight: 1, negative: [HISTORY_CONTEXT] },
+  {
+    type: "rights",
+    term: "신주인수권",
+    weight: 1,
+    // 신주인수권부사채/스톡옵션/희석 위험 설명은 IPO 신고서에도 흔함
+    negative: [/신주인수권\s*부\s*사채|신주인수권증서|신주인수권\s*행사|주식매수선택권|희석|위험/, HISTORY_CONTEXT],
+  },
+
+  // ---- 신규상장(IPO)
+  { type: "ipo", term: "신규상장", weight: 5 },
+  { type: "ipo", term: "상장예정", weight: 4 },
+  { type: "ipo", term: "상장 예정", weight: 4 },
+  { type: "ipo", term: "상장예비심사", weight: 4 },
+  { type: "ipo", term: "상장심사", weight: 3 },
+  { type: "ipo", term: "예비상장", weight: 3 },
+  { type: "ipo", term: "코스닥시장 상장", weight: 3 },
+  { type: "ipo", term: "유가증권시장 상장", weight: 3 },
+  { type: "ipo", term: "기관투자자 수요예측", weight: 3 },
+  { type: "ipo", term: "수요예측", weight: 2 },
+  { type: "ipo", term: "희망공모가액", weight: 3 },
+  { type: "ipo", term: "공모가", weight: 1 },
+  { type: "ipo", term: "대표주관회사", weight: 1 },
+  { type: "ipo", term: "기업인수목적회사", weight: 4 },
+];
+
+// 상장성 공모 세부 유형 — 위에서부터 처음 걸리는 것 (아무것도 없으면 ipo)
+const SUBTYPE_RULES = [
+  { type: "spac", name: /스팩|기업인수목적/, cover: /기업인수목적회사/ },
+  { type: "reit", name: /리츠|reit/i, cover: /부동산투자회사/ },
+  { type: "infra", name: /인프라/, cover: /사회기반시설|인프라\s*투융자회사|투융자회사/ },
+  { type: "relisting", cover: /재상장/ },
+  { type: "transfer", cover: /이전\s*상장/ },
+  { type: "konex", cover: /코넥스\s*시장\s*(신규\s*)?상장/ },
+  { type: "other", cover: /선박투자회사|주식예탁증권|해외\s*원주/ },
+];
+
+/** @returns {{ type: string, source: "name"|"cover"|"default", term: string, snippet: string }} */
+function detectListingSubtype(corpName, cover) {
+  for (const rule of SUBTYPE_RULES) {
+    const nm = rule.name && String(corpName || "").match(rule.name);
+    if (nm) return { type: rule.type, source: "name", term: nm[0], snippet: corpName };
+    const cm = rule.cover && cover.match(rule.cover);
+    if (cm) return { type: rule.type, source: "cover", term: cm[0], snippet: snippetAt(cover, cm.index, cm[0].length) };
+  }
+  return { type: "ipo", source: "default", term: "", snippet: "" };
+}
+
+function occurrences(text, term) {
+  const out = [];
+  let i = text.indexOf(term);
+  while (i !== -1) {
+    out.push(i);
+    i = text.indexOf(term, i + term.length);
+  }
+  return out;
+}
+
+function snippetAt(text, idx, len) {
+  const s = Math.max(0, idx - CONTEXT_CHARS);
+  const e = Math.min(text.length, idx + len + CONTEXT_CHARS);
+  return `${s > 0 ? "…" : ""}${text.slice(s, e)}${e < text.length ? "…" : ""}`;
+}
+
+function contextAt(text, idx, len) {
+  return text.slice(Math.max(0, idx - CONTEXT_CHARS), Math.min(text.length, idx + len + CONTEXT_CHARS));
+}
+
+/**
+ * @param {{ title?: string, text: string, corpName?: string }} doc
+ *   title: 문서 제목(dsaf001 목차 텍스트 등), text: 원문 전체(정규화된 텍스트), corpName: 캘린더 회사명(세부 유형용)
+ * @returns {{ type: string, family: "ipo"|"rights"|"unknown", subtype: object|null, confidence: number,
+ *             scores: {ipo:number, rights:number}, keywords: string[], evidence: object[], ignored: object[], reason: string }}
+ */
+export function scoreFilingText({ title = "", text = "", corpName = "" }) {
+  const full = `${title}\n${text}`;
+  const coverEnd = title.length + 1 + COVER_CHARS;
+
+  const scores = { ipo: 0, rights: 0 };
+  const evidence = [];
+  const ignored = [];
+
+  for (const rule of RULES) {
+    let counted = 0;
+    for (const idx of occurrences(full, rule.term)) {
+      const ctx = contextAt(full, idx, rule.term.length);
+      const neg = (rule.negative || []).find((re) => re.test(ctx));
+      const zone = idx < coverEnd ? "cover" : "body";
+      const snippet = snippetAt(full, idx, rule.term.length);
+
+      if (neg) {
+        ignored.push({ type: rule.type, term: rule.term, zone, snippet, why: String(neg) });
+        continue;
+      }
+      if (zone === "body" && counted >= MAX_HITS_PER_RULE) continue;
+
+      const points = rule.weight * (zone === "cover" ? COVER_MULTIPLIER : 1);
+      scores[rule.type] += points;
+      counted++;
+      evidence.push({ type: rule.type, term: rule.term, zone, points, snippet });
+    }
+  }
+
+  const total = scores.ipo + scores.rights;
+  const winner = scores.ipo >= scores.rights ? "ipo" : "rights";
+  const top = scores[winner];
+  const confidence = total > 0 ? Math.round((top / total) * 100) / 100 : 0;
+
+  let family = winner;
+  if (top < MIN_SCORE || confidence < MIN_CONFIDENCE) family = "unknown";
+
+  const subtype = family === "ipo" ? detectListingSubtype(corpName, full.slice(0, coverEnd)) : null;
+  const type = subtype ? subtype.type : family;
+
+  // 판정을 만든 근거: 이긴 쪽을 점수순으로 (unknown 이면 양쪽 다)
+  const deciding = evidence
+    .filter((e) => family === "unknown" || e.type === family)
+    .sort((a, b) => b.points - a.points)
+    .slice(0, EVIDENCE_LIMIT);
+
+  const keywords = [...new Set(evidence.map((e) => e.term))];
+
+  return {
+    type,
+    family,
+    subtype,
+    confidence,
+    scores,
+    keywords,
+    evidence: deciding,
+    ignored: ignored.slice(0, EVIDENCE_LIMIT),
+    reason: explainDecision(type, confidence, scores, deciding, ignored, subtype),
+  };
+}
+
+const ZONE_LABEL = { cover: "표지", body: "본문" };
+
+const SUBTYPE_SOURCE_LABEL = { name: "회사명", cover: "표지" };
+
+function explainDecision(type, confidence, scores, deciding, ignored, subtype) {
+  const head = type === "unknown"
+    ? `판정 보류 (ipo ${scores.ipo} : rights ${scores.rights})`
+    : `${type} (신뢰도 ${confidence}, ipo ${scores.ipo} : rights ${scores.rights})`;
+
+  const terms = [];
+  for (const e of deciding) {
+    const label = `${ZONE_LABEL[e.zone]} '${e.term}' +${e.points}`;
+    if (!terms.includes(label)) terms.push(label);
+  }
+  const parts = [head];
+  if (subtype && subtype.source !== "default") parts.push(`유형: ${SUBTYPE_SOURCE_LABEL[subtype.source]} '${subtype.term}'`);
+  if (terms.length) parts.push(`근거: ${terms.join(", ")}`);
+  if (ignored.length) {
+    const ig = [...new Set(ignored.map((e) => `'${e.term}'`))].slice(0, 3);
+    parts.push(`무시: ${ig.join(", ")} (문맥상 이력/위험 설명)`);
+  }
+  return parts.join(" · ");
+}
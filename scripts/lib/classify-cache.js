@@ -0,0 +1,109 @@
+/**
+ * rcpNo 분류 결과 캐시 (docs/data/cache/classify.json)
+ *  - 같은 공시(rcpNo)의 분류는 거의 안 바뀌므로, 실행마다 dsaf001 + viewer.do 를 다시 받지 않도록 디스크에 저장
+ *  - 항목: { rcpNo, corp_name, type, confidence, reason, keywords, evidence, viewer_url, picked, classifier, fetched_at }
+ *
+ * 무효화:
+ *  - 같은 회사의 더 최신 rcpNo(정정신고서 등)가 보이면, 그보다 오래된 항목은 superseded_by 로 만료 표시
+ *    (rcpNo 앞 8자리가 접수일이라 문자열 비교로 신구 판단 가능)
+ *    회사 분류에는 항상 최신 신고서를 쓰고, 만료된 항목은 정정 전후 비교용으로만 남겨둠
+ *    → get() 은 만료된 항목을 miss 로 보고, 비교용으로 읽을 때만 { superseded: true }
+ *  - --refresh-classify 면 캐시를 읽지 않고 전부 다시 받음 (결과는 다시 저장)
+ *  - 분류기 버전(classifier)이 다른 항목은 읽지 않음 (규칙이 바뀌면 자연스럽게 재분류)
+ *  - 일시적 오류로 생긴 unknown 은 저장하지 않음
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_CLASSIFY_CACHE = "docs/data/cache/classify.json";
+const CACHE_VERSION = 1;
+
+function emptyCache() {
+  return { version: CACHE_VERSION, updated_at: null, latest_by_corp: {}, entries: {} };
+}
+
+function readCacheFile(absPath) {
+  if (!fs.existsSync(absPath)) return emptyCache();
+  try {
+    const obj = JSON.parse(fs.readFileSync(absPath, "utf-8"));
+    if (!obj || obj.version !== CACHE_VERSION) return emptyCache();
+    return { ...emptyCache(), ...obj };
+  } catch {
+    return emptyCache();
+  }
+}
+
+/**
+ * @param {{ file?: string, refresh?: boolean, disabled?: boolean, classifierVersion: string }} opts
+ *   classifierVersion: filings.js FILING_CACHE_VERSION (필수 — 빠뜨리면 모든 항목이 miss 가 되므로 바로 에러)
+ */
+export function openClassifyCache({ file = DEFAULT_CLASSIFY_CACHE, refresh = false, disabled = false, classifierVersion }) {
+  if (!classifierVersion) throw new Error("openClassifyCache: classifierVersion 이 필요함");
+  const absPath = path.resolve(file);
+  const data = disabled ? emptyCache() : readCacheFile(absPath);
+  const stats = { hits: 0, misses: 0, stored: 0, expired: 0 };
+
+  function expireOlderThan(corpName, rcpNo) {
+    for (const [k, e] of Object.entries(data.entries)) {
+      if (e.corp_name === corpName && k < rcpNo && e.superseded_by !== rcpNo) {
+        e.superseded_by = rcpNo;
+        stats.expired++;
+      }
+    }
+  }
+
+  return {
+    stats,
+
+    /** 이번 실행에서 회사의 공시 rcpNo 를 봤음을 알림 -> 더 최신이면 예전 항목 만료 표시 */
+    noteFiling(corpName, rcpNo) {
+      if (!corpName || !rcpNo) return;
+      const prev = data.latest_by_corp[corpName];
+      if (!prev || rcpNo > prev) {
+        data.latest_by_corp[corpName] = rcpNo;
+        expireOlderThan(corpName, rcpNo);
+      }
+    },
+
+    /** 회사의 알려진 최신 rcpNo — 그 분류가 캐시에 있을 때만 (없으면 null) */
+    latestFor(corpName) {
+      const rcpNo = data.latest_by_corp[corpName];
+      const e = rcpNo ? data.entries[rcpNo] : null;
+      return e && e.classifier === classifierVersion && !e.superseded_by ? rcpNo : null;
+    },
+
+    /** @param {{ superseded?: boolean }} [opts] superseded: 만료된 항목도 돌려줌 (정정 전후 비교용) */
+    get(rcpNo, { superseded = false } = {}) {
+      if (disabled || refresh) { stats.misses++; return null; }
+      const e = data.entries[rcpNo];
+      if (!e || e.classifier !== classifierVersion || (e.superseded_by && !superseded)) { stats.misses++; return null; }
+      stats.hits++;
+      return e;
+    },
+
+    set(rcpNo, corpName, cls) {
+      if (disabled) return;
+      if (cls.type === "unknown" && cls.transient) return;
+      // 정정 전 신고서를 비교용으로 받아 저장하는 경우: 더 최신이 이미 보였으면 처음부터 만료 표시
+      const latest = data.latest_by_corp[corpName];
+      data.entries[rcpNo] = {
+        ...cls,
+        rcpNo,
+        corp_name: corpName,
+        classifier: classifierVersion,
+        fetched_at: cls.fetched_at || new Date().toISOString(),
+        ...(latest && latest > rcpNo ? { superseded_by: latest } : {}),
+      };
+      stats.stored++;
+      this.noteFiling(corpName, rcpNo);
+    },
+
+    save() {
+      if (disabled) return;
+      data.updated_at = new Date().toISOString();
+      fs.mkdirSync(path.dirname(absPath), { recursive: true });
+      fs.writeFileSync(absPath, JSON.stringify(data, null, 2), "utf-8");
+    },
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * update-ipo.js 서브커맨드용 인자 파싱 / 도움말 / 종료 코드
+ *
+ * 종료 코드 (모든 서브커맨드 공통):
+ *  0  성공 (validate: 문제 없음, diff: 차이 없음)
+ *  1  점검 실패 — run: 점검에 걸려 이전 파일 유지 / --golden 불일치, backfill: 실패한 달 있음,
+ *     validate: 스키마 오류, diff: 차이 있음 (diff(1) 과 같은 의미)
+ *  2  사용법 오류 (모르는 명령, 필수 인자 없음, 파일 못 읽음)
+ *  3  실행 중 오류 (네트워크/파서 예외 등)
+ */
+
+export const EXIT = { OK: 0, FAILED: 1, USAGE: 2, ERROR: 3 };
+
+/** 사용법 오류 (종료 코드 2 + 해당 명령 도움말) */
+export function usageError(message) {
+  const err = new Error(message);
+  err.code = "USAGE";
+  return err;
+}
+
+// --k v 옵션은 args[k], 나머지(서브커맨드 / 위치 인자)는 args._
+export function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) {
+      const k = a.slice(2);
+      const v = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : true;
+      args[k] = v;
+    } else if (a === "-h") {
+      args.help = true;
+    } else {
+      args._.push(a);
+    }
+  }
+  return args;
+}
+
+export function parseOnOff(v, fallback) {
+  if (v === undefined) return fallback;
+  if (v === true) return true;
+  return !/^(off|false|no|0)$/i.test(String(v));
+}
+
+// 숫자 옵션: 없거나 이상한 값이면 undefined (→ 기본값)
+export function numArg(v) {
+  const n = Number(v);
+  return v !== undefined && v !== true && Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
+/**
+ * @param {Record<string, { usage: string, summary: string, help?: string }>} commands
+ * @param {string} [name]  주면 그 명령의 자세한 도움말
+ */
+export function formatHelp(commands, name) {
+  const prog = "node scripts/update-ipo.js";
+  if (name && commands[name]) {
+    const c = commands[name];
+    return [`사용법: ${prog} ${c.usage}`, "", c.summary, ...(c.help ? ["", c.help.trimEnd()] : [])].join("\n");
+  }
+  const width = Math.max(...Object.keys(commands).map((k) => k.length));
+  return [
+    `사용법: ${prog} <명령> [옵션]   (명령을 생략하면 run)`,
+    "",
+    "명령:",
+    ...Object.entries(commands).map(([k, c]) => `  ${k.padEnd(width)}  ${c.summary}`),
+    "",
+    `명령별 옵션: ${prog} help <명령>  또는  ${prog} <명령> --help`,
+    "종료 코드: 0 성공 · 1 점검 실패/차이 있음 · 2 사용법 오류 · 3 실행 중 오류",
+  ].join("\n");
+}
@@ -0,0 +1,58 @@
+/**
+ * 캘린더(dsac008) 와 OpenDART 결과 합치기 + 교차 확인 (--source both)
+ *  - 회사명(listed-filter 의 정규화) 으로 짝지음 — rcpNo 는 한쪽이 정정 전 신고서일 수 있어서 못 씀
+ *  - 양쪽에 다 있으면 캘린더 아이템을 기본으로 두고 OpenDART 의 stock_code / corp_code 만 더함
+ *  - 한쪽에만 있는 것도 결과에는 넣음 (어느 쪽이 빠뜨렸는지는 report 로 남김)
+ *  - 청약 시작/종료일이 다르면 date_mismatch 로 기록 (값은 캘린더 쪽 유지)
+ */
+
+import { normalizeCorpName } from "./listed-filter.js";
+import { extractRcpNo } from "./util.js";
+
+function brief(it) {
+  return { corp_name: it.corp_name, sbd_start: it.sbd_start || null, sbd_end: it.sbd_end || null, rcpNo: extractRcpNo(it.href) };
+}
+
+/**
+ * @returns {{ items: object[], report: { matched: number, calendar_only: object[], opendart_only: object[], date_mismatch: object[] } }}
+ */
+export function crossCheckSources(calendarItems, apiItems) {
+  const api = new Map();
+  for (const it of apiItems) {
+    const k = normalizeCorpName(it.corp_name);
+    if (k && !api.has(k)) api.set(k, it);
+  }
+
+  const items = [];
+  const report = { matched: 0, calendar_only: [], opendart_only: [], date_mismatch: [] };
+  const used = new Set();
+
+  for (const it of calendarItems) {
+    const k = normalizeCorpName(it.corp_name);
+    const other = api.get(k);
+    if (!other) {
+      report.calendar_only.push(brief(it));
+      items.push({ ...it, sources: ["calendar"] });
+      continue;
+    }
+    used.add(k);
+    report.matched++;
+    if (it.sbd_start !== other.sbd_start || it.sbd_end !== other.sbd_end) {
+      report.date_mismatch.push({ corp_name: it.corp_name, calendar: brief(it), opendart: brief(other) });
+    }
+    items.push({
+      ...it,
+      stock_code: it.stock_code || other.stock_code || "",
+      corp_code: it.corp_code || other.corp_code || "",
+      sources: ["calendar", "opendart"],
+    });
+  }
+
+  for (const [k, it] of api) {
+    if (used.has(k)) continue;
+    report.opendart_only.push(brief(it));
+    items.push({ ...it, sources: ["opendart"] });
+  }
+
+  return { items, report };
+}
@@ -0,0 +1,645 @@
+/**
+ * 캘린더 소스: DART 공모정보 > 청약 달력(지분증권) (dsac008)
+ *  - http    : fetch 로 월 이동 (표시 연/월 검증 + 대체 전략, 마지막 대안으로 헤드리스 브라우저)
+ *  - browser : 처음부터 헤드리스 브라우저(playwright)로 월 이동
+ * 어느 쪽이든 같은 HTML 파서(parseCalendarMonth)와 병합(mergeEventsToItems)을 거친다.
+ * 파서는 달력 표를 주 × 요일 격자로 읽고(앞뒤 달 칸은 제 날짜로), 시장은 링크의 아이콘/태그 요소에서,
+ * 이벤트마다 rcpNo 를 붙인다.
+ */
+
+import iconv from "iconv-lite";
+import * as cheerio from "cheerio";
+import { pad2, toISODate, normalizeText, kstTodayISO, marketFromShort, extractRcpNo } from "./util.js";
+
+export const DART_CAL_URL = "https://dart.fss.or.kr/dsac008/main.do";
+
+// 디코딩 후보 채점용: 제대로 읽힌 한글이면 "[시작]" / "[종료]" 가 보임
+const EVENT_MARK_RE = /\[\s*(시작|종료)\s*\]/g;
+
+export const CALENDAR_SOURCES = ["http", "browser"];
+
+// ---------------- charset decode ----------------
+export function extractCharset(contentType) {
+  const ct = (contentType || "").toLowerCase();
+  const m = ct.match(/charset\s*=\s*([a-z0-9_\-]+)/i);
+  return m ? m[1].toLowerCase() : "";
+}
+export function decodeByCharset(buffer, charset) {
+  const cs = (charset || "").toLowerCase();
+  if (cs.includes("euc-kr") || cs.includes("ks_c_5601") || cs.includes("ksc5601")) {
+    return iconv.decode(buffer, "euc-kr");
+  }
+  return buffer.toString("utf-8");
+}
+function scoreForEvents(html) {
+  const matches = (html || "").match(EVENT_MARK_RE);
+  return matches ? matches.length : 0;
+}
+function pickBestDecodedHTML(buffer, contentType) {
+  const headerCS = extractCharset(contentType);
+  const primary = decodeByCharset(buffer, headerCS || "utf-8");
+  const primaryScore = scoreForEvents(primary);
+
+  const altCS =
+    headerCS.includes("euc") || headerCS.includes("ksc") ? "utf-8" : "euc-kr";
+  const alt = decodeByCharset(buffer, altCS);
+  const altScore = scoreForEvents(alt);
+
+  if (altScore > primaryScore) {
+    return { html: alt, picked: altCS, score: altScore, altScore: primaryScore };
+  }
+  return { html: primary, picked: headerCS || "utf-8", score: primaryScore, altScore };
+}
+
+// ---------------- cookie jar (캘린더 월 이동 안정화) ----------------
+function getSetCookieStrings(headers) {
+  if (typeof headers.getSetCookie === "function") return headers.getSetCookie();
+  const sc = headers.get("set-cookie");
+  return sc ? [sc] : [];
+}
+function parseCookiePair(setCookieLine) {
+  const first = (setCookieLine || "").split(";")[0]?.trim();
+  if (!first) return null;
+  const eq = first.indexOf("=");
+  if (eq <= 0) return null;
+  return { name: first.slice(0, eq).trim(), value: first.slice(eq + 1).trim() };
+}
+class CookieJar {
+  constructor() { this.map = new Map(); }
+  absorbFromResponse(res) {
+    const arr = getSetCookieStrings(res.headers);
+    for (const line of arr) {
+      const kv = parseCookiePair(line);
+      if (kv) this.map.set(kv.name, kv.value);
+    }
+  }
+  headerValue() {
+    if (this.map.size === 0) return "";
+    return [...this.map.entries()].map(([k, v]) => `${k}=${v}`).join("; ");
+  }
+}
+
+// ---------------- 달력에 실제로 표시된 연/월 ----------------
+// DART가 월 이동 폼을 무시하고 이번 달을 그대로 돌려주는 경우가 있음
+// (3월/4월 POST 응답이 bootstrap GET 과 바이트 단위로 같았던 사례)
+// -> 응답 페이지가 보여주는 연/월을 읽어서 요청한 연/월과 비교한다.
+function numFromControl($, name) {
+  const sel = $(`select[name='${name}'], select#${name}`).first();
+  if (sel.length) {
+    const opt = sel.find("option[selected]").first();
+    const v = String(opt.attr("value") || opt.text() || "").replace(/\D/g, "");
+    if (v) return Number(v);
+  }
+  const inp = $(`input[name='${name}']`).first();
+  if (inp.length) {
+    const v = String(inp.attr("value") || "").replace(/\D/g, "");
+    if (v) return Number(v);
+  }
+  return null;
+}
+
+export function detectShownMonth(html) {
+  const $ = cheerio.load(html || "");
+
+  // 1) 연/월 select(또는 hidden input)의 선택값
+  const y = numFromControl($, "selectYear");
+  const m = numFromControl($, "selectMonth");
+  if (y >= 2000 && y <= 2099 && m >= 1 && m <= 12) return { y, m, via: "select" };
+
+  // 2) 달력 제목 텍스트: "2026.03" / "2026년 3월" (공시일자 같은 "2026.03.07"은 제외)
+  const titles = $("h1, h2, h3, h4, caption, .title, strong")
+    .toArray()
+    .map((el) => normalizeText($(el).text()))
+    .filter((t) => t && t.length <= 40);
+  for (const t of titles) {
+    const mm = t.match(/(20\d{2})\s*(?:년|[.\-/])\s*(\d{1,2})(?!\s*[.\-/]\s*\d|\d)\s*월?/);
+    if (mm && Number(mm[2]) >= 1 && Number(mm[2]) <= 12) {
+      return { y: Number(mm[1]), m: Number(mm[2]), via: "title" };
+    }
+  }
+  return null;
+}
+
+// ---------------- fetch calendar month ----------------
+const CAL_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (compatible; ipo-calender-bot/1.0)",
+  "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+  "Accept-Language": "ko-KR,ko;q=0.9,en-US;q=0.7,en;q=0.6",
+  "Cache-Control": "no-cache",
+  "Pragma": "no-cache",
+  "Referer": DART_CAL_URL,
+};
+
+async function fetchDecoded(http, url, init, jar) {
+  const cookie = jar ? jar.headerValue() : "";
+  const res = await http.fetch(url, {
+    ...init,
+    headers: { ...CAL_HEADERS, ...(init.headers || {}), ...(cookie ? { Cookie: cookie } : {}) },
+  });
+  if (jar) jar.absorbFromResponse(res);
+  const buf = Buffer.from(await res.arrayBuffer());
+  const ct = res.headers.get("content-type") || "";
+  const dec = pickBestDecodedHTML(buf, ct);
+  return { res, buf, ct, dec };
+}
+
+function monthForm(y, m, extra = {}) {
+  const form = new URLSearchParams(extra);
+  form.set("selectYear", String(y));
+  form.set("selectMonth", pad2(m));
+  form.set("search", "검색");
+  return form;
+}
+
+// bootstrap 페이지의 월 이동 폼(action + hidden input)을 그대로 재현
+function extractMonthForm(html) {
+  const $ = cheerio.load(html || "");
+  const form = $("form").filter((_, f) => $(f).find("[name='selectYear'], [name='selectMonth']").length > 0).first();
+  if (!form.length) return null;
+  const fields = {};
+  form.find("input[name]").each((_, el) => {
+    const type = String($(el).attr("type") || "").toLowerCase();
+    if (type === "submit" || type === "button" || type === "image") return;
+    fields[$(el).attr("name")] = $(el).attr("value") || "";
+  });
+  const action = form.attr("action") ? new URL(form.attr("action"), DART_CAL_URL).toString() : DART_CAL_URL;
+  return { action, fields };
+}
+
+// 월 이동 방법들 (앞에서부터 시도, 표시 연/월이 요청과 맞으면 채택)
+const MONTH_STRATEGIES = [
+  {
+    // 기존 방식: bootstrap GET -> 같은 세션으로 POST
+    name: "post",
+    async run(ctx, y, m, boot) {
+      return fetchDecoded(ctx.http, DART_CAL_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: monthForm(y, m).toString(),
+      }, boot.jar);
+    },
+  },
+  {
+    // 쿼리스트링 GET
+    name: "get-query",
+    async run(ctx, y, m, boot) {
+      const url = `${DART_CAL_URL}?selectYear=${y}&selectMonth=${pad2(m)}`;
+      return fetchDecoded(ctx.http, url, { method: "GET" }, boot.jar);
+    },
+  },
+  {
+    // 새 세션으로 다시 bootstrap 후, 페이지 폼(action/hidden)을 그대로 채워 POST
+    name: "fresh-session-post",
+    async run(ctx, y, m) {
+      const jar = new CookieJar();
+      const b = await fetchDecoded(ctx.http, DART_CAL_URL, { method: "GET" }, jar);
+      const f = extractMonthForm(b.dec.html);
+      return fetchDecoded(ctx.http, f?.action || DART_CAL_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: monthForm(y, m, f?.fields || {}).toString(),
+      }, jar);
+    },
+  },
+  {
+    // 헤드리스 브라우저 (playwright 가 설치되어 있을 때만, replay 에서는 생략)
+    name: "browser",
+    async run(ctx, y, m) {
+      if (ctx.http.offline) return { skipped: "replay mode" };
+      const browser = await ctx.getBrowser();
+      if (!browser) return { skipped: "playwright not installed" };
+      const html = await browser.monthHtml(y, m);
+      const buf = Buffer.from(html, "utf-8");
+      return { res: { status: 200 }, buf, ct: "text/html; charset=utf-8", dec: pickBestDecodedHTML(buf, "text/html; charset=utf-8") };
+    },
+  },
+];
+
+/**
+ * 요청한 연/월의 달력 HTML을 가져온다.
+ * - 응답에 표시된 연/월이 요청과 다르면 다음 전략으로 넘어감
+ * - 모든 전략이 실패하면 ok=false (호출자는 그 달을 실패로 처리해야 함)
+ * - 표시 연/월을 못 읽은 경우: bootstrap 과 바이트가 같고 요청 월이 이번 달이 아니면 불일치로 간주,
+ *   그 외에는 "unverified" 로 채택 (다음 전략은 시도하지 않음)
+ */
+async function fetchCalendarMonthHTML(ctx, y, m) {
+  const { http } = ctx;
+  const jar = new CookieJar();
+
+  // 1) bootstrap GET (세션 쿠키 + 기본 표시 월 확인용)
+  const b0 = await fetchDecoded(http, DART_CAL_URL, { method: "GET" }, jar);
+  const bootShown = detectShownMonth(b0.dec.html);
+  const boot = { jar, html: b0.dec.html, shown: bootShown };
+
+  const [ty, tm] = kstTodayISO().split("-").map(Number);
+  const requestedIsCurrent = ty === y && tm === m;
+
+  const attempts = [];
+  let accepted = null;
+
+  for (const strategy of MONTH_STRATEGIES) {
+    let r;
+    try {
+      r = await strategy.run(ctx, y, m, boot);
+    } catch (err) {
+      attempts.push({ strategy: strategy.name, ok: false, error: String(err?.message || err) });
+      continue;
+    }
+    if (r.skipped) {
+      attempts.push({ strategy: strategy.name, ok: false, skipped: r.skipped });
+      continue;
+    }
+
+    const shown = detectShownMonth(r.dec.html);
+    const sameAsBootstrap = r.buf.equals(b0.buf);
+    let verdict;
+    if (shown) verdict = shown.y === y && shown.m === m ? "match" : "mismatch";
+    else if (sameAsBootstrap && !requestedIsCurrent) verdict = "mismatch";
+    else verdict = "unverified";
+
+    const attempt = {
+      strategy: strategy.name,
+      ok: verdict !== "mismatch",
+      verdict,
+      status: r.res.status,
+      bytes: r.buf.length,
+      shown: shown ? { y: shown.y, m: shown.m, via: shown.via } : null,
+      same_as_bootstrap: sameAsBootstrap,
+    };
+    attempts.push(attempt);
+
+    if (verdict !== "mismatch") { accepted = { r, attempt }; break; }
+  }
+
+  const fetch_info = {
+    requested: { y, m },
+    cookie_names: [...jar.map.keys()],
+    bootstrap: {
+      status: b0.res.status,
+      bytes: b0.buf.length,
+      decoded_charset: b0.dec.picked,
+      event_score: b0.dec.score,
+      shown: bootShown ? { y: bootShown.y, m: bootShown.m } : null,
+    },
+    attempts,
+  };
+
+  if (!accepted) {
+    return { ok: false, html: "", fetch_info: { ...fetch_info, reason: "month mismatch: DART did not return the requested month" } };
+  }
+
+  const { r, attempt } = accepted;
+  return {
+    ok: true,
+    html: r.dec.html,
+    fetch_info: {
+      ...fetch_info,
+      strategy: attempt.strategy,
+      verified: attempt.verdict === "match",
+      shown: attempt.shown,
+      status: r.res.status,
+      content_type: r.ct,
+      bytes: r.buf.length,
+      decoded_charset: r.dec.picked,
+      event_score: r.dec.score,
+    },
+  };
+}
+
+// ---------------- headless browser (playwright 는 선택 설치) ----------------
+const BROWSER_UA =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36";
+
+async function settle(page) {
+  // 달력이 JS로 늦게 그려지는 케이스 대비: 조금 기다렸다가 HTML 뽑기
+  try {
+    await page.waitForTimeout(1500);
+    await page.waitForLoadState("networkidle", { timeout: 15000 });
+  } catch {
+    // 무시
+  }
+}
+
+/** playwright 가 설치되어 있지 않으면 null */
+async function launchCalendarBrowser() {
+  let chromium;
+  try {
+    ({ chromium } = await import("playwright"));
+  } catch {
+    return null;
+  }
+  const browser = await chromium.launch({
+    headless: true,
+    args: ["--disable-blink-features=AutomationControlled"],
+  });
+  const context = await browser.newContext({ userAgent: BROWSER_UA, locale: "ko-KR", timezoneId: "Asia/Seoul" });
+  const page = await context.newPage();
+
+  return {
+    async monthHtml(y, m) {
+      // 1) 쿼리스트링으로 이동
+      await page.goto(`${DART_CAL_URL}?selectYear=${y}&selectMonth=${pad2(m)}`, { waitUntil: "domcontentloaded", timeout: 60000 });
+      await settle(page);
+      const html = await page.content();
+      const shown = detectShownMonth(html);
+      if (!shown || (shown.y === y && shown.m === m)) return html;
+
+      // 2) 안 되면 페이지의 연/월 select 를 바꿔서 폼 제출
+      await page.selectOption("select[name='selectYear']", String(y));
+      await page.selectOption("select[name='selectMonth']", pad2(m));
+      await Promise.all([
+        page.waitForLoadState("domcontentloaded", { timeout: 30000 }),
+        page.evaluate(() => {
+          const sel = document.querySelector("select[name='selectMonth']");
+          if (sel && sel.form) sel.form.submit();
+        }),
+      ]);
+      await settle(page);
+      return page.content();
+    },
+    async close() {
+      await browser.close();
+    },
+  };
+}
+
+async function fetchCalendarMonthViaBrowser(ctx, y, m) {
+  const browser = await ctx.getBrowser();
+  if (!browser) throw new Error("browser 소스에는 playwright 가 필요함 (npm i playwright && npx playwright install chromium)");
+
+  const html = await browser.monthHtml(y, m);
+  const shown = detectShownMonth(html);
+  const verdict = shown ? (shown.y === y && shown.m === m ? "match" : "mismatch") : "unverified";
+  const fetch_info = {
+    requested: { y, m },
+    strategy: "browser",
+    verified: verdict === "match",
+    shown: shown ? { y: shown.y, m: shown.m, via: shown.via } : null,
+    bytes: Buffer.byteLength(html, "utf-8"),
+    event_score: scoreForEvents(html),
+  };
+  if (verdict === "mismatch") {
+    return { ok: false, html: "", fetch_info: { ...fetch_info, reason: "month mismatch: DART did not return the requested month" } };
+  }
+  return { ok: true, html, fetch_info };
+}
+
+// ---------------- calendar source ----------------
+/**
+ * @param {"http"|"browser"} kind
+ * @param {ReturnType<import("./http-client.js").createHttpClient>} http
+ * @returns {{ kind: string, fetchMonth(y:number, m:number): Promise<{ok:boolean, html:string, fetch_info:object}>, close(): Promise<void> }}
+ */
+export function createCalendarSource(kind, http) {
+  if (!CALENDAR_SOURCES.includes(kind)) throw new Error(`알 수 없는 캘린더 소스: ${kind} (${CALENDAR_SOURCES.join(" | ")})`);
+  if (kind === "browser" && http.offline) throw new Error("replay 에서는 browser 소스를 쓸 수 없음 (--source http)");
+
+  let browser; // undefined: 아직 안 띄움, null: playwright 없음
+  const ctx = {
+    http,
+    async getBrowser() {
+      if (browser === undefined) browser = await launchCalendarBrowser();
+      return browser;
+    },
+  };
+
+  return {
+    kind,
+    fetchMonth(y, m) {
+      return kind === "browser" ? fetchCalendarMonthViaBrowser(ctx, y, m) : fetchCalendarMonthHTML(ctx, y, m);
+    },
+    async close() {
+      if (browser) await browser.close();
+    },
+  };
+}
+
+// ---------------- parse: 달력 표 → 주 × 요일 격자 ----------------
+// 글자 모양("코에스에너지")이 아니라 표 구조로 읽는다:
+//  - 7칸짜리 행이 가장 많은 표를 달력으로 보고, 셀마다 자기 날짜 칸(.day 등, 없으면 링크/중첩 표를 뺀 맨 앞 숫자)을 읽음
+//  - 셀을 행 순서대로 훑으면서 날짜가 줄어드는 곳에서 다음 달로 넘어감 → 앞뒤 달 칸(spill-over)도 제 날짜로
+//  - 이번 달 칸이 1..말일로 이어지지 않으면 파싱 실패 (엉뚱한 날짜를 쓰느니 그 달을 실패로)
+const MARK_RE = /\[\s*(시작|종료)\s*\]/;
+const MARKET_SHORTS = ["유", "코", "넥", "기"];
+const MARKET_HINTS = [
+  [/코넥스|konex/i, "넥"],
+  [/코스닥|kosdaq/i, "코"],
+  [/유가|코스피|kospi/i, "유"],
+  [/기타|\betc\b/i, "기"],
+];
+
+function findGridRows($) {
+  let best = [];
+  $("table").each((_, t) => {
+    const rows = $(t).children("tbody").add(t).children("tr").toArray()
+      .filter((tr) => $(tr).children("td").length === 7);
+    if (rows.length > best.length) best = rows;
+  });
+  return best.length >= 4 ? best : [];
+}
+
+function dayOfCell($, td) {
+  const label = $(td).find("[class*='day'], [class*='date'], [class*='num']").toArray()
+    .map((el) => normalizeText($(el).text()))
+    .find((t) => /^\d{1,2}$/.test(t));
+  let day = label ? Number(label) : null;
+  if (day === null) {
+    const own = $(td).clone();
+    own.find("a, table").remove();
+    const m = normalizeText(own.text()).match(/^(\d{1,2})(?!\d)/);
+    day = m ? Number(m[1]) : null;
+  }
+  return day >= 1 && day <= 31 ? day : null;
+}
+
+// 시장 표시: 아이콘(img alt/src) · 태그 요소(class / 한 글자) — 링크 안이나 링크 바로 앞
+function marketFromElement($, el) {
+  const $el = $(el);
+  const text = normalizeText($el.text());
+  const hint = [$el.attr("alt"), $el.attr("title"), $el.attr("src"), $el.attr("class"), text.length <= 5 ? text : ""].join(" ");
+  if (MARKET_SHORTS.includes(text)) return text;
+  for (const [re, short] of MARKET_HINTS) if (re.test(hint)) return short;
+  return "";
+}
+
+function parseEventAnchor($, a) {
+  const raw = normalizeText($(a).text());
+  const mm = raw.match(MARK_RE);
+  if (!mm) return null;
+
+  let market = "";
+  let via = "";
+  const inside = $(a).find("img, span, em, i, b, strong").toArray();
+  const before = $(a).prevUntil("a").toArray();
+  const marker = [...inside, ...before].find((el) => (market = marketFromElement($, el)));
+  let name;
+  if (marker) {
+    via = marker.tagName === "img" ? "icon" : "tag";
+    const c = $(a).clone();
+    if (inside.includes(marker)) c.find("img, span, em, i, b, strong").eq(inside.indexOf(marker)).remove();
+    name = normalizeText(c.text().replace(MARK_RE, ""));
+  } else {
+    // 구조로 못 찾으면 글자: "코 에스에너지" (띄어쓰기) → title 과 맞춰보기 → 붙여 쓴 "코에스에너지" (예전 페이지 형식)
+    // 붙여 쓴 경우는 맨 앞 글자를 시장으로 읽고 market_via "prefix" 로 남김 (status 의 market_via 에서 보임)
+    const rest = normalizeText(raw.replace(MARK_RE, ""));
+    const title = normalizeText($(a).attr("title") || "");
+    const sp = rest.match(/^(유|코|넥|기)\s+(.+)$/);
+    if (sp) [, market, name, via] = [...sp, "text"];
+    else if (title && MARKET_SHORTS.includes(rest[0]) && rest.slice(1) === title) [market, name, via] = [rest[0], title, "title"];
+    else if (MARKET_SHORTS.includes(rest[0]) && rest.length > 1) [market, name, via] = [rest[0], rest.slice(1), "prefix"];
+  }
+  if (!market || !name) return { raw, unparsed: true };
+
+  let href = $(a).attr("href") || "";
+  let rcpNo = extractRcpNo(href);
+  if (!rcpNo) {
+    // javascript:openReport('2026...') 같은 링크
+    const m = `${href} ${$(a).attr("onclick") || ""}`.match(/\b(\d{14})\b/);
+    if (m) {
+      rcpNo = m[1];
+      href = `/dsaf001/main.do?rcpNo=${rcpNo}`;
+    }
+  }
+  return { raw, market_short: market, corp_name: name, mark: mm[1], href, rcpNo, market_via: via };
+}
+
+// ---------------- parse month events ----------------
+/**
+ * @returns {{ ok: boolean, reason?: string, grid: object, anchors_total: number, anchors_matched: number,
+ *             events: {date:string, market_short:string, corp_name:string, mark:"시작"|"종료", href:string, rcpNo:string, spillover?:"prev"|"next"}[],
+ *             market_via: Record<string, number>, unparsed: string[], sample_matched_texts: string[] }}
+ */
+export function parseCalendarMonth(html, y, m) {
+  const $ = cheerio.load(html);
+  const anchorsTotal = $("a").toArray().filter((el) => normalizeText($(el).text())).length;
+  const rows = findGridRows($);
+  const base = { anchors_total: anchorsTotal, anchors_matched: 0, events: [], market_via: {}, unparsed: [], sample_matched_texts: [] };
+  if (!rows.length) return { ok: false, reason: "calendar grid not found", grid: { rows: 0 }, ...base };
+
+  // 셀 → 실제 날짜 (offset: -1 이전 달, 0 이번 달, 1 다음 달)
+  const cells = [];
+  let offset = null;
+  let prevDay = 0;
+  for (const tr of rows) {
+    for (const td of $(tr).children("td").toArray()) {
+      const day = dayOfCell($, td);
+      if (day === null) continue;
+      if (offset === null) offset = day > 20 ? -1 : 0;
+      else if (day < prevDay) offset += 1;
+      prevDay = day;
+      cells.push({ td, day, offset });
+    }
+  }
+
+  const shownDays = cells.filter((c) => c.offset === 0).map((c) => c.day);
+  const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const grid = {
+    rows: rows.length,
+    days: shownDays.length,
+    spill_prev: cells.filter((c) => c.offset < 0).length,
+    spill_next: cells.filter((c) => c.offset > 0).length,
+  };
+  if (shownDays.length !== lastDay || shownDays.some((d, i) => d !== i + 1)) {
+    return { ok: false, reason: `calendar grid days mismatch (${shownDays.length}/${lastDay})`, grid, ...base };
+  }
+
+  const events = [];
+  const marketVia = {};
+  const unparsed = [];
+  const matchedTexts = [];
+  for (const { td, day, offset: off } of cells) {
+    const dt = new Date(Date.UTC(y, m - 1 + off, day));
+    const date = toISODate(dt.getUTCFullYear(), dt.getUTCMonth() + 1, dt.getUTCDate());
+    for (const a of $(td).find("a").toArray()) {
+      const ev = parseEventAnchor($, a);
+      if (!ev) continue;
+      if (ev.unparsed) {
+        unparsed.push(ev.raw);
+        continue;
+      }
+      matchedTexts.push(ev.raw);
+      marketVia[ev.market_via] = (marketVia[ev.market_via] || 0) + 1;
+      events.push({
+        date,
+        market_short: ev.market_short,
+        corp_name: ev.corp_name,
+        mark: ev.mark,
+        href: ev.href,
+        rcpNo: ev.rcpNo,
+        ...(off ? { spillover: off < 0 ? "prev" : "next" } : {}),
+      });
+    }
+  }
+
+  // month 단위 중복 제거
+  const dedup = new Map();
+  for (const e of events) {
+    const k = `${e.date}||${e.market_short}||${e.corp_name}||${e.mark}||${e.href}`;
+    dedup.set(k, e);
+  }
+
+  return {
+    ok: true,
+    grid,
+    anchors_total: anchorsTotal,
+    anchors_matched: matchedTexts.length,
+    events: [...dedup.values()],
+    market_via: marketVia,
+    unparsed,
+    sample_matched_texts: matchedTexts.slice(0, 15),
+  };
+}
+
+// ---------------- merge to items ----------------
+export function mergeEventsToItems(events) {
+  const map = new Map();
+
+  for (const e of events) {
+    const key = `${e.market_short}||${e.corp_name}`;
+    if (!map.has(key)) {
+      map.set(key, {
+        corp_name: e.corp_name,
+        market_short: e.market_short,
+        market: marketFromShort(e.market_short),
+        sbd_start: null,
+        sbd_end: null,
+        hrefs: [],
+      });
+    }
+    const it = map.get(key);
+    if (e.href) it.hrefs.push(e.href);
+
+    if (e.mark === "시작") {
+      if (!it.sbd_start || e.date < it.sbd_start) it.sbd_start = e.date;
+    } else if (e.mark === "종료") {
+      if (!it.sbd_end || e.date > it.sbd_end) it.sbd_end = e.date;
+    }
+  }
+
+  const items = [];
+  for (const it of map.values()) {
+    if (it.sbd_start && !it.sbd_end) it.sbd_end = it.sbd_start;
+    if (!it.sbd_start && it.sbd_end) it.sbd_start = it.sbd_end;
+
+    // 대표 href는 가장 최근 rcpNo (정정신고서로 링크가 바뀐 경우 대비), 없으면 아무거나
+    const withRcp = it.hrefs.filter((h) => /rcpNo=\d{14}/.test(h)).sort((a, b) => extractRcpNo(b).localeCompare(extractRcpNo(a)));
+    const href = withRcp[0] || it.hrefs.find(Boolean) || "";
+
+    items.push({
+      corp_name: it.corp_name,
+      market_short: it.market_short,
+      market: it.market,
+      sbd_start: it.sbd_start,
+      sbd_end: it.sbd_end,
+      href,
+      href_abs: href ? new URL(href, "https://dart.fss.or.kr").toString() : "",
+    });
+  }
+
+  items.sort((a, b) => {
+    if ((a.sbd_start || "") !== (b.sbd_start || "")) return (a.sbd_start || "").localeCompare(b.sbd_start || "");
+    return (a.corp_name || "").localeCompare(b.corp_name || "");
+  });
+
+  return items;
+}
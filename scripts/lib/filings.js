@@ -0,0 +1,195 @@
+/**
+ * 공시 원문 단계: dsaf001(메타) → viewer.do(본문) 를 받아서
+ *  - IPO vs 유상증자 점수제 분류 (classifier.js)
+ *  - 공모 조건 / 일정 추출 (offering-terms.js, offering-schedule.js)
+ *  - 정정/철회 신고서 흐름 해석 (amendments.js)
+ * 결과는 rcpNo 별로 classify-cache 에 저장된다.
+ *
+ * 참고: DART 원문은 dsaf001에서 viewDoc(...) 파라미터를 뽑아 /report/viewer.do 로 접근 가능. (일반적으로 알려진 구조)
+ */
+
+import * as cheerio from "cheerio";
+import { normalizeText } from "./util.js";
+import { extractCharset, decodeByCharset } from "./dart-calendar.js";
+import { scoreFilingText, CLASSIFIER_VERSION } from "./classifier.js";
+import { parseOfferingTerms, TERMS_PARSER_VERSION } from "./offering-terms.js";
+import { parseOfferingSchedule, SCHEDULE_PARSER_VERSION } from "./offering-schedule.js";
+import { extractFilingFamily, latestContentFiling, summarizeAmendments } from "./amendments.js";
+
+const DART_DSAF_URL = "https://dart.fss.or.kr/dsaf001/main.do";
+const DART_VIEWER_BASE = "https://dart.fss.or.kr/report/viewer.do";
+
+// 분류기/추출기 규칙이 바뀌면 캐시된 결과를 다시 받도록 캐시 항목에 같이 저장
+export const FILING_CACHE_VERSION = `c${CLASSIFIER_VERSION}/t${TERMS_PARSER_VERSION}/s${SCHEDULE_PARSER_VERSION}`;
+
+// ---------------- classify (IPO vs Rights) by fetching filing text ----------------
+/**
+ * dsaf001(main.do?rcpNo=...) HTML에서
+ * "증권신고서(지분증권)" 항목의 javascript:viewDoc(...) 파라미터를 추출
+ */
+export function extractViewerParamsFromDsaf(html) {
+  // 1) a[href^="javascript: viewDoc("] 중 텍스트에 '증권신고서(지분증권)'가 있는 걸 우선
+  const $ = cheerio.load(html);
+  const candidates = [];
+
+  $("a").each((_, el) => {
+    const href = String($(el).attr("href") || "");
+    const text = normalizeText($(el).text());
+    if (!href.includes("viewDoc(")) return;
+
+    candidates.push({ href, text });
+  });
+
+  // 우선순위: 본문 '증권신고서(지분증권)' > 그 외 viewDoc
+  const picked =
+    candidates.find((c) => c.text.includes("증권신고서(지분증권)")) ||
+    candidates.find((c) => c.text.includes("증권신고서")) ||
+    candidates[0];
+
+  if (!picked) return null;
+
+  // viewDoc('rcpNo', 'dcmNo', 'eleId', 'offset', 'length', 'dtd')
+  // 숫자/NULL/따옴표 섞이는 케이스 대응
+  const m = picked.href.match(
+    /viewDoc\(\s*'?(?<rcpNo>\d{14})'?\s*,\s*'?(?<dcmNo>\d+)'?\s*,\s*(?<eleId>null|\d+)?\s*,\s*(?<offset>null|\d+)?\s*,\s*(?<length>null|\d+)?\s*,\s*'?(?<dtd>[^'()\s]+)'?\s*\)/
+  );
+  if (!m || !m.groups) return null;
+
+  const eleId = m.groups.eleId && m.groups.eleId !== "null" ? m.groups.eleId : "0";
+  const offset = "0";
+  const length = "0";
+  const dtd = m.groups.dtd || "dart3.xsd";
+
+  return {
+    rcpNo: m.groups.rcpNo,
+    dcmNo: m.groups.dcmNo,
+    eleId,
+    offset,
+    length,
+    dtd,
+    picked_text: picked.text,
+  };
+}
+
+async function fetchTextHTML(http, url, headers) {
+  const res = await http.fetch(url, { method: "GET", headers });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  const buf = Buffer.from(await res.arrayBuffer());
+  const ct = res.headers.get("content-type") || "";
+  const html = decodeByCharset(buf, extractCharset(ct) || "utf-8");
+  return { res, html, bytes: buf.length, content_type: ct };
+}
+
+const FILING_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (compatible; ipo-calender-bot/1.0)",
+  "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+  "Accept-Language": "ko-KR,ko;q=0.9,en-US;q=0.7,en;q=0.6",
+  "Cache-Control": "no-cache",
+  "Pragma": "no-cache",
+  "Referer": DART_DSAF_URL,
+};
+
+export async function fetchDsafPage(http, rcpNo) {
+  const url = `${DART_DSAF_URL}?rcpNo=${rcpNo}`;
+  const { html } = await fetchTextHTML(http, url, FILING_HEADERS);
+  return { url, html };
+}
+
+/**
+ * dsaf001 → viewer.do 원문 텍스트 (증권신고서 외 다른 공시도 — 증권발행실적보고서 등)
+ * dsafPage: 이미 받아둔 dsaf001 페이지가 있으면 재사용
+ * @returns {Promise<{ dsaf_url: string, params: object|null, viewer_url?: string, text?: string }>}  params 가 null 이면 원문 링크 못 찾음
+ */
+export async function fetchFilingText(http, rcpNo, dsafPage = null) {
+  // 1) dsaf001 (메타 페이지)
+  const dsaf = dsafPage || await fetchDsafPage(http, rcpNo);
+  const params = extractViewerParamsFromDsaf(dsaf.html);
+  if (!params) return { dsaf_url: dsaf.url, params: null };
+
+  // 2) viewer 원문(HTML)
+  const viewerUrl =
+    `${DART_VIEWER_BASE}?rcpNo=${params.rcpNo}` +
+    `&dcmNo=${params.dcmNo}` +
+    `&eleId=${params.eleId}` +
+    `&offset=${params.offset}` +
+    `&length=${params.length}` +
+    `&dtd=${encodeURIComponent(params.dtd)}`;
+
+  const viewer = await fetchTextHTML(http, viewerUrl, FILING_HEADERS);
+  return { dsaf_url: dsaf.url, params, viewer_url: viewerUrl, text: normalizeText(cheerio.load(viewer.html).text()) };
+}
+
+/** corpName: 세부 유형(스팩/리츠 등) 판정에 씀 */
+export async function classifyRcpNo(http, rcpNo, dsafPage = null, corpName = "") {
+  const doc = await fetchFilingText(http, rcpNo, dsafPage);
+  if (!doc.params) {
+    return { type: "unknown", reason: "viewDoc params not found", dsaf_url: doc.dsaf_url, transient: true };
+  }
+
+  // 3) 분류 (점수제, 애매하면 unknown) + 공모 조건/일정 추출
+  const scored = scoreFilingText({ title: doc.params.picked_text, text: doc.text, corpName });
+  const terms = parseOfferingTerms(doc.text);
+  const schedule = parseOfferingSchedule(doc.text);
+  return { ...scored, terms, schedule, viewer_url: doc.viewer_url, picked: doc.params.picked_text };
+}
+
+// ---------------- 신고서 흐름(최초/정정/철회) 해석 + 캐시 ----------------
+// superseded: 최신이 아닌 신고서(비교용)는 만료 표시가 있어도 캐시를 씀 — 예전 신고서 본문은 안 바뀜
+async function classifyWithCache(http, cache, rcpNo, corpName, dsafPage, superseded = false) {
+  const hit = cache.get(rcpNo, { superseded });
+  if (hit) return { cls: hit, cached: true };
+
+  let cls;
+  try {
+    cls = await classifyRcpNo(http, rcpNo, dsafPage, corpName);
+  } catch (e) {
+    cls = { type: "unknown", reason: `classify error: ${String(e?.message || e)}`, transient: true };
+  }
+  cache.set(rcpNo, corpName, cls);
+  return { cls, cached: false };
+}
+
+/**
+ * 캘린더의 rcpNo 로 시작해서 같은 공모의 신고서 흐름을 따라가 최신 신고서 기준으로 분류/추출
+ * - dsaf001 은 새 정정이 올라왔는지 보려고 매번 받음 (본문 viewer.do 는 rcpNo 별 캐시)
+ * - dsaf001 을 못 받으면 이전 실행에서 본 이 회사의 최신 신고서(분류가 캐시에 있을 때) → 없으면 캘린더 rcpNo 하나로 진행
+ */
+export async function resolveFiling(http, cache, corpName, rcpNo) {
+  let dsafPage = null;
+  let family = null;
+  let familyError = "";
+  try {
+    dsafPage = await fetchDsafPage(http, rcpNo);
+    family = extractFilingFamily(dsafPage.html, rcpNo);
+  } catch (e) {
+    familyError = String(e?.message || e);
+  }
+
+  let chain = family?.chain;
+  if (!chain?.length) {
+    const known = cache.latestFor(corpName);
+    const use = known && known > rcpNo ? known : rcpNo;
+    chain = [{ rcpNo: use, date: `${use.slice(0, 4)}-${use.slice(4, 6)}-${use.slice(6, 8)}`, title: "", kind: use === rcpNo ? "original" : "amendment" }];
+  }
+  for (const f of chain) cache.noteFiling(corpName, f.rcpNo);
+
+  const latest = latestContentFiling(chain);
+  const details = new Map();
+  let cached = true;
+  for (const f of chain) {
+    if (f.kind === "withdrawal") continue;
+    const r = await classifyWithCache(http, cache, f.rcpNo, corpName, f.rcpNo === rcpNo ? dsafPage : null, f !== latest);
+    details.set(f.rcpNo, r.cls);
+    cached = cached && r.cached;
+  }
+
+  const cls = (latest && details.get(latest.rcpNo)) || { type: "unknown", reason: "no content filing in chain" };
+  return {
+    rcpNo: latest?.rcpNo || rcpNo,
+    cls,
+    cached,
+    family_error: familyError,
+    related: family?.related || [],
+    ...summarizeAmendments(chain, details),
+  };
+}
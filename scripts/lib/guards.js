@@ -0,0 +1,62 @@
+/**
+ * 실패한 수집으로 멀쩡한 ipo.json 을 덮어쓰지 않기 위한 점검
+ *  - all_months_failed : 범위 안의 모든 달을 못 가져옴
+ *  - unparsed_month    : 이벤트 링크는 있는데 하나도 시장/회사명을 못 읽은 달 (페이지 형식이 바뀜)
+ *  - count_drop        : 직전 결과(이번 범위에 아직 걸리는 것만)보다 아이템 수가 크게 줄어듦
+ *  - no_classifiable   : 분류 대상 rcpNo 가 있었는데 하나도 ipo/rights 로 판정되지 않음 (원문 fetch/파서 고장)
+ *
+ * 하나라도 걸리면 update-ipo.js 는 이전 파일을 그대로 두고 status.json 에 기록한 뒤 exit 1.
+ */
+
+export const DEFAULT_GUARD_OPTIONS = {
+  maxDropRatio: 0.5, // 직전 대비 50% 넘게 줄면 실패
+  minPreviousForDrop: 4, // 직전 아이템이 이보다 적으면 감소 비율은 안 봄 (소수에서는 정상 변동이 큼)
+};
+
+// 직전 결과 중 이번 범위에서도 여전히 보여야 할 아이템 (기간이 지나 빠진 건 감소로 치지 않음)
+function stillInRange(previous, range) {
+  const start = range?.start || "";
+  return (previous?.items || []).filter((it) => !start || !it.sbd_end || it.sbd_end >= start);
+}
+
+/**
+ * @param {import("./output.js").IpoOutput} payload
+ * @param {object|null} previous  직전 ipo.json
+ * @param {{ months: {y:number,m:number}[], month_status?: { month: string, ok: boolean, anchors_matched: number|null, unparsed: number|null }[],
+ *           classify: { attempted: number, classified: number } }} stats
+ * @returns {{ code: string, message: string }[]}  비어 있으면 통과
+ */
+export function checkRunGuards(payload, previous, stats, opts = {}) {
+  const { maxDropRatio, minPreviousForDrop } = { ...DEFAULT_GUARD_OPTIONS, ...opts };
+  const tripped = [];
+
+  const monthCount = stats.months?.length || 0;
+  const failed = payload.failed_months?.length || 0;
+  if (monthCount > 0 && failed >= monthCount) {
+    tripped.push({ code: "all_months_failed", message: `모든 달 수집 실패 (${payload.failed_months.join(", ")})` });
+  }
+
+  // 0건으로 읽힌 달이 그대로 쓰이면 그 달 공모가 조용히 사라짐
+  const unreadable = (stats.month_status || []).filter((ms) => ms.ok && !ms.anchors_matched && ms.unparsed > 0);
+  if (unreadable.length) {
+    tripped.push({ code: "unparsed_month", message: `이벤트 링크를 하나도 못 읽은 달: ${unreadable.map((ms) => `${ms.month}(${ms.unparsed}건)`).join(", ")}` });
+  }
+
+  // 같은 유형 필터끼리만 비교 (필터를 바꾼 실행은 개수가 달라지는 게 정상)
+  const sameFilter = previous && previous.mode === payload.mode
+    && (!previous.offer_types || JSON.stringify(previous.offer_types) === JSON.stringify(payload.offer_types));
+  if (sameFilter) {
+    const before = stillInRange(previous, payload.range).length;
+    const after = payload.count;
+    if (before >= minPreviousForDrop && after < before * (1 - maxDropRatio)) {
+      tripped.push({ code: "count_drop", message: `아이템 수 급감: ${before} -> ${after} (허용 감소율 ${Math.round(maxDropRatio * 100)}%)` });
+    }
+  }
+
+  const { attempted = 0, classified = 0 } = stats.classify || {};
+  if (attempted > 0 && classified === 0) {
+    tripped.push({ code: "no_classifiable", message: `rcpNo ${attempted}건 중 분류된 것 없음 (모두 unknown)` });
+  }
+
+  return tripped;
+}
@@ -0,0 +1,127 @@
+/**
+ * 스크래퍼 공용 HTTP 클라이언트 (transport 위에 얹음)
+ *  - 재시도: 네트워크 오류/타임아웃/408/429/5xx → 지수 백오프 + 지터, Retry-After 가 있으면 그 값 우선
+ *  - 호스트별 속도 제한: 같은 호스트로 가는 요청 시작 간격을 minIntervalMs 이상으로 (동시 실행이어도 지켜짐)
+ *  - 요청 예산: 한 실행에서 나가는 요청 수(재시도 포함) 상한. 넘으면 바로 에러
+ *
+ * transport 와 같은 모양(fetch / sleep / mode / offline / recordedRange / noteRange)이라
+ * 각 단계는 transport 대신 이걸 그대로 받으면 된다.
+ * replay 에서는 transport.sleep 이 바로 리턴하므로 대기 없이 같은 순서로 재생됨 (기록된 5xx → 재시도도 재현)
+ * 에러/로그 메시지의 URL 과 에러 텍스트는 redactText 로 비밀 쿼리값(crtfc_key)을 가림
+ */
+
+import { redactText, redactUrl } from "./transport.js";
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+export const DEFAULT_HTTP_OPTIONS = {
+  retries: 3, // 첫 요청 외 추가 시도 횟수
+  backoffBaseMs: 1000, // 1s, 2s, 4s ... (+ 지터)
+  backoffMaxMs: 20000,
+  maxRetryAfterMs: 60000, // 서버가 너무 길게 기다리라고 하면 이 값으로 자름
+  timeoutMs: 20000,
+  minIntervalMs: 400, // 호스트별 요청 시작 간격
+  perHostIntervalMs: {}, // { "kind.krx.co.kr": 1000 } 처럼 호스트별로 덮어쓰기
+  maxRequests: 1500, // 요청 예산 (재시도 포함)
+};
+
+/** Retry-After: 초 또는 HTTP 날짜 → ms (못 읽으면 null) */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === "") return null;
+  const s = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(s)) return Math.round(Number(s) * 1000);
+  const t = Date.parse(s);
+  return Number.isNaN(t) ? null : Math.max(0, t - now);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * @param {ReturnType<import("./transport.js").createTransport>} transport
+ * @param {Partial<typeof DEFAULT_HTTP_OPTIONS>} [opts]
+ */
+export function createHttpClient(transport, opts = {}) {
+  const o = { ...DEFAULT_HTTP_OPTIONS, ...opts };
+  const nextSlot = new Map(); // host -> 다음 요청을 시작해도 되는 시각(ms)
+  const stats = { requests: 0, retries: 0, failures: 0, waited_ms: 0, by_host: {} };
+
+  // 속도 제한: 자리를 먼저 예약하고(동기) 그 시각까지 기다림 → 동시 호출끼리도 간격 유지
+  async function throttle(host) {
+    const interval = o.perHostIntervalMs[host] ?? o.minIntervalMs;
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot.get(host) || 0);
+    nextSlot.set(host, slot + interval);
+    if (slot > now) await transport.sleep(slot - now);
+  }
+
+  function backoffMs(attempt, retryAfterMs) {
+    if (retryAfterMs != null) return Math.min(retryAfterMs, o.maxRetryAfterMs);
+    const exp = Math.min(o.backoffBaseMs * 2 ** attempt, o.backoffMaxMs);
+    return Math.round(exp / 2 + Math.random() * (exp / 2)); // "equal jitter"
+  }
+
+  function spend(host) {
+    if (stats.requests >= o.maxRequests) {
+      const err = new Error(`HTTP 요청 예산 초과 (${o.maxRequests}회)`);
+      err.code = "HTTP_BUDGET_EXCEEDED";
+      throw err;
+    }
+    stats.requests++;
+    stats.by_host[host] = (stats.by_host[host] || 0) + 1;
+  }
+
+  async function fetchWithRetry(url, init = {}) {
+    const host = hostOf(url);
+    for (let attempt = 0; ; attempt++) {
+      spend(host);
+      await throttle(host);
+
+      let res = null;
+      let error = null;
+      try {
+        res = await transport.fetch(url, {
+          ...init,
+          signal: init.signal || (transport.offline ? undefined : AbortSignal.timeout(o.timeoutMs)),
+        });
+      } catch (e) {
+        // replay 에 기록이 없는 건 재시도해도 똑같음
+        if (transport.offline) throw e;
+        error = e;
+      }
+
+      const retryable = error || RETRYABLE_STATUS.has(res.status);
+      if (!retryable) return res;
+
+      if (attempt >= o.retries) {
+        stats.failures++;
+        if (error) throw new Error(`${redactText(error?.message || error)} (${redactUrl(url)}, ${attempt + 1}회 시도)`);
+        throw new Error(`HTTP ${res.status} for ${redactUrl(url)} (${attempt + 1}회 시도)`);
+      }
+
+      const wait = backoffMs(attempt, res ? parseRetryAfter(res.headers.get("retry-after")) : null);
+      if (res) await res.body?.cancel().catch(() => {}); // 버릴 응답 본문은 닫아서 연결 반납
+      stats.retries++;
+      stats.waited_ms += wait;
+      console.warn(`[RETRY] ${error ? redactText(error?.message || error) : `HTTP ${res.status}`} ${redactUrl(url)} -> ${wait}ms 후 재시도 (${attempt + 1}/${o.retries})`);
+      await transport.sleep(wait);
+    }
+  }
+
+  return {
+    mode: transport.mode,
+    dir: transport.dir,
+    offline: transport.offline,
+    recordedRange: transport.recordedRange,
+    noteRange: (range) => transport.noteRange(range),
+    sleep: (ms) => transport.sleep(ms),
+    fetch: fetchWithRetry,
+    stats,
+    options: o,
+  };
+}
@@ -0,0 +1,205 @@
+/**
+ * 상장회사 제외 필터 (KIND 상장법인 목록)
+ *  - 이미 상장된 회사의 증권신고서는 유상증자 등 후속 공모라서 공모주 목록에서 뺀다
+ *  - 비교 순서: 종목코드(stock_code) → DART 고유번호(corp_code) → 정규화한 회사명 → 정규화한 영문 회사명
+ *    (캘린더 아이템에는 보통 회사명만 있고, 코드는 다른 소스가 채워줬을 때만 씀)
+ *  - 회사명 정규화: NFKC(전각/㈜ 등 호환문자), (주)/주식회사/(유)/유한회사 같은 법인 표기, 공백/문장부호, 대소문자
+ *  - 영문명: KIND 목록에 영문 회사명 열이 있으면 그것도 색인 (DART 에 "NAVER", KIND 에 "네이버" 로 올라온 경우).
+ *    한계 — 한글 음차와 영문 표기가 섞인 이름("에스케이하이닉스" vs "SK하이닉스")은 맞추지 못하고,
+ *    영문명 열이 없는 목록에서는 한글명끼리만 비교함. 이런 회사는 코드(stock_code/corp_code)가 있어야 걸러짐
+ *  - 코넥스 상장사는 빼지 않음 (코스닥/유가증권 이전상장 공모일 수 있음 — 유상증자면 분류 단계에서 걸러짐)
+ *
+ * KIND 목록은 docs/data/cache/kind-listed.json 에 날짜와 함께 저장해두고,
+ * maxAgeDays 안이면 다운로드하지 않음. 다운로드가 실패하면 오래된 스냅샷이라도 쓰고,
+ * 스냅샷도 없으면 필터 없이 진행 (실행 전체를 멈추지 않음)
+ */
+
+import fs from "fs";
+import path from "path";
+import iconv from "iconv-lite";
+import * as cheerio from "cheerio";
+import { normalizeText, readJsonIfExists } from "./util.js";
+
+const KIND_LIST_DL = "https://kind.krx.co.kr/corpgeneral/corpList.do?method=download";
+const KIND_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (compatible; ipo-calender-bot/1.0)",
+  "Accept-Language": "ko-KR,ko;q=0.9,en;q=0.7",
+};
+
+export const DEFAULT_LISTED_CACHE = "docs/data/cache/kind-listed.json";
+export const DEFAULT_LISTED_MAX_AGE_DAYS = 7;
+const LISTED_CACHE_VERSION = 1;
+const MIN_LISTED = 500; // 이보다 적으면 다운로드가 잘못된 것으로 봄
+const KONEX_MARKET = /코넥스|konex/i;
+
+// ---------------- 회사명 정규화 ----------------
+const CORP_FORMS = [
+  /\(\s*(주|유|합|사)\s*\)/g, // (주) (유) ... (㈜ 는 NFKC 에서 (주) 로 바뀜)
+  /주식회사|유한회사|유한책임회사|합자회사|합명회사/g,
+  /\b(co\.?,?\s*ltd\.?|corporation|corp\.?|inc\.?|ltd\.?|limited|company)\b/gi,
+];
+
+export function normalizeCorpName(name) {
+  let s = String(name || "").normalize("NFKC").toLowerCase();
+  for (const re of CORP_FORMS) s = s.replace(re, " ");
+  return s.replace(/[\s.,·・&'"()\-_/]+/g, "");
+}
+
+function normalizeCode(code) {
+  const s = String(code || "").replace(/\D/g, "");
+  return s ? s.padStart(6, "0") : "";
+}
+
+// ---------------- KIND 다운로드 ----------------
+// 다운로드는 엑셀 확장자지만 실제로는 euc-kr HTML 표. 헤더로 열 위치를 찾는다 (열 순서가 바뀐 적이 있음)
+export function parseKindListHTML(html) {
+  const $ = cheerio.load(html || "");
+  const rows = $("table tr").toArray();
+  const headerCells = $(rows[0]).find("th, td").toArray().map((c) => normalizeText($(c).text()));
+  const col = (re, fallback) => {
+    const i = headerCells.findIndex((h) => re.test(h));
+    return i >= 0 ? i : fallback;
+  };
+  const hasHeader = headerCells.some((h) => /회사명/.test(h));
+  const iName = col(/^(?!영문).*회사명/, 0);
+  const iNameEn = col(/영문/, -1);
+  const iCode = col(/종목코드/, -1);
+  const iMarket = col(/시장구분/, -1);
+  const iListed = col(/상장일/, -1);
+
+  const entries = [];
+  for (const tr of rows.slice(hasHeader ? 1 : 0)) {
+    const tds = $(tr).find("td").toArray().map((c) => normalizeText($(c).text()));
+    const name = tds[iName];
+    if (!name) continue;
+    entries.push({
+      name,
+      ...(iNameEn >= 0 && tds[iNameEn] ? { name_en: tds[iNameEn] } : {}),
+      stock_code: iCode >= 0 ? normalizeCode(tds[iCode]) : "",
+      market: iMarket >= 0 ? tds[iMarket] || "" : "",
+      listed_at: iListed >= 0 ? tds[iListed] || "" : "",
+    });
+  }
+  return entries;
+}
+
+async function downloadKindList(http) {
+  const res = await http.fetch(KIND_LIST_DL, { method: "GET", headers: KIND_HEADERS });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${KIND_LIST_DL}`);
+  const buf = Buffer.from(await res.arrayBuffer());
+  const entries = parseKindListHTML(iconv.decode(buf, "euc-kr"));
+  if (entries.length < MIN_LISTED) {
+    throw new Error(`KIND listed set too small (${entries.length}). Download may have failed.`);
+  }
+  return entries;
+}
+
+// ---------------- 인덱스 ----------------
+function buildIndex(entries, meta) {
+  const byName = new Map();
+  const byEnglishName = new Map();
+  const byStockCode = new Map();
+  const byCorpCode = new Map();
+  for (const e of entries) {
+    const key = normalizeCorpName(e.name);
+    if (key && !byName.has(key)) byName.set(key, e);
+    const en = normalizeCorpName(e.name_en);
+    if (en && !byEnglishName.has(en)) byEnglishName.set(en, e);
+    if (e.stock_code) byStockCode.set(e.stock_code, e);
+    if (e.corp_code) byCorpCode.set(e.corp_code, e);
+  }
+  return { ...meta, count: entries.length, byName, byEnglishName, byStockCode, byCorpCode };
+}
+
+function ageDays(fetchedAt, now = Date.now()) {
+  const t = Date.parse(fetchedAt || "");
+  return Number.isNaN(t) ? Infinity : (now - t) / 86400000;
+}
+
+function readSnapshot(absPath) {
+  const obj = readJsonIfExists(absPath);
+  if (!obj || obj.version !== LISTED_CACHE_VERSION || !Array.isArray(obj.entries) || obj.entries.length < MIN_LISTED) return null;
+  return obj;
+}
+
+function writeSnapshot(absPath, entries, fetchedAt) {
+  // 2천여 줄 diff 가 읽히도록 항목당 한 줄
+  const lines = entries.map((e) => `    ${JSON.stringify(e)}`);
+  const body = [
+    "{",
+    `  "version": ${LISTED_CACHE_VERSION},`,
+    `  "fetched_at": ${JSON.stringify(fetchedAt)},`,
+    `  "source": ${JSON.stringify(KIND_LIST_DL)},`,
+    `  "count": ${entries.length},`,
+    `  "entries": [\n${lines.join(",\n")}\n  ]`,
+    "}",
+  ].join("\n");
+  fs.mkdirSync(path.dirname(absPath), { recursive: true });
+  fs.writeFileSync(absPath, body + "\n", "utf-8");
+}
+
+/**
+ * 상장법인 인덱스 (스냅샷 캐시 → 필요하면 다운로드 → 실패하면 오래된 스냅샷 → 그것도 없으면 null)
+ * @param {ReturnType<import("./http-client.js").createHttpClient>} http
+ * @param {{ file?: string, maxAgeDays?: number, refresh?: boolean, disabled?: boolean }} [opts]
+ *   disabled: 디스크 캐시를 읽지도 쓰지도 않음 (replay 기본값 — 녹화된 다운로드만 씀)
+ * @returns {Promise<{ index: object|null, info: { source: string, fetched_at: string|null, count: number, error?: string } }>}
+ *   source: cache | download | stale-cache | none
+ */
+export async function loadListedIndex(http, {
+  file = DEFAULT_LISTED_CACHE,
+  maxAgeDays = DEFAULT_LISTED_MAX_AGE_DAYS,
+  refresh = false,
+  disabled = false,
+} = {}) {
+  const absPath = path.resolve(file);
+  const snap = disabled ? null : readSnapshot(absPath);
+
+  if (snap && !refresh && ageDays(snap.fetched_at) <= maxAgeDays) {
+    return { index: buildIndex(snap.entries, { fetched_at: snap.fetched_at }), info: { source: "cache", fetched_at: snap.fetched_at, count: snap.entries.length } };
+  }
+
+  try {
+    const entries = await downloadKindList(http);
+    const fetchedAt = new Date().toISOString();
+    if (!disabled) writeSnapshot(absPath, entries, fetchedAt);
+    return { index: buildIndex(entries, { fetched_at: fetchedAt }), info: { source: "download", fetched_at: fetchedAt, count: entries.length } };
+  } catch (e) {
+    const error = String(e?.message || e);
+    if (snap) {
+      console.warn(`[WARN] KIND 목록 다운로드 실패, ${snap.fetched_at} 스냅샷 사용: ${error}`);
+      return { index: buildIndex(snap.entries, { fetched_at: snap.fetched_at }), info: { source: "stale-cache", fetched_at: snap.fetched_at, count: snap.entries.length, error } };
+    }
+    console.warn(`[WARN] KIND 목록 없음, 상장회사 필터 생략: ${error}`);
+    return { index: null, info: { source: "none", fetched_at: null, count: 0, error } };
+  }
+}
+
+/**
+ * @param {{ corp_name: string, stock_code?: string, corp_code?: string }} it
+ * @returns {{ by: "stock_code"|"corp_code"|"name"|"name_en", listed: object } | null}
+ */
+export function matchListed(index, it) {
+  if (!index) return null;
+  const code = normalizeCode(it.stock_code);
+  if (code && index.byStockCode.has(code)) return { by: "stock_code", listed: index.byStockCode.get(code) };
+  if (it.corp_code && index.byCorpCode.has(it.corp_code)) return { by: "corp_code", listed: index.byCorpCode.get(it.corp_code) };
+  const key = normalizeCorpName(it.corp_name);
+  if (key && index.byName.has(key)) return { by: "name", listed: index.byName.get(key) };
+  // 예전 스냅샷으로 만든 인덱스에는 영문명 색인이 없을 수 있음
+  if (key && index.byEnglishName?.has(key)) return { by: "name_en", listed: index.byEnglishName.get(key) };
+  return null;
+}
+
+/** @returns {{ items: object[], excluded: { corp_name: string, matched_by: string, listed_name: string, stock_code: string }[] }} */
+export function excludeListed(items, index) {
+  const kept = [];
+  const excluded = [];
+  for (const it of items) {
+    const m = matchListed(index, it);
+    if (m && KONEX_MARKET.test(m.listed.market || "")) kept.push(it);
+    else if (m) excluded.push({ corp_name: it.corp_name, matched_by: m.by, listed_name: m.listed.name, stock_code: m.listed.stock_code || "" });
+    else kept.push(it);
+  }
+  return { items: kept, excluded };
+}
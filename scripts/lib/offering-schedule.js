@@ -0,0 +1,59 @@
+/**
+ * 증권신고서(지분증권) "일정" 표에서 공모 일정 뽑기
+ *  - 수요예측일(기간), 청약기일(기간), 배정공고일, 환불일, 납입기일, 상장예정일
+ *
+ * 표가 평문으로 풀린 텍스트 기준. 날짜 표기는 "2026년 03월 09일", "2026.03.09", "2026-03-09" 모두 허용,
+ * 기간의 끝은 연/월 생략("~ 10일", "~ 03월 10일")도 허용.
+ * "2026년 03월 중" 처럼 일자가 확정 안 된 값은 null.
+ */
+
+import { pad2, findAfter } from "./util.js";
+
+// 파서 규칙을 바꾸면 올려서 캐시된 예전 추출 결과를 버리게 한다
+export const SCHEDULE_PARSER_VERSION = 1;
+
+const LOOKAHEAD_CHARS = 60;
+
+const FULL_DATE = "(20\\d{2})\\s*(?:년|[.\\-/])\\s*(\\d{1,2})\\s*(?:월|[.\\-/])\\s*(\\d{1,2})\\s*일?";
+// 기간 끝: 연/월 생략 가능
+const TAIL_DATE = "(?:(20\\d{2})\\s*(?:년|[.\\-/])\\s*)?(?:(\\d{1,2})\\s*(?:월|[.\\-/])\\s*)?(\\d{1,2})\\s*일?";
+
+const RANGE_RE = new RegExp(`^[^\\d]{0,20}${FULL_DATE}(?:\\s*[~∼\\-]\\s*${TAIL_DATE})?`);
+const SINGLE_RE = new RegExp(`^[^\\d]{0,20}${FULL_DATE}`);
+
+function isoOrNull(y, m, d) {
+  const yy = Number(y), mm = Number(m), dd = Number(d);
+  if (!yy || mm < 1 || mm > 12 || dd < 1 || dd > 31) return null;
+  return `${yy}-${pad2(mm)}-${pad2(dd)}`;
+}
+
+function parseRange(text, labels) {
+  const m = findAfter(text, labels, RANGE_RE, LOOKAHEAD_CHARS);
+  if (!m) return null;
+  const start = isoOrNull(m[1], m[2], m[3]);
+  if (!start) return null;
+  const end = m[6] ? isoOrNull(m[4] || m[1], m[5] || m[2], m[6]) : start;
+  return { start, end: end && end >= start ? end : start };
+}
+
+function parseSingle(text, labels) {
+  const m = findAfter(text, labels, SINGLE_RE, LOOKAHEAD_CHARS);
+  return m ? isoOrNull(m[1], m[2], m[3]) : null;
+}
+
+/**
+ * @param {string} text 정규화된 원문 텍스트
+ * @returns {{ demand_forecast: {start:string,end:string}|null, subscription: {start:string,end:string}|null,
+ *             allocation_notice: string|null, refund: string|null, payment: string|null, listing: string|null }}
+ */
+export function parseOfferingSchedule(text) {
+  const t = text || "";
+  return {
+    demand_forecast: parseRange(t, ["수요예측일", "수요예측 기간", "수요예측기간", "기관투자자 수요예측"]),
+    subscription: parseRange(t, ["청약기일", "청약일", "청약기간"]),
+    allocation_notice: parseSingle(t, ["배정공고일", "배정 공고일"]),
+    refund: parseSingle(t, ["환불일"]),
+    payment: parseSingle(t, ["납입기일", "납입일"]),
+    listing: parseSingle(t, ["상장예정일", "상장 예정일", "매매개시 예정일", "매매개시일"]),
+  };
+}
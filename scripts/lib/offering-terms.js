@@ -0,0 +1,133 @@
+/**
+ * 증권신고서(지분증권) 원문 텍스트에서 공모 조건 뽑기
+ *  - 희망공모가액 밴드 / 확정공모가액
+ *  - 대표주관회사 / 인수회사(공동주관, 인수단)
+ *  - 공모주식수
+ *  - 최소 청약단위 / 청약증거금률
+ *
+ * 원문은 표가 평문으로 풀린 텍스트라 위치가 조금씩 다름 → 라벨 뒤 일정 거리 안에서 값 패턴을 찾는다.
+ * 못 찾은 값은 null (추측해서 채우지 않음)
+ */
+
+import { toNumber, findAfter } from "./util.js";
+
+// 파서 규칙을 바꾸면 올려서 캐시된 예전 추출 결과를 버리게 한다
+export const TERMS_PARSER_VERSION = 1;
+
+const NUM = "(\\d{1,3}(?:,\\d{3})+|\\d+)";
+
+function parsePriceBand(text) {
+  const re = new RegExp(`${NUM}\\s*원?\\s*[~∼\\-]\\s*${NUM}\\s*원`);
+  const m = findAfter(text, ["희망공모가액", "공모희망가액", "희망 공모가액"], re);
+  if (!m) return null;
+  const low = toNumber(m[1]);
+  const high = toNumber(m[2]);
+  if (!low || !high || low > high) return null;
+  return { low, high };
+}
+
+function parseFinalPrice(text) {
+  const re = new RegExp(`^[^~∼\\d]{0,20}${NUM}\\s*원`);
+  const m = findAfter(text, ["확정공모가액", "확정 공모가액", "확정공모가"], re);
+  return m ? toNumber(m[1]) : null;
+}
+
+// "한국투자증권㈜", "엔에이치투자증권 주식회사", "KB증권" ...
+const BROKER_RE = /([A-Za-z가-힣]{1,12}(?:투자|금융|종합)?증권)(?:\s*(?:㈜|\(주\)|주식회사))?/g;
+
+function normalizeBroker(name) {
+  return String(name || "").replace(/㈜|\(주\)|주식회사/g, "").replace(/\s+/g, "").trim();
+}
+
+const ROLE_LABELS = ["대표주관회사", "공동주관회사", "인수회사", "인수단"];
+
+// 다음 역할 라벨이 나오면 거기서 자름 (대표주관 뒤에 이어지는 인수회사 목록이 섞이지 않게)
+function cutAtNextRole(window) {
+  let end = window.length;
+  for (const l of ROLE_LABELS) {
+    const j = window.indexOf(l);
+    if (j !== -1 && j < end) end = j;
+  }
+  return window.slice(0, end);
+}
+
+function brokersAfter(text, labels, span = 120) {
+  const out = [];
+  for (const label of labels) {
+    let i = text.indexOf(label);
+    while (i !== -1) {
+      const window = cutAtNextRole(text.slice(i + label.length, i + label.length + span));
+      for (const m of window.matchAll(BROKER_RE)) {
+        const b = normalizeBroker(m[1]);
+        // "증권", "공동주관회사인증권" 같은 조각은 버림
+        if (b.length >= 4 && !/회사|주관|인수|신고/.test(b) && !out.includes(b)) out.push(b);
+      }
+      if (out.length) return out;
+      i = text.indexOf(label, i + label.length);
+    }
+  }
+  return out;
+}
+
+function parseShares(text) {
+  const re = new RegExp(`^[^\\d]{0,20}${NUM}\\s*주`);
+  const m = findAfter(text, ["공모주식수", "공모 주식수", "모집(매출)주식수", "모집주식수"], re);
+  return m ? toNumber(m[1]) : null;
+}
+
+function parseSubscriptionUnit(text) {
+  const re = new RegExp(`${NUM}\\s*주\\s*(?:이상|단위)`);
+  const m = findAfter(text, ["최소청약단위", "최소 청약단위", "청약단위", "최저청약주식수", "최소청약주식수"], re);
+  return m ? toNumber(m[1]) : null;
+}
+
+function parseDepositRate(text) {
+  const m = findAfter(text, ["청약증거금률", "청약증거금", "증거금률"], /(\d{1,3})\s*%/);
+  if (!m) return null;
+  const pct = Number(m[1]);
+  return pct > 0 && pct <= 100 ? pct : null;
+}
+
+/**
+ * @param {string} text 정규화된 원문 텍스트
+ * @returns {{ price_band: {low:number, high:number}|null, final_price: number|null,
+ *             lead_managers: string[], underwriters: string[], shares_offered: number|null,
+ *             subscription_unit: number|null, deposit_rate: number|null }}
+ */
+export function parseOfferingTerms(text) {
+  const t = text || "";
+  const lead = brokersAfter(t, ["대표주관회사"]);
+  const others = brokersAfter(t, ["공동주관회사", "인수회사", "인수단"]).filter((b) => !lead.includes(b));
+
+  return {
+    price_band: parsePriceBand(t),
+    final_price: parseFinalPrice(t),
+    lead_managers: lead,
+    underwriters: others,
+    shares_offered: parseShares(t),
+    subscription_unit: parseSubscriptionUnit(t),
+    deposit_rate: parseDepositRate(t),
+  };
+}
+
+function won(n) {
+  return `${Math.round(n).toLocaleString("ko-KR")}원`;
+}
+
+/**
+ * 화면/캘린더에서 쓰는 brokers / equalMin 문자열 만들기
+ *  - brokers  : 대표주관 + 인수회사 (", " 구분)
+ *  - equalMin : 균등 최소금액 = 최소 청약단위 × (확정가, 없으면 밴드 상단) × 증거금률
+ */
+export function termsToDisplay(terms) {
+  if (!terms) return { brokers: "", equalMin: "" };
+  const brokers = [...(terms.lead_managers || []), ...(terms.underwriters || [])].join(", ");
+
+  const price = terms.final_price || terms.price_band?.high || null;
+  let equalMin = "";
+  if (price && terms.subscription_unit && terms.deposit_rate) {
+    const amount = terms.subscription_unit * price * (terms.deposit_rate / 100);
+    equalMin = terms.final_price ? won(amount) : `${won(amount)} (밴드 상단 기준)`;
+  }
+  return { brokers, equalMin };
+}
@@ -0,0 +1,165 @@
+/**
+ * OpenDART REST API 소스 (캘린더 HTML 스크래핑 대신/함께)
+ *  - 공시검색 list.json        : 기간 안의 증권신고서(지분증권) 목록 (pblntf_detail_ty=C001)
+ *  - 증권신고서 주요정보 estkRs.json : 회사별 지분증권 신고서의 "일반사항"(청약기일 sbd, 납입기일 pymd ...)
+ *  → 캘린더와 같은 아이템 모양 (corp_name / market_short / market / sbd_start / sbd_end / href / href_abs)
+ *    + stock_code / corp_code (상장회사 필터가 이름 대신 코드로 맞춤)
+ *
+ * API 키: 환경변수 OPENDART_API_KEY
+ * 기본 주소: https://opendart.fss.or.kr/api (환경변수 OPENDART_BASE_URL 또는 baseUrl 옵션 → 로컬 대역 서버로 돌려볼 수 있음)
+ * 요청은 공용 HTTP 클라이언트를 거치므로 record/replay 도 그대로 됨 (기록 시 crtfc_key 는 transport 가 가림)
+ * 에러 문구는 ipo.json(_opendart_debug)/status.json 으로 커밋되므로 redactText 를 거친 것만 남긴다
+ *
+ * 회사 고유번호 없이 list.json 을 검색하면 기간이 3개월로 제한돼서 LIST_WINDOW_DAYS 단위로 나눠 부른다.
+ * 청약은 보통 신고서 제출 후 몇 주~두 달 뒤라, 범위 시작보다 LIST_LOOKBACK_DAYS 앞부터 신고서를 찾는다.
+ * list.json 이 실패한 구간은 debug.list_errors 에 남기고 계속 (전부 실패인지는 호출자가 판단)
+ */
+
+import { addDaysISO, marketFromShort, overlapsRange } from "./util.js";
+import { redactText } from "./transport.js";
+
+export const OPENDART_BASE_URL = "https://opendart.fss.or.kr/api";
+export const DATA_SOURCES = ["calendar", "opendart", "both"];
+
+const LIST_LOOKBACK_DAYS = 90;
+const LIST_WINDOW_DAYS = 89;
+const PAGE_COUNT = 100;
+const STATUS_OK = "000";
+const STATUS_NO_DATA = "013";
+const DART_DSAF_PATH = "/dsaf001/main.do";
+
+// corp_cls: Y 유가증권, K 코스닥, N 코넥스, E 기타(비상장)
+const CORP_CLS_SHORT = { Y: "유", K: "코", N: "넥", E: "기" };
+
+function ymd(iso) { return iso.replace(/-/g, ""); }
+
+/** "2026년 03월 30일 ~ 2026년 03월 31일", "2026.03.30 ~ 2026.03.31", "2026-03-30" → { start, end } */
+export function parseOpenDartPeriod(s) {
+  const dates = [...String(s || "").matchAll(/(20\d{2})\s*[년.\-/]\s*(\d{1,2})\s*[월.\-/]\s*(\d{1,2})/g)]
+    .map((m) => `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`);
+  if (!dates.length) return null;
+  return { start: dates[0], end: dates[dates.length - 1] };
+}
+
+/**
+ * @param {ReturnType<import("./http-client.js").createHttpClient>} http
+ * @param {{ apiKey?: string, baseUrl?: string }} [opts]
+ */
+export function createOpenDartClient(http, {
+  apiKey = process.env.OPENDART_API_KEY || "",
+  baseUrl = process.env.OPENDART_BASE_URL || OPENDART_BASE_URL,
+} = {}) {
+  // replay 는 기록된 응답만 쓰니 키가 없어도 됨
+  if (!apiKey && !http.offline) throw new Error("OPENDART_API_KEY 환경변수가 없음 (--source opendart|both)");
+  const base = baseUrl.replace(/\/+$/, "");
+
+  async function call(endpoint, params) {
+    const q = new URLSearchParams({ crtfc_key: apiKey || "replay", ...params });
+    const url = `${base}/${endpoint}?${q}`;
+    const res = await http.fetch(url, { method: "GET", headers: { Accept: "application/json" } });
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${base}/${endpoint}`);
+    const body = await res.json();
+    if (body.status === STATUS_NO_DATA) return null;
+    if (body.status !== STATUS_OK) throw new Error(`OpenDART ${endpoint} ${body.status}: ${body.message || ""}`);
+    return body;
+  }
+
+  return {
+    baseUrl: base,
+
+    /** 기간 안의 증권신고서(지분증권) 목록 (모든 페이지) */
+    async listEquityFilings(startISO, endISO) {
+      const out = [];
+      for (let page = 1; ; page++) {
+        const body = await call("list.json", {
+          bgn_de: ymd(startISO),
+          end_de: ymd(endISO),
+          pblntf_ty: "C",
+          pblntf_detail_ty: "C001",
+          page_no: String(page),
+          page_count: String(PAGE_COUNT),
+        });
+        if (!body) break;
+        out.push(...(body.list || []));
+        if (page >= Number(body.total_page || 1)) break;
+      }
+      return out;
+    },
+
+    /** 증권신고서 주요정보(지분증권) — group 제목 → list */
+    async equityRegistration(corpCode, startISO, endISO) {
+      const body = await call("estkRs.json", { corp_code: corpCode, bgn_de: ymd(startISO), end_de: ymd(endISO) });
+      const groups = {};
+      for (const g of body?.group || []) groups[g.title] = g.list || [];
+      return groups;
+    },
+  };
+}
+
+/**
+ * 범위 [start, end] 와 청약 기간이 겹치는 지분증권 공모 (회사별 최신 신고서 기준)
+ * @returns {Promise<{ items: object[], debug: object }>}
+ */
+export async function collectOpenDartItems(client, { start, end }) {
+  // 1) 신고서 목록 (3개월 제한 → 구간 나눠서)
+  const filings = [];
+  const windows = [];
+  const listErrors = [];
+  for (let s = addDaysISO(start, -LIST_LOOKBACK_DAYS); s <= end; s = addDaysISO(s, LIST_WINDOW_DAYS + 1)) {
+    const last = addDaysISO(s, LIST_WINDOW_DAYS);
+    const e = last < end ? last : end;
+    windows.push({ start: s, end: e });
+    try {
+      filings.push(...await client.listEquityFilings(s, e));
+    } catch (err) {
+      listErrors.push({ window: { start: s, end: e }, error: redactText(err?.message || err) });
+    }
+  }
+
+  // 2) 회사별로 주요정보 조회 → 일반사항의 청약기일
+  const byCorp = new Map();
+  for (const f of filings) {
+    if (!byCorp.has(f.corp_code)) byCorp.set(f.corp_code, []);
+    byCorp.get(f.corp_code).push(f);
+  }
+
+  const items = [];
+  const errors = [];
+  const listStart = windows[0]?.start || start;
+  for (const [corpCode, list] of byCorp) {
+    const latest = [...list].sort((a, b) => a.rcept_no.localeCompare(b.rcept_no)).at(-1);
+    let general;
+    try {
+      general = (await client.equityRegistration(corpCode, listStart, end))["일반사항"] || [];
+    } catch (e) {
+      errors.push({ corp_code: corpCode, corp_name: latest.corp_name, error: redactText(e?.message || e) });
+      continue;
+    }
+    // 정정이 있으면 최신 접수번호의 일반사항
+    const row = [...general].sort((a, b) => String(a.rcept_no).localeCompare(String(b.rcept_no))).at(-1);
+    const sbd = parseOpenDartPeriod(row?.sbd);
+    if (!sbd) continue;
+    if (!overlapsRange({ sbd_start: sbd.start, sbd_end: sbd.end }, start, end)) continue;
+
+    const rcpNo = row.rcept_no || latest.rcept_no;
+    const short = CORP_CLS_SHORT[row.corp_cls || latest.corp_cls] || "기";
+    const href = `${DART_DSAF_PATH}?rcpNo=${rcpNo}`;
+    items.push({
+      corp_name: latest.corp_name,
+      market_short: short,
+      market: marketFromShort(short),
+      sbd_start: sbd.start,
+      sbd_end: sbd.end,
+      href,
+      href_abs: `https://dart.fss.or.kr${href}`,
+      stock_code: (latest.stock_code || "").trim(),
+      corp_code: corpCode,
+    });
+  }
+
+  items.sort((a, b) => (a.sbd_start || "").localeCompare(b.sbd_start || "") || a.corp_name.localeCompare(b.corp_name));
+  return {
+    items,
+    debug: { base_url: client.baseUrl, windows, filings: filings.length, corps: byCorp.size, items: items.length, list_errors: listErrors, errors },
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * 상장 결과 채우기 (아카이브의 지나간 상장성 공모)
+ *  - 청약 결과: 신고서 dsaf001 관련 공시의 "증권발행실적보고서" 원문 → 공모가 / 투자자 구분별 경쟁률·배정 비율
+ *  - 상장일 성과: KIND 상장법인 목록(listed-filter.js 스냅샷)의 상장일·종목코드 → 네이버 일봉 차트에서 상장일 시가/종가
+ *    → 공모가 대비 수익률(%)
+ *
+ * 공모가는 신고서의 확정공모가(terms.final_price)가 기본, 없으면 실적보고서의 발행가액.
+ * 다 채워지면 complete = true 로 더는 조회하지 않고, 청약 종료 후 GIVE_UP_DAYS 가 지나면
+ * 못 채운 값이 있어도 그만 찾는다 (스팩처럼 실적보고서 형식이 다른 경우 등).
+ *
+ * 실적보고서 "청약 및 배정" 표는 평문으로 풀리면 열 이름이 사라져서, 표준 서식 열 순서
+ * (최초배정 수량·비율 / 청약 건수·수량·금액·비율 / 최종배정 수량·금액·비율)를 가정하고
+ * 비율 열이 0~100 이 아니면 그 행은 버린다. 못 찾은 값은 null (추측해서 채우지 않음)
+ */
+
+import { addDaysISO, toNumber, findAfter } from "./util.js";
+import { fetchDsafPage, fetchFilingText } from "./filings.js";
+import { extractFilingFamily } from "./amendments.js";
+import { matchListed } from "./listed-filter.js";
+import { extractCharset, decodeByCharset } from "./dart-calendar.js";
+import { LISTING_TYPES } from "./taxonomy.js";
+
+// 파서/계산 규칙을 바꾸면 올려서 예전 결과를 다시 채우게 한다
+export const OUTCOME_VERSION = 1;
+export const DEFAULT_MAX_OUTCOME_LOOKUPS = 30;
+
+const GIVE_UP_DAYS = 90;
+const NAVER_CHART_URL = "https://fchart.stock.naver.com/sise.nhn";
+const NAVER_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (compatible; ipo-calender-bot/1.0)",
+  "Referer": "https://finance.naver.com/",
+};
+const MAX_CHART_DAYS = 1000;
+
+const NUM = "(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)";
+const NUM_RE = new RegExp(NUM, "g");
+const ROW_CHARS = 200;
+
+const SUBSCRIBER_GROUPS = [
+  { group: "employee", labels: ["우리사주조합"] },
+  { group: "institution", labels: ["기관투자자"] },
+  { group: "retail", labels: ["일반청약자", "개인투자자"] },
+  { group: "high_yield", labels: ["고위험고수익투자신탁"] },
+  { group: "venture", labels: ["벤처기업투자신탁"] },
+  { group: "total", labels: ["합계"] },
+];
+const ALL_GROUP_LABELS = SUBSCRIBER_GROUPS.flatMap((g) => g.labels);
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function isPct(n) {
+  return n != null && n >= 0 && n <= 100;
+}
+
+// 라벨 뒤에서 다음 구분 라벨(또는 ROW_CHARS)까지를 한 행으로 보고 숫자 열을 읽는다
+function parseGroupRow(text, labels) {
+  for (const label of labels) {
+    let i = text.indexOf(label);
+    while (i !== -1) {
+      let row = text.slice(i + label.length, i + label.length + ROW_CHARS);
+      const cut = Math.min(...ALL_GROUP_LABELS.map((l) => row.indexOf(l)).filter((x) => x >= 0), row.length);
+      row = row.slice(0, cut);
+      const n = [...row.matchAll(NUM_RE)].map((m) => toNumber(m[1]));
+      if (n.length >= 9 && isPct(n[1]) && isPct(n[5]) && isPct(n[8]) && n[0] > 0 && n[3] > 0) {
+        const [initial, , , subscribed, , , allotted] = n;
+        return {
+          initial_shares: initial,
+          subscribed_shares: subscribed,
+          allotted_shares: allotted,
+          competition_ratio: round2(subscribed / initial),
+          allotment_pct: subscribed > 0 ? round2((allotted / subscribed) * 100) : null,
+        };
+      }
+      i = text.indexOf(label, i + label.length);
+    }
+  }
+  return null;
+}
+
+/**
+ * 증권발행실적보고서 원문 텍스트
+ * @returns {{ offer_price: number|null, competition_ratio: number|null,
+ *             groups: { group: string, initial_shares: number, subscribed_shares: number, allotted_shares: number,
+ *                       competition_ratio: number, allotment_pct: number|null }[] }}
+ *   competition_ratio: 본문에 "경쟁률 N : 1" 이 있으면 그 값, 없으면 일반청약자 → 합계 행에서 계산
+ */
+export function parseIssuanceReport(text) {
+  const t = text || "";
+  const price = findAfter(t, ["1주당 발행가액", "1주당 공모가액", "발행가액", "공모가액"], new RegExp(`^[^\\d]{0,20}${NUM}\\s*원`));
+
+  const groups = [];
+  for (const g of SUBSCRIBER_GROUPS) {
+    const row = parseGroupRow(t, g.labels);
+    if (row) groups.push({ group: g.group, ...row });
+  }
+
+  const stated = findAfter(t, ["청약경쟁률", "청약 경쟁률", "경쟁률"], new RegExp(`^[^\\d]{0,30}${NUM}\\s*(?::|대)\\s*1`));
+  const fallback = groups.find((g) => g.group === "retail") || groups.find((g) => g.group === "total");
+  return {
+    offer_price: price ? toNumber(price[1]) : null,
+    competition_ratio: stated ? toNumber(stated[1]) : (fallback?.competition_ratio ?? null),
+    groups,
+  };
+}
+
+/** 네이버 일봉 XML (<item data="YYYYMMDD|시가|고가|저가|종가|거래량" />) */
+export function parseNaverDaily(xml) {
+  const rows = [];
+  for (const m of String(xml || "").matchAll(/<item\s+data="([^"]+)"/g)) {
+    const [d, open, high, low, close, volume] = m[1].split("|");
+    if (!/^\d{8}$/.test(d)) continue;
+    rows.push({
+      date: `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}`,
+      open: toNumber(open), high: toNumber(high), low: toNumber(low), close: toNumber(close), volume: toNumber(volume),
+    });
+  }
+  return rows.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** 상장일(또는 그 뒤 첫 거래일) 일봉 */
+async function fetchListingDay(http, stockCode, listingDate, today) {
+  const days = Math.ceil((Date.parse(today) - Date.parse(listingDate)) / 86400000) + 5;
+  const count = Math.min(Math.max(days, 5), MAX_CHART_DAYS);
+  const url = `${NAVER_CHART_URL}?symbol=${stockCode}&timeframe=day&count=${count}&requestType=0`;
+  const res = await http.fetch(url, { method: "GET", headers: NAVER_HEADERS });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  const buf = Buffer.from(await res.arrayBuffer());
+  const rows = parseNaverDaily(decodeByCharset(buf, extractCharset(res.headers.get("content-type")) || "euc-kr"));
+  return rows.find((r) => r.date >= listingDate) || null;
+}
+
+/** 신고서 관련 공시에서 증권발행실적보고서를 찾아 파싱 (아직 안 올라왔으면 null) */
+async function fetchIssuanceReport(http, rcpNo) {
+  const dsaf = await fetchDsafPage(http, rcpNo);
+  const report = extractFilingFamily(dsaf.html, rcpNo).related
+    .filter((f) => /증권발행실적보고서/.test(f.title))
+    .at(-1);
+  if (!report) return null;
+  const doc = await fetchFilingText(http, report.rcpNo);
+  if (!doc.params) return null;
+  return { rcpNo: report.rcpNo, date: report.date, ...parseIssuanceReport(doc.text) };
+}
+
+function isoFromKind(s) {
+  const m = String(s || "").match(/(20\d{2}|19\d{2})[.\-/]?(\d{2})[.\-/]?(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function pctReturn(price, base) {
+  return price != null && base ? round2(((price - base) / base) * 100) : null;
+}
+
+/** 아직 결과를 찾아볼 아이템인가 */
+export function needsOutcome(it, today) {
+  if (!LISTING_TYPES.includes(it.offer_type) || it.withdrawn) return false;
+  const end = it.sbd_end || it.sbd_start;
+  if (!end || end >= today) return false;
+  if (it.outcome?.version === OUTCOME_VERSION && it.outcome.complete) return false;
+  return today <= addDaysISO(end, GIVE_UP_DAYS) || it.outcome?.version !== OUTCOME_VERSION;
+}
+
+/**
+ * 아이템 하나의 상장 결과 (이전 결과에 이미 있는 값은 다시 받지 않음)
+ * @returns {Promise<object>} item.outcome 에 들어갈 값
+ */
+export async function resolveOutcome(http, it, { listedIndex = null, today }) {
+  const prev = it.outcome?.version === OUTCOME_VERSION ? it.outcome : {};
+
+  // 상장일/종목코드: KIND 목록 → (이전 결과) → 신고서 일정의 상장예정일. 청약 전에 상장된 동명 회사는 무시
+  const listed = matchListed(listedIndex, it)?.listed || null;
+  const kindDate = isoFromKind(listed?.listed_at);
+  const sbdEnd = it.sbd_end || it.sbd_start;
+  const fromKind = kindDate && kindDate >= sbdEnd ? listed : null;
+  const listingDate = (fromKind ? kindDate : null) || prev.listing_date || it.schedule?.listing || null;
+  const stockCode = prev.stock_code || it.stock_code || fromKind?.stock_code || null;
+
+  const subscription = prev.subscription || (it.rcpNo ? await fetchIssuanceReport(http, it.rcpNo) : null);
+  const offerPrice = it.terms?.final_price || subscription?.offer_price || null;
+
+  let day = prev.open != null && prev.close != null ? { open: prev.open, close: prev.close, date: prev.trade_date } : null;
+  if (!day && stockCode && listingDate && listingDate < today) day = await fetchListingDay(http, stockCode, listingDate, today);
+
+  const outcome = {
+    version: OUTCOME_VERSION,
+    listing_date: listingDate,
+    stock_code: stockCode,
+    offer_price: offerPrice,
+    trade_date: day?.date || null,
+    open: day?.open ?? null,
+    close: day?.close ?? null,
+    open_return_pct: pctReturn(day?.open, offerPrice),
+    close_return_pct: pctReturn(day?.close, offerPrice),
+    price_source: day ? "naver" : null,
+    subscription,
+  };
+  outcome.complete = Boolean(outcome.offer_price && outcome.close != null && subscription);
+  return outcome;
+}
+
+/**
+ * 아카이브 전체에서 결과가 필요한 아이템을 최근 것부터 maxLookups 개까지 채움 (제자리 수정)
+ * @param {Map<string, object[]>} archive  archive.js loadArchive 결과
+ * @returns {Promise<{ pending: number, checked: number, completed: number, errors: { corp_name: string, error: string }[] }>}
+ */
+export async function enrichOutcomes(http, archive, { listedIndex = null, today, maxLookups = DEFAULT_MAX_OUTCOME_LOOKUPS }) {
+  const pending = [...archive.values()].flat()
+    .filter((it) => needsOutcome(it, today))
+    .sort((a, b) => (b.sbd_end || "").localeCompare(a.sbd_end || ""));
+
+  const stats = { pending: pending.length, checked: 0, completed: 0, errors: [] };
+  for (const it of pending.slice(0, maxLookups)) {
+    stats.checked++;
+    try {
+      it.outcome = await resolveOutcome(http, it, { listedIndex, today });
+      if (it.outcome.complete) stats.completed++;
+    } catch (e) {
+      stats.errors.push({ corp_name: it.corp_name, error: String(e?.message || e) });
+    }
+  }
+  return stats;
+}
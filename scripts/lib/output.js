@@ -0,0 +1,100 @@
+/**
+ * 출력(writer) 단계: docs/data/ipo.json + changes.json
+ *
+ * ipo.json 형식 — 캘린더(http / browser) / OpenDART / 둘 다, 어느 소스로 돌려도 같은 모양.
+ * 쓰기 전에 schema.js 로 검증 (형식을 바꾸면 여기 typedef 와 스키마 파일을 같이 고칠 것)
+ * (예전 update-ipo.mjs 의 rcp_no 는 rcpNo 로 통일, excluded_listed 는 그대로 유지)
+ *
+ * @typedef {object} IpoItem
+ * @property {string} corp_name
+ * @property {"유"|"코"|"넥"|"기"} market_short
+ * @property {"KOSPI"|"KOSDAQ"|"KONEX"|"ETC"|"UNKNOWN"} market
+ * @property {string|null} sbd_start          청약 시작일 (YYYY-MM-DD)
+ * @property {string|null} sbd_end            청약 종료일
+ * @property {string} href                    캘린더의 dsaf001 링크
+ * @property {string} href_abs
+ * @property {string} [rcpNo]                 분류/추출에 쓴 최신 신고서 접수번호
+ * @property {string} [stock_code]            종목코드 (OpenDART 에서 온 경우, 비상장이면 "")
+ * @property {string} [corp_code]             DART 고유번호 (OpenDART 에서 온 경우)
+ * @property {("calendar"|"opendart")[]} [sources]  source=both 일 때 어느 쪽에서 찾았는지
+ * @property {string} offer_type              taxonomy.js OFFER_TYPES (ipo | spac | reit | infra | transfer | relisting | konex | other | rights | unknown)
+ * @property {number|null} [offer_confidence] 0~1
+ * @property {string} offer_reason            판정 설명
+ * @property {{term:string, zone:string, points:number, snippet:string}[]} [offer_evidence]
+ * @property {string} [viewer_url]            원문(viewer.do) 주소
+ * @property {object|null} terms              공모 조건 (offering-terms.js)
+ * @property {object|null} schedule           공모 일정 (offering-schedule.js)
+ * @property {boolean} [withdrawn]            철회 여부
+ * @property {string[]} [amendment_flags]     rescheduled | repriced | withdrawn
+ * @property {object[]} [amendments]          신고서 흐름 + 변경 내역 (amendments.js)
+ * @property {string} brokers                 증권사 (원문 추출, 보정 우선)
+ * @property {string} equalMin                균등 최소금액 (원문 추출, 보정 우선)
+ * @property {string} note                    수동 메모 (보정 파일)
+ * @property {{fields:string[], reason?:string, included?:boolean, added?:boolean}} [override]
+ *                                            overrides.js 로 고친 필드 / 필터 무시(included) / 수동 추가(added)
+ *
+ * @typedef {object} IpoOutput
+ * @property {boolean} ok
+ * @property {number} schema_version          docs/data/schema/ipo.v<N>.schema.json
+ * @property {string} source                  사람이 읽는 파이프라인 설명
+ * @property {"calendar"|"opendart"|"both"} data_source
+ * @property {"http"|"browser"|null} calendar_source  캘린더를 안 썼으면 null
+ * @property {object} [cross_check]           source=both: { matched, calendar_only, opendart_only, date_mismatch }
+ * @property {{start:string, end:string}} range
+ * @property {string} mode                    ipo | exrights | all | custom(--include/--exclude)
+ * @property {string[]} offer_types           이번 실행에서 받은 offer_type 목록
+ * @property {string} last_updated_kst
+ * @property {number} count                   items 개수
+ * @property {number} excluded_listed         상장회사라서 뺀 개수
+ * @property {{source:string, fetched_at:string|null, count:number, error?:string}|null} [listed_index]
+ *                                            상장법인 목록 출처 (cache | download | stale-cache | none), 필터를 안 썼으면 null
+ * @property {{hidden:number, added:number}} [overrides]  보정 파일로 숨기거나 추가한 개수 (보정이 있을 때만)
+ * @property {string[]} failed_months         가져오지 못한 달 (YYYY-MM)
+ * @property {IpoItem[]} items
+ * @property {object[]} _debug                월별 fetch/parse 진단
+ * @property {object[]} _classify_debug       공시별 분류 진단 (최대 80개)
+ */
+
+import fs from "fs";
+import path from "path";
+import { readJsonIfExists } from "./util.js";
+import { diffRuns, appendChangeRun, DEFAULT_HISTORY_RUNS } from "./changes.js";
+
+export const DEFAULT_OUT = "docs/data/ipo.json";
+
+/**
+ * ipo.json 을 쓰고, 직전 파일과 비교한 변경 내역을 changes.json 에 추가
+ * @returns {{ changeRun: object, changesPath: string }}
+ */
+export function writeOutput(payload, { outPath = DEFAULT_OUT, changesPath = "", historyRuns = DEFAULT_HISTORY_RUNS } = {}) {
+  const absOut = path.resolve(outPath);
+  const previous = readJsonIfExists(absOut);
+
+  fs.mkdirSync(path.dirname(absOut), { recursive: true });
+  fs.writeFileSync(absOut, JSON.stringify(payload, null, 2), "utf-8");
+
+  const cp = changesPath || path.join(path.dirname(outPath), "changes.json");
+  const changeRun = diffRuns(previous, payload, new Date().toISOString());
+  appendChangeRun(cp, changeRun, historyRuns);
+  return { changeRun, changesPath: cp };
+}
+
+// ---------------- golden 비교 (replay 회귀 확인) ----------------
+export function diffAgainstGolden(payload, goldenPath) {
+  const golden = JSON.parse(fs.readFileSync(path.resolve(goldenPath), "utf-8"));
+  const keyOf = (it) => `${it.market_short}||${it.corp_name}`;
+  const want = new Map((golden.items || []).map((it) => [keyOf(it), it]));
+  const got = new Map((payload.items || []).map((it) => [keyOf(it), it]));
+
+  const diffs = [];
+  for (const [k, it] of want) {
+    if (!got.has(k)) diffs.push(`missing: ${k}`);
+    else if (JSON.stringify(got.get(k)) !== JSON.stringify(it)) {
+      diffs.push(`changed: ${k}\n    golden: ${JSON.stringify(it)}\n    actual: ${JSON.stringify(got.get(k))}`);
+    }
+  }
+  for (const k of got.keys()) {
+    if (!want.has(k)) diffs.push(`unexpected: ${k}`);
+  }
+  return diffs;
+}
@@ -0,0 +1,253 @@
+/**
+ * 수동 보정 파일 (docs/data/overrides.json) — rcpNo 또는 회사명 키로 items 를 고치거나 숨기거나 추가
+ *
+ *  {
+ *    "version": 1,
+ *    "entries": [
+ *      { "rcpNo": "20260302000123", "set": { "sbd_start": "2026-03-12", "terms.final_price": 15000 }, "reason": "정정 전 달력" },
+ *      { "corp_name": "에스팀", "set": { "offer_type": "ipo", "note": "..." }, "include": true },
+ *      { "corp_name": "○○리츠", "hide": true },
+ *      { "add": { "corp_name": "△△", "market": "KOSDAQ", "sbd_start": "2026-04-01", "sbd_end": "2026-04-02" } }
+ *    ]
+ *  }
+ *
+ *  - 키: rcpNo (최신 신고서 / 달력 링크 / 정정 흐름의 접수번호 중 하나) 또는 corp_name (normalizeCorpName 으로 비교)
+ *  - set    : 필드 덮어쓰기. "terms.final_price" 처럼 점으로 중첩 필드도 가능 (PATCH_FIELDS 의 첫 단계만 허용)
+ *             terms 를 고쳤는데 brokers/equalMin 을 직접 안 줬으면 고친 terms 로 다시 계산
+ *  - include: 유형 필터 / 상장회사 필터에 걸려도 남김,  hide: 항상 뺌 (둘 다 true 는 오류)
+ *  - add    : DART 에 아직 없는 공모를 직접 추가 (청약 기간이 범위와 겹칠 때만. 같은 회사가 DART 에 보이면 추가하지 않고 경고)
+ *
+ * 고친 항목에는 items[].override = { fields, reason?, included?, added? } 를 남김 (어디까지가 수동 값인지)
+ * 한 번도 맞지 않은 항목은 unmatched() 로 돌려줌 → 실행 로그 / status.json 경고
+ * 예전 ipo_meta_manual.json({ 회사명: { brokers, equalMin, note } })도 읽어서 corp_name 키 set 으로 바꿔 넣음
+ * (같은 회사를 둘 다 적었으면 overrides.json 이 나중에 적용되어 우선)
+ *
+ * 형식이 틀리면 실행 전에 바로 예외 (잘못된 보정이 조용히 무시되지 않도록)
+ */
+
+import fs from "fs";
+import path from "path";
+import { extractRcpNo, overlapsRange } from "./util.js";
+import { normalizeCorpName } from "./listed-filter.js";
+import { termsToDisplay } from "./offering-terms.js";
+import { OFFER_TYPES } from "./taxonomy.js";
+
+export const DEFAULT_OVERRIDES = "docs/data/overrides.json";
+export const LEGACY_META_JSON = "docs/data/ipo_meta_manual.json";
+const OVERRIDES_VERSION = 1;
+
+const PATCH_FIELDS = [
+  "corp_name", "market", "sbd_start", "sbd_end", "stock_code", "offer_type", "offer_reason",
+  "viewer_url", "terms", "schedule", "withdrawn", "brokers", "equalMin", "note",
+];
+const DATE_FIELDS = ["sbd_start", "sbd_end"];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MARKET_SHORT = { KOSPI: "유", KOSDAQ: "코", KONEX: "넥", ETC: "기" };
+
+// ---------------- 읽기 / 검증 ----------------
+function validateSet(set, at) {
+  const errors = [];
+  if (!set || typeof set !== "object" || Array.isArray(set)) return [`${at}: 객체여야 함`];
+  for (const [k, v] of Object.entries(set)) {
+    const head = k.split(".")[0];
+    if (!PATCH_FIELDS.includes(head)) errors.push(`${at}.${k}: 고칠 수 없는 필드 (${PATCH_FIELDS.join(", ")})`);
+    else if (DATE_FIELDS.includes(k) && v !== null && !DATE_RE.test(String(v))) errors.push(`${at}.${k}: YYYY-MM-DD 여야 함 (${v})`);
+    else if (k === "market" && !Object.hasOwn(MARKET_SHORT, v) && v !== "UNKNOWN") errors.push(`${at}.market: ${v} 는 허용값 아님`);
+    else if (k === "offer_type" && !OFFER_TYPES.includes(v)) errors.push(`${at}.offer_type: ${v} 는 허용값 아님 (${OFFER_TYPES.join(", ")})`);
+  }
+  return errors;
+}
+
+function validateEntry(e, at) {
+  if (!e || typeof e !== "object" || Array.isArray(e)) return [`${at}: 객체여야 함`];
+  if (e.reason !== undefined && typeof e.reason !== "string") return [`${at}.reason: 문자열이어야 함`];
+
+  if (e.add !== undefined) {
+    if (e.rcpNo !== undefined || e.corp_name !== undefined || e.set || e.hide || e.include) {
+      return [`${at}: add 는 다른 키(rcpNo/corp_name/set/hide/include)와 같이 쓸 수 없음`];
+    }
+    const errors = validateSet(e.add, `${at}.add`);
+    for (const k of ["corp_name", "sbd_start", "sbd_end"]) {
+      if (!e.add?.[k]) errors.push(`${at}.add.${k}: 필수 필드 없음`);
+    }
+    return errors;
+  }
+
+  const errors = [];
+  const hasRcp = e.rcpNo !== undefined;
+  const hasName = e.corp_name !== undefined;
+  if (hasRcp === hasName) errors.push(`${at}: rcpNo 나 corp_name 중 하나만 있어야 함`);
+  if (hasRcp && !/^\d{14}$/.test(String(e.rcpNo))) errors.push(`${at}.rcpNo: 14자리 숫자여야 함 (${e.rcpNo})`);
+  if (hasName && (typeof e.corp_name !== "string" || !e.corp_name.trim())) errors.push(`${at}.corp_name: 빈 문자열`);
+  if (e.set !== undefined) errors.push(...validateSet(e.set, `${at}.set`));
+  for (const k of ["hide", "include"]) {
+    if (e[k] !== undefined && typeof e[k] !== "boolean") errors.push(`${at}.${k}: true | false`);
+  }
+  if (e.hide && e.include) errors.push(`${at}: hide 와 include 를 같이 쓸 수 없음`);
+  if (!e.set && !e.hide && !e.include) errors.push(`${at}: set / hide / include 중 하나는 있어야 함`);
+  return errors;
+}
+
+/**
+ * @returns {{ ok: boolean, errors: string[] }}
+ */
+export function validateOverrides(obj) {
+  if (!obj || typeof obj !== "object") return { ok: false, errors: ["$: 객체여야 함"] };
+  const errors = [];
+  if (obj.version !== OVERRIDES_VERSION) errors.push(`$.version: ${OVERRIDES_VERSION} 이어야 함`);
+  if (!Array.isArray(obj.entries)) errors.push("$.entries: 배열이어야 함");
+  else obj.entries.forEach((e, i) => errors.push(...validateEntry(e, `$.entries[${i}]`)));
+  return { ok: errors.length === 0, errors };
+}
+
+function readOverridesFile(file) {
+  const abs = path.resolve(file);
+  if (!fs.existsSync(abs)) return [];
+  let obj;
+  try {
+    obj = JSON.parse(fs.readFileSync(abs, "utf-8"));
+  } catch (e) {
+    throw new Error(`보정 파일을 읽을 수 없음: ${file} (${e.message})`);
+  }
+  const { ok, errors } = validateOverrides(obj);
+  if (!ok) throw new Error(`보정 파일 형식 오류: ${file}\n  ${errors.join("\n  ")}`);
+  return obj.entries.map((e, i) => ({ ...e, source: `${file}#${i}` }));
+}
+
+// 예전 수동 메타: 값이 있는 필드만 set 으로
+function readLegacyMeta(file) {
+  if (!file) return [];
+  let obj;
+  try {
+    obj = JSON.parse(fs.readFileSync(path.resolve(file), "utf-8"));
+  } catch {
+    return [];
+  }
+  if (!obj || typeof obj !== "object") return [];
+  return Object.entries(obj).flatMap(([name, meta]) => {
+    const set = Object.fromEntries(["brokers", "equalMin", "note"].filter((k) => meta?.[k]).map((k) => [k, String(meta[k])]));
+    return Object.keys(set).length ? [{ corp_name: name, set, source: `${file}#${name}` }] : [];
+  });
+}
+
+// ---------------- 적용 ----------------
+function setPath(obj, key, value) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  let node = obj;
+  for (const p of parts) {
+    node[p] = node[p] && typeof node[p] === "object" ? { ...node[p] } : {};
+    node = node[p];
+  }
+  node[last] = value;
+}
+
+function applySet(item, set) {
+  const out = { ...item };
+  for (const [k, v] of Object.entries(set)) setPath(out, k, v);
+  if (set.market) out.market_short = MARKET_SHORT[set.market] || out.market_short;
+  if (Object.keys(set).some((k) => k.split(".")[0] === "terms")) {
+    const auto = termsToDisplay(out.terms);
+    if (!("brokers" in set)) out.brokers = auto.brokers;
+    if (!("equalMin" in set)) out.equalMin = auto.equalMin;
+  }
+  return out;
+}
+
+function addedItem(add, reason) {
+  const market = add.market || "UNKNOWN";
+  const base = {
+    corp_name: add.corp_name,
+    market_short: MARKET_SHORT[market] || "기",
+    market,
+    sbd_start: add.sbd_start,
+    sbd_end: add.sbd_end,
+    href: "",
+    href_abs: "",
+    offer_type: "ipo",
+    offer_confidence: null,
+    offer_reason: "수동 추가 (overrides)",
+    terms: null,
+    schedule: null,
+    brokers: "",
+    equalMin: "",
+    note: "",
+  };
+  return { ...applySet(base, add), override: { fields: Object.keys(add), added: true, ...(reason ? { reason } : {}) } };
+}
+
+/**
+ * @param {{ file?: string, legacyFile?: string, disabled?: boolean }} opts
+ */
+export function openOverrides({ file = DEFAULT_OVERRIDES, legacyFile = "", disabled = false } = {}) {
+  const entries = disabled ? [] : [...readLegacyMeta(legacyFile), ...readOverridesFile(file)];
+  const keyed = entries.filter((e) => !e.add);
+  const adds = entries.filter((e) => e.add);
+  const matched = new Set();
+
+  function rcpNosOf(it) {
+    return new Set([it.rcpNo, extractRcpNo(it.href), ...(it.amendments || []).map((a) => a.rcpNo)].filter(Boolean));
+  }
+
+  function entriesFor(it) {
+    const rcps = rcpNosOf(it);
+    const name = normalizeCorpName(it.corp_name);
+    return keyed.filter((e) => (e.rcpNo ? rcps.has(String(e.rcpNo)) : normalizeCorpName(e.corp_name) === name));
+  }
+
+  return {
+    count: entries.length,
+
+    /** 상장회사 필터를 건너뛸 항목인지 (분류 전이라 달력 링크의 rcpNo / 회사명으로만 맞춤) */
+    forcesInclude(it) {
+      return entriesFor(it).some((e) => e.include);
+    },
+
+    /**
+     * 분류가 끝난 항목에 보정 적용
+     * @returns {{ item: object, hidden: boolean, include: boolean }}
+     */
+    apply(it) {
+      const hits = entriesFor(it);
+      if (!hits.length) return { item: it, hidden: false, include: false };
+      for (const e of hits) matched.add(e);
+
+      // 뒤에 적힌 항목이 우선 (예전 메타 → overrides.json 순)
+      const set = Object.assign({}, ...hits.map((e) => e.set || {}));
+      const fields = Object.keys(set);
+      let item = fields.length ? applySet(it, set) : it;
+      const include = hits.some((e) => e.include);
+      const reason = hits.map((e) => e.reason).filter(Boolean).join(" / ");
+      if (fields.length || include) {
+        item = { ...item, override: { fields, ...(reason ? { reason } : {}), ...(include ? { included: true } : {}) } };
+      }
+      return { item, hidden: hits.some((e) => e.hide), include };
+    },
+
+    /** 범위와 겹치고 아직 DART 에 없는 add 항목 (items 에 같은 회사가 있으면 건너뛰고 warnings 에) */
+    additions(items, start, end) {
+      const names = new Set(items.map((it) => normalizeCorpName(it.corp_name)));
+      const out = [];
+      const warnings = [];
+      for (const e of adds) {
+        // 아직 안 온 공모는 맞지 않은 게 아니라 기다리는 중
+        if ((e.add.sbd_start || e.add.sbd_end) > end) matched.add(e);
+        if (!overlapsRange(e.add, start, end)) continue;
+        matched.add(e);
+        if (names.has(normalizeCorpName(e.add.corp_name))) {
+          warnings.push({ source: e.source, corp_name: e.add.corp_name, reason: "DART 에 이미 있음 — add 대신 set 으로 바꾸거나 지울 것" });
+          continue;
+        }
+        out.push(addedItem(e.add, e.reason));
+      }
+      return { items: out, warnings };
+    },
+
+    /** 이번 실행에서 한 번도 맞지 않은 항목 (이미 지나간 add 포함) */
+    unmatched() {
+      return entries
+        .filter((e) => !matched.has(e))
+        .map((e) => ({ source: e.source, key: e.add ? `add:${e.add.corp_name}` : e.rcpNo ? `rcpNo:${e.rcpNo}` : `corp_name:${e.corp_name}` }));
+    },
+  };
+}
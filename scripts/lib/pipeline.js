@@ -0,0 +1,406 @@
+/**
+ * IPO 데이터 파이프라인 (update-ipo.js 가 호출)
+ *
+ *  1) source     : calendar — 캘린더(dsac008, 월 이동은 http | browser)로 범위 앞뒤 여유(windowMarginDays)까지 월별 이벤트 수집
+ *                             → 회사별 병합 → 청약 기간이 범위와 겹치는 공모만 (시작/종료일은 잘리지 않고 그대로)
+ *                  opendart — OpenDART API(list.json + estkRs.json)로 같은 모양의 아이템 (opendart.js)
+ *                  both     — 둘 다 받아서 합치고 교차 확인 (cross-check.js)
+ *  2) listed     : KIND 상장법인 목록(디스크 스냅샷 캐시)으로 이미 상장된 회사 제외 (후속 공모)
+ *  3) classify   : rcpNo 원문으로 분류(세부 유형 포함) + 공모 조건/일정/정정 이력 추출 (캐시) → 유형 필터 (taxonomy.js)
+ *  4) overrides  : 수동 보정(overrides.json + 예전 ipo_meta_manual.json) — 필드 덮어쓰기 / 숨김 / 강제 포함 / 추가 (overrides.js)
+ *  5) writer     : ipo.json + changes.json (output.js)
+ *
+ * 각 단계는 공용 HTTP 클라이언트(http-client.js: 재시도/속도 제한/요청 예산, 그 아래 transport live/record/replay)
+ * 만 통해서 네트워크에 접근한다. 요청 간격은 클라이언트의 호스트별 속도 제한이 맡음 (단계별 sleep 없음)
+ * 원문 분류는 concurrency 개까지 동시에 (캘린더 월 이동은 세션 쿠키 때문에 순서대로)
+ *
+ * 단계마다 결과(ok | degraded | failed | skipped)/건수/소요 시간을 stats.stages 에 남김 → status.json (status.js)
+ */
+
+import { pad2, kstTodayISO, addDaysISO, monthsBetween, overlapsRange, extractRcpNo, mapLimit } from "./util.js";
+import { createCalendarSource, parseCalendarMonth, mergeEventsToItems } from "./dart-calendar.js";
+import { createOpenDartClient, collectOpenDartItems, DATA_SOURCES } from "./opendart.js";
+import { crossCheckSources } from "./cross-check.js";
+import { redactText } from "./transport.js";
+import { resolveFiling } from "./filings.js";
+import { loadListedIndex, excludeListed } from "./listed-filter.js";
+import { termsToDisplay } from "./offering-terms.js";
+import { openOverrides } from "./overrides.js";
+import { SCHEMA_VERSION } from "./schema.js";
+import { parseTypeFilter } from "./taxonomy.js";
+
+export const DEFAULT_CONCURRENCY = 4;
+// 범위 경계에 걸친 공모의 다른 쪽 날짜를 잡으려고 앞뒤로 더 보는 날 수 (청약 기간은 길어야 며칠)
+export const DEFAULT_WINDOW_MARGIN_DAYS = 10;
+
+// ---------------- stage report ----------------
+/**
+ * fn 을 실행하고 stages 에 { name, status, duration_ms, counts } 를 남김 (예외면 failed 로 남기고 다시 던짐)
+ * @param {(r: any) => { status?: string, counts?: object, note?: string }} summarize
+ */
+async function timed(stages, name, fn, summarize) {
+  const t0 = Date.now();
+  try {
+    const r = await fn();
+    stages.push({ name, status: "ok", duration_ms: Date.now() - t0, ...summarize(r) });
+    return r;
+  } catch (e) {
+    stages.push({ name, status: "failed", duration_ms: Date.now() - t0, error: redactText(e?.message || e) });
+    throw e;
+  }
+}
+
+function skipped(name, note) {
+  return { name, status: "skipped", duration_ms: 0, note };
+}
+
+// ---------------- 1) source: calendar ----------------
+async function collectCalendarEvents(source, months) {
+  const events = [];
+  const debug = [];
+  let unparsed = 0;
+
+  for (const { y, m } of months) {
+    try {
+      const { ok, html, fetch_info } = await source.fetchMonth(y, m);
+      if (!ok) {
+        // 다른 달 데이터를 이 달 날짜로 바꿔 쓰는 것보다 실패로 남기는 게 낫다
+        debug.push({ y, m, fetch: fetch_info, parse: { ok: false, reason: fetch_info.reason } });
+        console.warn(`[WARN] ${y}-${pad2(m)}: ${fetch_info.reason}`);
+        continue;
+      }
+      const pm = parseCalendarMonth(html, y, m);
+
+      debug.push({
+        y, m,
+        fetch: fetch_info,
+        parse: {
+          ok: pm.ok,
+          ...(pm.ok ? {} : { reason: pm.reason }),
+          grid: pm.grid,
+          market_via: pm.market_via,
+          unparsed: pm.unparsed.slice(0, 10),
+          unparsed_total: pm.unparsed.length,
+          anchors_total: pm.anchors_total,
+          anchors_matched: pm.anchors_matched,
+          events: pm.events.length,
+          sample_matched_texts: pm.sample_matched_texts,
+        },
+      });
+
+      if (!pm.ok) console.warn(`[WARN] ${y}-${pad2(m)}: ${pm.reason}`);
+      if (pm.unparsed.length) console.warn(`[WARN] ${y}-${pad2(m)}: 시장/회사명을 못 읽은 링크 ${pm.unparsed.length}개 (${pm.unparsed.slice(0, 3).join(", ")})`);
+      unparsed += pm.unparsed.length;
+      events.push(...pm.events);
+    } catch (err) {
+      debug.push({
+        y, m,
+        fetch: null,
+        parse: { ok: false, reason: String(err?.message || err) },
+      });
+    }
+  }
+  return { events, debug, unparsed };
+}
+
+async function collectCalendarItems(http, calendarSource, classifyCache, months, start, end) {
+  const source = createCalendarSource(calendarSource, http);
+  let cal;
+  try {
+    cal = await collectCalendarEvents(source, months);
+  } finally {
+    await source.close();
+  }
+
+  // 같은 회사의 더 최신 공시가 보이면 예전 분류 캐시는 만료
+  for (const e of cal.events) classifyCache.noteFiling(e.corp_name, e.rcpNo || extractRcpNo(e.href));
+
+  // 이벤트가 아니라 합친 공모 단위로 범위와 비교 (범위 전날 시작한 공모도 시작일 그대로)
+  const items = mergeEventsToItems(cal.events).filter((it) => overlapsRange(it, start, end));
+  const kept = new Set(items.map((it) => `${it.market_short}||${it.corp_name}`));
+  const rangedEvents = cal.events.filter((e) => kept.has(`${e.market_short}||${e.corp_name}`)).length;
+  return { items, debug: cal.debug, events: cal.events.length, ranged_events: rangedEvents, unparsed: cal.unparsed };
+}
+
+// ---------------- 3) classify + 4) overrides + type filter ----------------
+// 원문에서 뽑은 공모 조건/일정 → brokers/equalMin (수동 값은 그 다음 overrides 에서)
+function withFilingDetails(item, cls) {
+  const terms = cls?.terms || null;
+  return { ...item, terms, schedule: cls?.schedule || null, ...termsToDisplay(terms), note: "" };
+}
+
+async function classifyItems(http, cache, items, typeFilter, overrides, concurrency) {
+  // 원문 fetch 는 동시에, 결과 조립은 캘린더 순서 그대로
+  const resolvedAll = await mapLimit(items, concurrency, async (it) => {
+    const rcpNo = extractRcpNo(it.href);
+    return rcpNo ? resolveFiling(http, cache, it.corp_name, rcpNo) : null;
+  });
+
+  const out = [];
+  const classify_debug = [];
+  const hidden = [];
+
+  // 보정 적용 후(offer_type 도 고칠 수 있으니) 유형 필터, include 면 필터 무시
+  const keep = (itemOut) => {
+    const o = overrides.apply(itemOut);
+    if (o.hidden) hidden.push({ corp_name: itemOut.corp_name, rcpNo: itemOut.rcpNo || "" });
+    else if (o.include || typeFilter.accepts(o.item.offer_type)) out.push(o.item);
+  };
+
+  items.forEach((it, i) => {
+    const rcpNo = extractRcpNo(it.href);
+    if (!rcpNo) {
+      // rcpNo 없으면 애매: unknown 을 받는 필터일 때만 살림 (보정으로 유형을 주면 그걸로)
+      keep(withFilingDetails({ ...it, offer_type: "unknown", offer_reason: "no rcpNo" }, null));
+      return;
+    }
+
+    const resolved = resolvedAll[i];
+    const cls = resolved.cls;
+    classify_debug.push({
+      corp_name: it.corp_name,
+      rcpNo: resolved.rcpNo,
+      calendar_rcpNo: rcpNo,
+      cached: resolved.cached,
+      ...(resolved.family_error ? { family_error: resolved.family_error } : {}),
+      ...cls,
+    });
+
+    keep(withFilingDetails({
+      ...it,
+      rcpNo: resolved.rcpNo,
+      withdrawn: resolved.withdrawn,
+      amendment_flags: resolved.flags,
+      amendments: resolved.amendments,
+      offer_type: cls.type,
+      offer_confidence: cls.confidence ?? null,
+      offer_reason: cls.reason,
+      offer_evidence: (cls.evidence || []).map((e) => ({ term: e.term, zone: e.zone, points: e.points, snippet: e.snippet })),
+      viewer_url: cls.viewer_url || "",
+    }, cls));
+  });
+  return { items: out, classify_debug, hidden };
+}
+
+/**
+ * @param {object} opts
+ * @param {ReturnType<import("./http-client.js").createHttpClient>} opts.http
+ * @param {ReturnType<import("./classify-cache.js").openClassifyCache>} opts.classifyCache
+ * @param {"calendar"|"opendart"|"both"} [opts.dataSource]
+ * @param {"http"|"browser"} [opts.calendarSource]   캘린더 월 이동 방식
+ * @param {Parameters<typeof createOpenDartClient>[1]} [opts.opendart]  API 키/주소 (기본: 환경변수)
+ * @param {string} opts.start
+ * @param {string} opts.end
+ * @param {number} [opts.windowMarginDays]  캘린더를 범위 앞뒤로 더 가져올 날 수 (그 달까지 받음)
+ * @param {"ipo"|"exrights"|"all"} [opts.mode]   유형 필터 별칭 (taxonomy.js MODE_ALIASES)
+ * @param {string|string[]} [opts.include]        포함할 유형/그룹 (주면 mode 의 include 대신)
+ * @param {string|string[]} [opts.exclude]        뺄 유형/그룹
+ * @param {boolean} [opts.listedFilter]   기본: 필터가 rights/unknown 을 둘 다 안 받을 때 (mode=ipo 등)
+ * @param {Parameters<typeof loadListedIndex>[1]} [opts.listedCache]  KIND 스냅샷 캐시 옵션
+ * @param {ReturnType<typeof openOverrides>} [opts.overrides]  수동 보정 (기본: 없음)
+ * @param {number} [opts.concurrency]    원문 분류 동시 실행 수
+ * @returns {Promise<{ payload: import("./output.js").IpoOutput, stats: object }>}
+ */
+export async function runPipeline({
+  http,
+  classifyCache,
+  dataSource = "calendar",
+  calendarSource = "http",
+  opendart = {},
+  start,
+  end,
+  windowMarginDays = DEFAULT_WINDOW_MARGIN_DAYS,
+  mode = "ipo",
+  include,
+  exclude,
+  listedFilter,
+  listedCache = {},
+  overrides = openOverrides({ disabled: true }),
+  concurrency = DEFAULT_CONCURRENCY,
+}) {
+  const typeFilter = parseTypeFilter({ mode, include, exclude });
+  // 꺼진 이유는 status.json 에 그대로 (직접 끈 것 / 유형 필터 때문에 기본값으로 꺼진 것)
+  let listedOffNote = "--listed-filter off";
+  if (listedFilter === undefined) {
+    const accepted = ["rights", "unknown"].filter((t) => typeFilter.accepts(t));
+    listedFilter = accepted.length === 0;
+    listedOffNote = `default off: type filter accepts ${accepted.join("/")} (mode=${typeFilter.mode})`;
+  }
+
+  if (!DATA_SOURCES.includes(dataSource)) throw new Error(`알 수 없는 source: ${dataSource} (${DATA_SOURCES.join(" | ")})`);
+  const useCalendar = dataSource !== "opendart";
+  const useOpenDart = dataSource !== "calendar";
+
+  // 1) source (API 키가 없으면 캘린더를 긁기 전에 바로 실패)
+  const stages = [];
+  const odClient = useOpenDart ? createOpenDartClient(http, opendart) : null;
+  const fetchStart = addDaysISO(start, -windowMarginDays);
+  const fetchEnd = addDaysISO(end, windowMarginDays);
+  const months = useCalendar ? monthsBetween(fetchStart, fetchEnd) : [];
+  let cal = { items: [], debug: [], events: 0, ranged_events: 0, unparsed: 0 };
+  if (useCalendar) {
+    cal = await timed(stages, "calendar", () => collectCalendarItems(http, calendarSource, classifyCache, months, start, end), (r) => {
+      // 링크는 있는데 하나도 못 읽었으면 파서가 페이지 형식을 놓친 것 → 실패, 일부만 못 읽었으면 degraded
+      const failed = r.debug.filter((d) => !d.parse?.ok).length;
+      const matched = r.debug.reduce((sum, d) => sum + (d.parse?.anchors_matched || 0), 0);
+      const status = failed >= months.length || (r.unparsed > 0 && matched === 0) ? "failed"
+        : failed > 0 || r.unparsed > 0 ? "degraded" : "ok";
+      return {
+        status,
+        counts: { months: months.length, failed_months: failed, events: r.events, ranged_events: r.ranged_events, unparsed: r.unparsed, items: r.items.length },
+      };
+    });
+  }
+
+  // list.json 이 실패하면: opendart 단독은 (전 구간 실패 시) 중단, both 는 캘린더만으로 계속 (교차 확인 생략)
+  let api = null;
+  let listFailed = false;
+  if (useOpenDart) {
+    api = await timed(stages, "opendart", async () => {
+      const r = await collectOpenDartItems(odClient, { start, end });
+      if (!useCalendar && r.debug.list_errors.length === r.debug.windows.length) {
+        throw new Error(`OpenDART list.json 실패: ${r.debug.list_errors[0].error}`);
+      }
+      return r;
+    }, (r) => ({
+      status: r.debug.errors.length || r.debug.list_errors.length ? "degraded" : "ok",
+      counts: { filings: r.debug.filings, corps: r.debug.corps, items: r.items.length, list_errors: r.debug.list_errors.length, errors: r.debug.errors.length },
+      ...(useCalendar && r.debug.list_errors.length ? { note: "list.json failed: calendar only, no cross-check" } : {}),
+    }));
+    listFailed = api.debug.list_errors.length > 0;
+    for (const it of api.items) classifyCache.noteFiling(it.corp_name, extractRcpNo(it.href));
+  }
+
+  let merged;
+  let crossCheck = null;
+  if (dataSource === "both" && !listFailed) ({ items: merged, report: crossCheck } = crossCheckSources(cal.items, api.items));
+  else if (dataSource === "both") merged = cal.items.map((it) => ({ ...it, sources: ["calendar"] }));
+  else merged = useCalendar ? cal.items : api.items;
+
+  // 2) listed
+  let candidates = merged;
+  let excludedListed = [];
+  let listedInfo = null;
+  if (listedFilter) {
+    const listed = await timed(stages, "listed", () => loadListedIndex(http, listedCache), (r) => ({
+      // 오래된 스냅샷이나 목록 없이 진행한 건 degraded (후속 공모가 섞일 수 있음)
+      status: r.info.source === "cache" || r.info.source === "download" ? "ok" : "degraded",
+      counts: { index: r.info.count },
+      note: r.info.error ? `${r.info.source}: ${r.info.error}` : r.info.source,
+    }));
+    listedInfo = listed.info;
+    ({ items: candidates, excluded: excludedListed } = excludeListed(merged, listed.index));
+    // include 보정이 걸린 회사는 상장회사라도 남김 (원래 순서 유지)
+    const kept = new Set(candidates);
+    const forced = new Set(merged.filter((it) => !kept.has(it) && overrides.forcesInclude(it)).map((it) => it.corp_name));
+    if (forced.size) {
+      candidates = merged.filter((it) => kept.has(it) || forced.has(it.corp_name));
+      excludedListed = excludedListed.filter((x) => !forced.has(x.corp_name));
+    }
+    stages.at(-1).counts.excluded = excludedListed.length;
+  } else {
+    stages.push(skipped("listed", listedOffNote));
+  }
+
+  // 3) classify + 4) overrides
+  const { items: classified, classify_debug, hidden } = await timed(stages, "classify", () => classifyItems(http, classifyCache, candidates, typeFilter, overrides, concurrency), (r) => {
+    const attempted = r.classify_debug.length;
+    const unknown = r.classify_debug.filter((d) => !d.type || d.type === "unknown").length;
+    const errors = r.classify_debug.filter((d) => d.transient).length;
+    return {
+      status: attempted > 0 && unknown === attempted ? "failed" : errors ? "degraded" : "ok",
+      counts: { attempted, cached: r.classify_debug.filter((d) => d.cached).length, unknown, errors, kept: r.items.length },
+    };
+  });
+  classifyCache.save();
+
+  const added = overrides.additions(classified, start, end);
+  const items = [...classified, ...added.items];
+  const overrideReport = {
+    entries: overrides.count,
+    patched: classified.filter((it) => it.override?.fields.length).length,
+    included: classified.filter((it) => it.override?.included).length,
+    hidden,
+    added: added.items.map((it) => it.corp_name),
+    warnings: added.warnings,
+    unmatched: overrides.unmatched(),
+  };
+  stages.push(overrides.count
+    ? {
+      name: "overrides",
+      status: "ok",
+      duration_ms: 0,
+      counts: {
+        entries: overrides.count,
+        patched: overrideReport.patched,
+        included: overrideReport.included,
+        hidden: hidden.length,
+        added: added.items.length,
+        unmatched: overrideReport.unmatched.length,
+      },
+    }
+    : skipped("overrides", "no entries"));
+
+  const payload = {
+    ok: true,
+    schema_version: SCHEMA_VERSION,
+    source: [
+      useCalendar ? `dart-dsac008(calendar:${calendarSource})` : "",
+      useOpenDart ? "opendart(list+estkRs)" : "",
+      listedFilter ? "kind-listed-filter" : "",
+      "classify-by-filing(viewer.do)",
+      "type-filter",
+    ].filter(Boolean).join(" + "),
+    data_source: dataSource,
+    calendar_source: useCalendar ? calendarSource : null,
+    range: { start, end },
+    mode: typeFilter.mode,
+    offer_types: typeFilter.types,
+    last_updated_kst: kstTodayISO(),
+    count: items.length,
+    excluded_listed: excludedListed.length,
+    listed_index: listedInfo,
+    failed_months: cal.debug.filter((d) => !d.parse?.ok).map((d) => `${d.y}-${pad2(d.m)}`),
+    ...(crossCheck ? { cross_check: crossCheck } : {}),
+    ...(overrides.count ? { overrides: { hidden: hidden.length, added: added.items.length } } : {}),
+    items,
+    _debug: cal.debug,
+    ...(api ? { _opendart_debug: api.debug } : {}),
+    _classify_debug: classify_debug.slice(0, 80), // 너무 길어지는 거 방지
+  };
+
+  return {
+    payload,
+    stats: {
+      type_filter: typeFilter,
+      months,
+      fetched_range: useCalendar ? { start: fetchStart, end: fetchEnd } : null,
+      events: cal.events,
+      ranged_events: cal.ranged_events,
+      opendart_items: api ? api.items.length : null,
+      opendart_list_errors: api ? api.debug.list_errors : [],
+      cross_check: crossCheck,
+      merged: merged.length,
+      excluded_listed: excludedListed,
+      listed_index: listedInfo,
+      overrides: overrideReport,
+      http: http.stats,
+      stages,
+      month_status: cal.debug.map((d) => ({
+        month: `${d.y}-${pad2(d.m)}`,
+        ok: Boolean(d.parse?.ok),
+        events: d.parse?.events ?? null,
+        anchors_matched: d.parse?.anchors_matched ?? null,
+        unparsed: d.parse?.unparsed_total ?? null,
+        ...(d.parse?.ok ? {} : { reason: d.parse?.reason || d.fetch?.reason || "" }),
+      })),
+      unknown: classify_debug
+        .filter((d) => !d.type || d.type === "unknown")
+        .map((d) => ({ corp_name: d.corp_name, rcpNo: d.rcpNo, reason: d.reason || "" })),
+      classify: {
+        attempted: classify_debug.length,
+        classified: classify_debug.filter((d) => d.type && d.type !== "unknown").length,
+      },
+    },
+  };
+}
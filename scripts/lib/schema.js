@@ -0,0 +1,89 @@
+/**
+ * ipo.json 스키마 검증
+ *  - 스키마 파일: docs/data/schema/ipo.v<N>.schema.json (JSON Schema draft-07)
+ *  - 출력 형식을 바꾸면 SCHEMA_VERSION 을 올리고 새 스키마 파일을 추가 (예전 파일은 남겨둠)
+ *
+ * 의존성을 늘리지 않으려고 스키마에서 실제로 쓰는 키워드만 직접 검사한다:
+ *   type(배열 포함) / enum / required / properties / items / $ref(#/definitions/...) /
+ *   pattern / minLength / minimum / maximum
+ * 스키마에 다른 키워드를 쓰려면 여기도 같이 늘릴 것.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// v1: 캘린더 소스 + ipo/exrights/all 유형
+// v2: data_source/cross_check(OpenDART), listed_index, offer_types·세부 유형, overrides/override 필드
+export const SCHEMA_VERSION = 2;
+
+const SCHEMA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../docs/data/schema");
+
+export function schemaPath(version = SCHEMA_VERSION) {
+  return path.join(SCHEMA_DIR, `ipo.v${version}.schema.json`);
+}
+
+export function loadSchema(version = SCHEMA_VERSION) {
+  return JSON.parse(fs.readFileSync(schemaPath(version), "utf-8"));
+}
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(actual, expected) {
+  return actual === expected || (expected === "number" && actual === "integer");
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`지원하지 않는 $ref: ${ref}`);
+  return ref.slice(2).split("/").reduce((node, k) => node?.[k], root);
+}
+
+function check(root, schema, value, at, errors) {
+  if (schema.$ref) return check(root, resolveRef(root, schema.$ref), value, at, errors);
+
+  const actual = typeOf(value);
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => typeMatches(actual, t))) {
+      errors.push(`${at}: ${types.join("|")} 이어야 함 (실제 ${actual})`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: ${JSON.stringify(value)} 는 허용값 아님 (${schema.enum.join(", ")})`);
+  }
+
+  if (actual === "string") {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: 형식 불일치 /${schema.pattern}/ (${value})`);
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${at}: 길이 ${schema.minLength} 이상이어야 함`);
+  }
+  if (actual === "integer" || actual === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: ${schema.minimum} 이상이어야 함 (${value})`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: ${schema.maximum} 이하여야 함 (${value})`);
+  }
+  if (actual === "object") {
+    for (const k of schema.required || []) {
+      if (!(k in value)) errors.push(`${at}.${k}: 필수 필드 없음`);
+    }
+    for (const [k, sub] of Object.entries(schema.properties || {})) {
+      if (k in value) check(root, sub, value[k], `${at}.${k}`, errors);
+    }
+  }
+  if (actual === "array" && schema.items) {
+    value.forEach((v, i) => check(root, schema.items, v, `${at}[${i}]`, errors));
+  }
+}
+
+/**
+ * @returns {{ ok: boolean, errors: string[] }}  errors 는 "경로: 설명" 형식
+ */
+export function validateOutput(payload, schema = loadSchema(payload?.schema_version || SCHEMA_VERSION)) {
+  const errors = [];
+  check(schema, schema, payload, "$", errors);
+  return { ok: errors.length === 0, errors };
+}
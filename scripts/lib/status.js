@@ -0,0 +1,54 @@
+/**
+ * 실행 상태 (docs/data/status.json)
+ *  - 성공이든 실패든 매 실행마다 덮어씀
+ *  - 실패면 ipo.json 은 이전 그대로이고, 왜 안 썼는지(schema_errors / guards / error)가 여기 남는다
+ *  - last_success_at 은 직전 status.json 에서 이어받음 (실패 실행이 지우지 않게)
+ *  - stages: 단계별 { name, status: ok|degraded|failed|skipped, duration_ms, counts, note|error }
+ *  - months: 달별 수집 결과. last_ok_at 도 이어받고, 이번에 못 받은 달은 stale (그 달 아이템이 빠졌을 수 있음)
+ *  - health: ok | degraded (단계 저하 또는 stale 달) | failed (이번 실행이 ipo.json 을 못 씀) — 사이트 배너용
+ */
+
+import fs from "fs";
+import path from "path";
+import { readJsonIfExists } from "./util.js";
+
+function withMonthHistory(months, previous, runAt) {
+  const prev = new Map((previous?.months || []).map((m) => [m.month, m]));
+  return months.map((m) => ({
+    ...m,
+    last_ok_at: m.ok ? runAt : prev.get(m.month)?.last_ok_at || null,
+    stale: !m.ok,
+  }));
+}
+
+function healthOf(status) {
+  if (!status.ok) return "failed";
+  const degraded = (status.stages || []).some((s) => s.status === "degraded" || s.status === "failed")
+    || (status.months || []).some((m) => m.stale);
+  return degraded ? "degraded" : "ok";
+}
+
+export function defaultStatusPath(outPath) {
+  return path.join(path.dirname(outPath), "status.json");
+}
+
+/**
+ * @param {string} statusPath
+ * @param {{ ok: boolean, run_at: string, stages?: object[], months?: { month: string, ok: boolean }[], [k: string]: any }} status
+ */
+export function writeStatus(statusPath, status) {
+  const absPath = path.resolve(statusPath);
+  const previous = readJsonIfExists(absPath);
+  const months = withMonthHistory(status.months || [], previous, status.run_at);
+  const data = {
+    ok: status.ok,
+    run_at: status.run_at,
+    health: healthOf({ ...status, months }),
+    ...status,
+    months,
+    last_success_at: status.ok ? status.run_at : previous?.last_success_at || null,
+  };
+  fs.mkdirSync(path.dirname(absPath), { recursive: true });
+  fs.writeFileSync(absPath, JSON.stringify(data, null, 2), "utf-8");
+  return data;
+}
@@ -0,0 +1,81 @@
+/**
+ * 공모 유형 (offer_type) 과 유형 필터
+ *
+ * 상장성 공모(LISTING_TYPES) — 분류기가 ipo 쪽으로 판정한 뒤 회사명/표지 문구로 세분
+ *   ipo       일반 신규상장
+ *   spac      기업인수목적회사 (스팩)
+ *   reit      부동산투자회사 (리츠)
+ *   infra     인프라 투융자회사 (사회기반시설 펀드)
+ *   transfer  이전상장 (코넥스 → 코스닥/유가증권)
+ *   relisting 재상장 (인적분할 등)
+ *   konex     코넥스 신규상장
+ *   other     기타 상장성 공모 (선박투자회사, 해외기업 주식예탁증권 등)
+ * 그 밖에
+ *   rights    유상증자 (이미 상장된 회사의 후속 공모)
+ *   unknown   판정 보류
+ *
+ * 필터: --include / --exclude 에 유형을 쉼표로 (예: --include ipo,spac --exclude reit)
+ *   그룹 이름도 쓸 수 있음: listing(상장성 전부), all
+ *   예전 --mode 는 별칭으로 유지: ipo = include listing, exrights = exclude rights, all = 전부
+ *   (mode=ipo 에서 스팩/리츠 등도 계속 나오게 — 예전에는 모두 offer_type "ipo" 였음)
+ */
+
+export const LISTING_TYPES = ["ipo", "spac", "reit", "infra", "transfer", "relisting", "konex", "other"];
+export const OFFER_TYPES = [...LISTING_TYPES, "rights", "unknown"];
+
+const GROUPS = {
+  listing: LISTING_TYPES,
+  all: OFFER_TYPES,
+};
+
+export const MODE_ALIASES = {
+  ipo: { include: ["listing"], exclude: [] },
+  exrights: { include: ["all"], exclude: ["rights"] },
+  all: { include: ["all"], exclude: [] },
+};
+
+function expand(tokens, what) {
+  const out = new Set();
+  for (const raw of tokens) {
+    const t = String(raw).trim().toLowerCase();
+    if (!t) continue;
+    if (GROUPS[t]) GROUPS[t].forEach((x) => out.add(x));
+    else if (OFFER_TYPES.includes(t)) out.add(t);
+    else throw new Error(`알 수 없는 유형 (${what}): ${t} (${[...OFFER_TYPES, ...Object.keys(GROUPS)].join(", ")})`);
+  }
+  return out;
+}
+
+function splitList(v) {
+  if (v == null || v === true) return [];
+  return (Array.isArray(v) ? v : String(v).split(",")).map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * --mode / --include / --exclude → 유형 필터
+ *  - include 를 주면 mode 의 include 를 대신함, exclude 는 mode 것에 더해짐
+ * @param {{ mode?: string, include?: string|string[], exclude?: string|string[] }} spec
+ * @returns {{ mode: string, include: string[], exclude: string[], types: string[], accepts: (type: string) => boolean }}
+ */
+export function parseTypeFilter({ mode = "ipo", include, exclude } = {}) {
+  const alias = MODE_ALIASES[mode];
+  if (!alias) throw new Error(`알 수 없는 mode: ${mode} (${Object.keys(MODE_ALIASES).join(" | ")})`);
+
+  const inc = splitList(include);
+  const exc = splitList(exclude);
+  const includeTokens = inc.length ? inc : alias.include;
+  const excludeTokens = [...alias.exclude, ...exc];
+
+  const excluded = expand(excludeTokens, "exclude");
+  const types = [...expand(includeTokens, "include")].filter((t) => !excluded.has(t));
+  const set = new Set(types);
+
+  return {
+    // 별칭 그대로면 mode 이름, 직접 지정했으면 custom
+    mode: inc.length || exc.length ? "custom" : mode,
+    include: includeTokens,
+    exclude: excludeTokens,
+    types: OFFER_TYPES.filter((t) => set.has(t)),
+    accepts: (type) => set.has(type || "unknown"),
+  };
+}
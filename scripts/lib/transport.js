@@ -0,0 +1,173 @@
+/**
+ * HTTP 전송 계층 (live / record / replay)
+ *  - live   : 그냥 fetch
+ *  - record : fetch 하면서 응답(원본 바이트 + status + 헤더)을 <dir>에 저장
+ *  - replay : 네트워크 없이 <dir>에 저장된 응답만 돌려줌 → 파서/분류기를 고정 스냅샷으로 돌려볼 수 있음
+ *
+ * 저장 형식:
+ *  <dir>/index.json      : { recorded_at, range, entries: { key: { method, url, body, status, headers, file } } }
+ *  <dir>/<key>.bin       : 응답 바이트 그대로 (charset 판별까지 재현하려고 디코딩 전 원본을 저장)
+ *
+ * key = "<경로 슬러그>-<method+url+body 해시>" (+ 같은 요청이 한 실행 안에서 n번째면 "-n")
+ *  - 캘린더 bootstrap GET 처럼 같은 요청이 여러 번 나가도 순서대로 재생됨
+ *  - n번째 기록이 없으면 첫 번째 기록으로 대체
+ *  - API 키 같은 비밀 쿼리값(SECRET_PARAMS)은 key 계산과 index.json 에서 가림 → 녹화본을 커밋해도 안전, 재생은 키 없이
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const SAVED_HEADERS = ["content-type", "retry-after", "location"];
+const SECRET_PARAMS = ["crtfc_key"];
+
+function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+
+function slugForUrl(url) {
+  try {
+    const u = new URL(url);
+    const slug = u.pathname.replace(/^\/+/, "").replace(/[^a-zA-Z0-9.]+/g, "_");
+    return slug || u.hostname;
+  } catch {
+    return "req";
+  }
+}
+
+export function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    let changed = false;
+    for (const p of SECRET_PARAMS) {
+      if (u.searchParams.has(p)) {
+        u.searchParams.set(p, "REDACTED");
+        changed = true;
+      }
+    }
+    return changed ? u.toString() : url;
+  } catch {
+    return url;
+  }
+}
+
+// 에러 메시지처럼 URL 이 섞인 아무 텍스트에서 비밀 쿼리값을 가림 (로그/커밋되는 JSON 에 남지 않게)
+export function redactText(text) {
+  let s = String(text ?? "");
+  for (const p of SECRET_PARAMS) s = s.replace(new RegExp(`([?&]${p}=)[^&#\\s)"']*`, "g"), "$1REDACTED");
+  return s;
+}
+
+export function requestKey(url, init = {}) {
+  url = redactUrl(url);
+  const method = String(init.method || "GET").toUpperCase();
+  const body = init.body == null ? "" : String(init.body);
+  const hash = crypto.createHash("sha1").update(`${method} ${url}\n${body}`).digest("hex").slice(0, 12);
+  return `${slugForUrl(url)}-${hash}`;
+}
+
+function readIndex(dir) {
+  const p = path.join(dir, "index.json");
+  if (!fs.existsSync(p)) return { recorded_at: null, range: null, entries: {} };
+  const obj = JSON.parse(fs.readFileSync(p, "utf-8"));
+  return { recorded_at: obj.recorded_at || null, range: obj.range || null, entries: obj.entries || {} };
+}
+
+function pickHeaders(headers) {
+  const out = [];
+  for (const name of SAVED_HEADERS) {
+    const v = headers.get(name);
+    if (v) out.push([name, v]);
+  }
+  const cookies = typeof headers.getSetCookie === "function"
+    ? headers.getSetCookie()
+    : (headers.get("set-cookie") ? [headers.get("set-cookie")] : []);
+  for (const c of cookies) out.push(["set-cookie", c]);
+  return out;
+}
+
+/**
+ * @param {{ mode?: "live"|"record"|"replay", dir?: string }} opts
+ */
+export function createTransport({ mode = "live", dir = "" } = {}) {
+  if ((mode === "record" || mode === "replay") && !dir) {
+    throw new Error(`--${mode} 에는 디렉터리 경로가 필요함`);
+  }
+
+  const absDir = dir ? path.resolve(dir) : "";
+  const index = mode === "live" ? null : readIndex(absDir);
+  if (mode === "replay" && Object.keys(index.entries).length === 0) {
+    throw new Error(`[replay] 저장된 응답이 없음: ${absDir}/index.json`);
+  }
+  if (mode === "record") fs.mkdirSync(absDir, { recursive: true });
+
+  const seen = new Map(); // base key -> 이번 실행에서 요청한 횟수
+
+  function nextKey(url, init) {
+    const base = requestKey(url, init);
+    const n = seen.get(base) || 0;
+    seen.set(base, n + 1);
+    return { base, key: n === 0 ? base : `${base}-${n}` };
+  }
+
+  function saveIndex() {
+    fs.writeFileSync(path.join(absDir, "index.json"), JSON.stringify(index, null, 2), "utf-8");
+  }
+
+  async function recordFetch(url, init) {
+    const { key } = nextKey(url, init);
+    const res = await fetch(url, init);
+    const buf = Buffer.from(await res.arrayBuffer());
+    const headers = pickHeaders(res.headers);
+
+    const file = `${key}.bin`;
+    fs.writeFileSync(path.join(absDir, file), buf);
+    index.entries[key] = {
+      method: String(init.method || "GET").toUpperCase(),
+      url: redactUrl(url),
+      body: init.body == null ? null : String(init.body),
+      status: res.status,
+      headers,
+      file,
+    };
+    saveIndex();
+
+    return new Response(buf, { status: res.status, headers });
+  }
+
+  async function replayFetch(url, init) {
+    const { base, key } = nextKey(url, init);
+    const entry = index.entries[key] || index.entries[base];
+    if (!entry) {
+      const method = String(init.method || "GET").toUpperCase();
+      throw new Error(`[replay] 기록된 응답 없음: ${method} ${redactUrl(url)}`);
+    }
+    const buf = fs.readFileSync(path.join(absDir, entry.file));
+    return new Response(buf, { status: entry.status, headers: entry.headers });
+  }
+
+  return {
+    mode,
+    dir: absDir,
+    offline: mode === "replay",
+    /** 기록 당시 실행 범위 (replay 시 --start/--end 기본값으로 사용) */
+    recordedRange: index?.range || null,
+
+    fetch(url, init = {}) {
+      if (mode === "record") return recordFetch(url, init);
+      if (mode === "replay") return replayFetch(url, init);
+      return fetch(url, init);
+    },
+
+    /** 요청 간격 조절용. replay 에서는 기다릴 이유가 없으니 바로 리턴 */
+    sleep(ms) {
+      return mode === "replay" ? Promise.resolve() : sleep(ms);
+    },
+
+    /** record 모드에서 실행 범위를 index.json 에 남김 */
+    noteRange(range) {
+      if (mode !== "record") return;
+      index.recorded_at = new Date().toISOString();
+      index.range = range;
+      saveIndex();
+    },
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * 스크래퍼 공용 유틸 (날짜/문자열/시장 구분/rcpNo/원문 라벨 뒤 값 찾기)
+ */
+
+import fs from "fs";
+
+export function pad2(n) { return String(n).padStart(2, "0"); }
+export function toISODate(y, m, d) { return `${y}-${pad2(m)}-${pad2(d)}`; }
+export function normalizeText(s) {
+  return (s || "")
+    .replace(/\u00a0/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+export function kstTodayISO() {
+  const fmt = new Intl.DateTimeFormat("en-CA", {
+    timeZone: "Asia/Seoul",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  });
+  return fmt.format(new Date());
+}
+export function addDaysISO(iso, days) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  dt.setUTCDate(dt.getUTCDate() + days);
+  return toISODate(dt.getUTCFullYear(), dt.getUTCMonth() + 1, dt.getUTCDate());
+}
+export function monthsBetween(startISO, endISO) {
+  const [sy, sm] = startISO.split("-").map(Number);
+  const [ey, em] = endISO.split("-").map(Number);
+  const cur = new Date(Date.UTC(sy, sm - 1, 1));
+  const last = new Date(Date.UTC(ey, em - 1, 1));
+  const out = [];
+  while (cur <= last) {
+    out.push({ y: cur.getUTCFullYear(), m: cur.getUTCMonth() + 1 });
+    cur.setUTCMonth(cur.getUTCMonth() + 1);
+  }
+  return out;
+}
+/** 청약 기간 [sbd_start, sbd_end] 이 [start, end] 와 하루라도 겹치는지 (한쪽 날짜만 있으면 그 날 하루로) */
+export function overlapsRange(it, startISO, endISO) {
+  const s = it.sbd_start || it.sbd_end;
+  const e = it.sbd_end || it.sbd_start;
+  return Boolean(s) && s <= endISO && e >= startISO;
+}
+export function marketFromShort(short) {
+  if (short === "유") return "KOSPI";
+  if (short === "코") return "KOSDAQ";
+  if (short === "넥") return "KONEX";
+  if (short === "기") return "ETC";
+  return "UNKNOWN";
+}
+export function extractRcpNo(href) {
+  const m = String(href || "").match(/rcpNo=(\d{14})/);
+  return m ? m[1] : "";
+}
+
+/** "1,200,000" → 1200000 (숫자가 아니면 null) */
+export function toNumber(s) {
+  if (s == null) return null;
+  const n = Number(String(s).replace(/,/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+/**
+ * 원문(표가 평문으로 풀린 텍스트)에서 라벨이 나온 위치들 뒤 span 글자 안에서 re 를 찾는다 (처음 성공한 것)
+ * @param {string} text
+ * @param {string[]} labels  앞에 있는 것부터 시도
+ * @param {RegExp} re
+ * @param {number} [span]
+ * @returns {RegExpMatchArray|null}
+ */
+export function findAfter(text, labels, re, span = 80) {
+  for (const label of labels) {
+    let i = text.indexOf(label);
+    while (i !== -1) {
+      const m = text.slice(i + label.length, i + label.length + span).match(re);
+      if (m) return m;
+      i = text.indexOf(label, i + label.length);
+    }
+  }
+  return null;
+}
+
+/** 다음 달 말일 (KST 기준 오늘에서) */
+export function endOfNextMonthISO(todayISO) {
+  const [y, m] = todayISO.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m + 1, 0));
+  return toISODate(dt.getUTCFullYear(), dt.getUTCMonth() + 1, dt.getUTCDate());
+}
+/** 해당 달 말일 (m: 1~12) */
+export function lastDayOfMonthISO(y, m) {
+  return toISODate(y, m, new Date(Date.UTC(y, m, 0)).getUTCDate());
+}
+export function readJsonIfExists(absPath) {
+  try {
+    return JSON.parse(fs.readFileSync(absPath, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/** items 를 최대 limit 개씩 동시에 fn 으로 처리 (결과 순서는 입력 순서 그대로) */
+export async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+  const n = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return out;
+}
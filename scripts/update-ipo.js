@@ -1,588 +1,657 @@
 /**
- * DART 공모정보 > 청약 달력(지분증권) (dsac008)
+ * DART 공모정보 > 청약 달력(지분증권) (dsac008) → docs/data/ipo.json
  * ✅ 핵심: 캘린더만으로는 "공모주(IPO) vs 유상증자"가 구분되지 않음
  *    -> 각 항목의 rcpNo로 "증권신고서(지분증권)" 원문(viewer.do)을 가져와서
- *       유상증자/주주배정 등 키워드가 있으면 제외.
+ *       키워드 점수(표지/본문 가중치, 문맥상 무시 규칙)로 ipo / rights / unknown 판정. (scripts/lib/classifier.js)
  *
- * 사용 예:
- *  - IPO만:
+ * 파이프라인 단계는 scripts/lib/pipeline.js, 출력 형식은 scripts/lib/output.js 참고.
+ *
+ * 서브커맨드 (도움말: help [명령] 또는 <명령> --help, 종료 코드는 scripts/lib/cli.js):
+ *  - run (생략 가능)                 : 아래 전체 파이프라인
+ *  - backfill --from --to            : 지나간 달을 아카이브에 채움
+ *  - classify <rcpNo> [--explain]    : 신고서 하나만 분류하고 근거 출력 (explain <rcpNo> 도 같음)
+ *  - fetch-month YYYY-MM [--items]   : 달력 한 달의 파싱 결과 출력
+ *  - validate [file] / diff <old> <new> : 스키마 검증 / 두 ipo.json 비교
+ *
+ * 사용 예 (run):
+ *  - IPO만 (기본: 오늘 ~ 다음 달 말):
  *      node scripts/update-ipo.js --start 2026-03-01 --end 2026-03-31 --mode ipo --out docs/data/ipo.json
  *  - 유상증자만 빼고(애매한 건 포함):
  *      node scripts/update-ipo.js --start 2026-03-01 --end 2026-03-31 --mode exrights --out docs/data/ipo.json
  *  - 전부(필터 없음):
  *      node scripts/update-ipo.js --start 2026-03-01 --end 2026-03-31 --mode all --out docs/data/ipo.json
- *
- * 참고:
- *  - DART 원문은 dsaf001에서 viewDoc(...) 파라미터를 뽑아 /report/viewer.do 로 접근 가능. (일반적으로 알려진 구조) 
+ *  - 유형 지정 (scripts/lib/taxonomy.js: ipo spac reit infra transfer relisting konex other rights unknown, 그룹 listing/all):
+ *      node scripts/update-ipo.js --include ipo,spac --exclude reit
+ *    (--include 를 주면 --mode 대신, --exclude 는 --mode 에 더해서. mode=ipo 는 상장성 공모 전부 = --include listing)
+ *  - 데이터 소스: --source calendar(기본) | opendart | both  (scripts/lib/opendart.js, cross-check.js)
+ *      OPENDART_API_KEY=... node scripts/update-ipo.js --source both
+ *    OpenDART 주소는 OPENDART_BASE_URL 환경변수나 --opendart-base 로 바꿀 수 있음 (로컬 대역 서버 등)
+ *    both 는 회사명으로 짝지어 합치고, 한쪽에만 있거나 청약일이 다른 것은 ipo.json 의 cross_check 에 남김
+ *  - 캘린더를 헤드리스 브라우저로 (playwright 필요, 기본은 http):
+ *      node scripts/update-ipo.js --calendar-fetch browser   (예전 --source browser 도 그대로 됨)
+ *  - 상장회사 제외 필터: 유형 필터가 rights/unknown 을 안 받을 때(mode=ipo 등) 기본 on (--listed-filter on|off 로 지정)
+ *    KIND 목록은 docs/data/cache/kind-listed.json 스냅샷을 7일간 재사용 (--listed-cache 경로, --listed-max-age 일수, --refresh-listed)
+ *    다운로드 실패 시 오래된 스냅샷 → 그것도 없으면 필터 없이 진행. replay 에서는 --listed-cache 를 직접 주지 않으면 스냅샷 안 씀
+ *  - DART 응답 녹화 / 오프라인 재생 (파서·분류기 회귀 확인용):
+ *      node scripts/update-ipo.js --start 2026-03-01 --end 2026-03-31 --record fixtures/2026-03
+ *      node scripts/update-ipo.js --replay fixtures/2026-03 --out /tmp/ipo.json --golden fixtures/2026-03/ipo.json
+ *    (replay 에서 --start/--end 를 생략하면 녹화 당시 범위를 사용. --golden 과 items 가 다르면 exit 1)
+ *    npm test 가 test/fixtures/2026-03 녹화본을 --mode all 로 재생해서 같은 폴더의 ipo.json 과 비교함
+ *  - 범위는 공모 단위로 자름: 캘린더를 범위 앞뒤 --window-margin 일(기본 10)이 걸친 달까지 받아 회사별로 합친 뒤
+ *    청약 기간이 범위와 겹치는 공모를 남김 (범위 전날 시작한 공모도 시작일이 잘리지 않음)
+ *  - 분류 캐시: 기본 docs/data/cache/classify.json (--classify-cache 로 경로 변경, --refresh-classify 로 강제 재분류)
+ *    replay 에서는 --classify-cache 를 직접 주지 않으면 캐시를 쓰지 않음
+ *  - 공모 조건(가격밴드/확정가/주관사/주식수/청약단위/증거금률)은 같은 원문에서 추출 -> items[].terms
+ *    brokers/equalMin 은 여기서 계산하고, 수동 값은 아래 보정 파일로
+ *  - 공모 일정(수요예측/청약/배정공고/환불/납입/상장예정)도 원문 "일정" 표에서 추출 -> items[].schedule
+ *  - 정정/철회: dsaf001 관련 공시에서 신고서 흐름을 읽고 항상 최신 신고서로 분류/추출
+ *    -> items[].amendments (신고서별 변경 내역), amendment_flags (rescheduled/repriced/withdrawn), withdrawn
+ *  - 수동 보정 (scripts/lib/overrides.js): docs/data/overrides.json(--overrides <file>|off) 에서 rcpNo/회사명 키로
+ *    필드 덮어쓰기(set) / 숨김(hide) / 필터 무시(include) / DART 에 없는 공모 추가(add). 고친 필드는 items[].override 에 남고
+ *    맞는 항목이 없는 보정은 경고 + status.json 의 overrides.unmatched. 예전 ipo_meta_manual.json(--meta)도 같이 읽음
+ *    형식이 틀리면 실행하지 않음 (exit 3). replay 에서는 --overrides 를 직접 주지 않으면 안 씀
+ *  - 직전 결과와 비교한 변경 내역을 --out 옆 changes.json 에 기록 (--changes 로 경로 변경, --history N 으로 보관 횟수)
+ *  - 쓰기 전 점검: 스키마 검증(docs/data/schema) + 이상 징후(모든 달 실패 / 개수 급감 / 분류 0건)
+ *    -> 하나라도 걸리면 이전 ipo.json 을 그대로 두고 --out 옆 status.json(--status)에 사유를 남기고 exit 1
+ *    (--max-drop 0.5 로 허용 감소율 변경, --force 면 이상 징후는 무시하고 씀. 스키마 오류는 --force 로도 못 넘김)
+ *  - HTTP (scripts/lib/http-client.js): 실패 시 지수 백오프 재시도, 호스트별 요청 간격, 요청 예산
+ *      --concurrency 4 (원문 분류 동시 실행) --retries 3 --rate-ms 400 (호스트별 간격) --max-requests 1500 --timeout-ms 20000
+ *  - 월별 아카이브 (scripts/lib/archive.js): 점검을 통과한 결과는 docs/data/archive/YYYY-MM.json 에도 합쳐 넣음
+ *    (지나간 공모도 남음. --archive 경로 변경, --archive off 로 끔. replay 에서는 --archive 를 직접 주지 않으면 안 씀)
+ *  - 상장 결과 (scripts/lib/outcomes.js): 아카이브의 지나간 상장성 공모에 증권발행실적보고서(경쟁률/배정 비율)와
+ *    상장일 시가/종가·공모가 대비 수익률을 채움 -> archive items[].outcome (--max-outcomes 30 한 번에 조회할 개수, --outcomes off 로 끔)
+ *  - 과거 달 채우기: 달마다 따로 수집해서 아카이브에만 합침 (ipo.json/changes.json/status.json 은 안 건드림)
+ *      node scripts/update-ipo.js backfill --from 2024-01 --to 2026-09 --mode all
+ *    (한 달이 실패해도 나머지는 계속, 실패한 달이 있으면 exit 1. HTTP 요청 예산은 달마다 새로)
  */
 
-import fs from "fs";
 import path from "path";
-import iconv from "iconv-lite";
-import * as cheerio from "cheerio";
-
-const DART_CAL_URL = "https://dart.fss.or.kr/dsac008/main.do";
-const DART_DSAF_URL = "https://dart.fss.or.kr/dsaf001/main.do";
-const DART_VIEWER_BASE = "https://dart.fss.or.kr/report/viewer.do";
-
-const EVENT_RE = /^(유|코|넥|기)\s*([^[]+?)\s*\[\s*(시작|종료)\s*\]\s*$/;
-const EVENT_RE_LOOSE = /(유|코|넥|기)\s*([^[]+?)\s*\[\s*(시작|종료)\s*\]/g;
-
-// ---- “유상증자” 판단 키워드 (있으면 rights 로 본다)
-const RIGHTS_KEYWORDS = [
-  "유상증자",
-  "주주배정",
-  "실권주",
-  "신주인수권",
-  "제3자배정",
-  "제3자 배정",
-  "일반공모(유상증자)",
-  "주주우선공모",
-];
-
-// ---- “IPO(공모주/신규상장)” 판단 키워드 (있으면 ipo 로 본다)
-const IPO_KEYWORDS = [
-  "신규상장",
-  "상장예정",
-  "상장 예정",
-  "코스닥시장 상장",
-  "유가증권시장 상장",
-  "상장심사",
-  "예비상장",
-  "대표주관회사",
-  "공모가",
-  "기관투자자 수요예측",
-];
-
-// ---------------- utils ----------------
-function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
-function pad2(n) { return String(n).padStart(2, "0"); }
-function toISODate(y, m, d) { return `${y}-${pad2(m)}-${pad2(d)}`; }
-function normalizeText(s) {
-  return (s || "")
-    .replace(/\u00a0/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-function parseArgs(argv) {
-  const args = {};
-  for (let i = 2; i < argv.length; i++) {
-    const a = argv[i];
-    if (a.startsWith("--")) {
-      const k = a.slice(2);
-      const v = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : true;
-      args[k] = v;
-    }
-  }
-  return args;
-}
-function kstTodayISO() {
-  const fmt = new Intl.DateTimeFormat("en-CA", {
-    timeZone: "Asia/Seoul",
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-  });
-  return fmt.format(new Date());
-}
-function addDaysISO(iso, days) {
-  const [y, m, d] = iso.split("-").map(Number);
-  const dt = new Date(Date.UTC(y, m - 1, d));
-  dt.setUTCDate(dt.getUTCDate() + days);
-  return toISODate(dt.getUTCFullYear(), dt.getUTCMonth() + 1, dt.getUTCDate());
-}
-function monthsBetween(startISO, endISO) {
-  const [sy, sm] = startISO.split("-").map(Number);
-  const [ey, em] = endISO.split("-").map(Number);
-  const cur = new Date(Date.UTC(sy, sm - 1, 1));
-  const last = new Date(Date.UTC(ey, em - 1, 1));
-  const out = [];
-  while (cur <= last) {
-    out.push({ y: cur.getUTCFullYear(), m: cur.getUTCMonth() + 1 });
-    cur.setUTCMonth(cur.getUTCMonth() + 1);
-  }
-  return out;
-}
-function withinRange(dateISO, startISO, endISO) {
-  return dateISO >= startISO && dateISO <= endISO;
-}
-function marketFromShort(short) {
-  if (short === "유") return "KOSPI";
-  if (short === "코") return "KOSDAQ";
-  if (short === "넥") return "KONEX";
-  if (short === "기") return "ETC";
-  return "UNKNOWN";
-}
-function extractRcpNo(href) {
-  const m = String(href || "").match(/rcpNo=(\d{14})/);
-  return m ? m[1] : "";
+import { createTransport, redactText } from "./lib/transport.js";
+import { EXIT, usageError, parseArgs, parseOnOff, numArg, formatHelp } from "./lib/cli.js";
+import { createHttpClient } from "./lib/http-client.js";
+import { openClassifyCache, DEFAULT_CLASSIFY_CACHE } from "./lib/classify-cache.js";
+import { FILING_CACHE_VERSION, resolveFiling } from "./lib/filings.js";
+import { createCalendarSource, parseCalendarMonth, mergeEventsToItems } from "./lib/dart-calendar.js";
+import { runPipeline, DEFAULT_CONCURRENCY, DEFAULT_WINDOW_MARGIN_DAYS } from "./lib/pipeline.js";
+import { writeOutput, diffAgainstGolden, DEFAULT_OUT } from "./lib/output.js";
+import { openOverrides, DEFAULT_OVERRIDES, LEGACY_META_JSON } from "./lib/overrides.js";
+import { DEFAULT_LISTED_CACHE, loadListedIndex } from "./lib/listed-filter.js";
+import { DEFAULT_HISTORY_RUNS, diffRuns, hasChanges } from "./lib/changes.js";
+import { validateOutput } from "./lib/schema.js";
+import { checkRunGuards } from "./lib/guards.js";
+import { writeStatus, defaultStatusPath } from "./lib/status.js";
+import { mergeIntoArchive, updateArchive, DEFAULT_ARCHIVE_DIR } from "./lib/archive.js";
+import { enrichOutcomes, DEFAULT_MAX_OUTCOME_LOOKUPS } from "./lib/outcomes.js";
+import { pad2, kstTodayISO, endOfNextMonthISO, readJsonIfExists, monthsBetween, lastDayOfMonthISO, extractRcpNo } from "./lib/util.js";
+
+function httpOptionsOf(args) {
+  const o = {
+    retries: numArg(args.retries),
+    minIntervalMs: numArg(args["rate-ms"]),
+    maxRequests: numArg(args["max-requests"]),
+    timeoutMs: numArg(args["timeout-ms"]),
+  };
+  return Object.fromEntries(Object.entries(o).filter(([, v]) => v !== undefined));
 }
 
-// ---------------- charset decode ----------------
-function extractCharset(contentType) {
-  const ct = (contentType || "").toLowerCase();
-  const m = ct.match(/charset\s*=\s*([a-z0-9_\-]+)/i);
-  return m ? m[1].toLowerCase() : "";
-}
-function decodeByCharset(buffer, charset) {
-  const cs = (charset || "").toLowerCase();
-  if (cs.includes("euc-kr") || cs.includes("ks_c_5601") || cs.includes("ksc5601")) {
-    return iconv.decode(buffer, "euc-kr");
-  }
-  return buffer.toString("utf-8");
-}
-function scoreForEvents(html) {
-  const matches = (html || "").match(EVENT_RE_LOOSE);
-  return matches ? matches.length : 0;
+function outPathOf(args) {
+  return typeof args.out === "string" ? args.out : DEFAULT_OUT;
 }
-function pickBestDecodedHTML(buffer, contentType) {
-  const headerCS = extractCharset(contentType);
-  const primary = decodeByCharset(buffer, headerCS || "utf-8");
-  const primaryScore = scoreForEvents(primary);
-
-  const altCS =
-    headerCS.includes("euc") || headerCS.includes("ksc") ? "utf-8" : "euc-kr";
-  const alt = decodeByCharset(buffer, altCS);
-  const altScore = scoreForEvents(alt);
-
-  if (altScore > primaryScore) {
-    return { html: alt, picked: altCS, score: altScore, altScore: primaryScore };
-  }
-  return { html: primary, picked: headerCS || "utf-8", score: primaryScore, altScore };
+
+function statusPathOf(args) {
+  return typeof args.status === "string" ? args.status : defaultStatusPath(outPathOf(args));
 }
 
-// ---------------- cookie jar (캘린더 월 이동 안정화) ----------------
-function getSetCookieStrings(headers) {
-  if (typeof headers.getSetCookie === "function") return headers.getSetCookie();
-  const sc = headers.get("set-cookie");
-  return sc ? [sc] : [];
+// 아카이브 폴더 (null 이면 안 씀)
+function archiveDirOf(args, transport) {
+  if (typeof args.archive === "string") return parseOnOff(args.archive, true) ? args.archive : null;
+  return transport.offline ? null : DEFAULT_ARCHIVE_DIR;
 }
-function parseCookiePair(setCookieLine) {
-  const first = (setCookieLine || "").split(";")[0]?.trim();
-  if (!first) return null;
-  const eq = first.indexOf("=");
-  if (eq <= 0) return null;
-  return { name: first.slice(0, eq).trim(), value: first.slice(eq + 1).trim() };
+
+function createTransportOf(args) {
+  if (typeof args.record === "string") return createTransport({ mode: "record", dir: args.record });
+  if (typeof args.replay === "string") return createTransport({ mode: "replay", dir: args.replay });
+  return createTransport();
 }
-class CookieJar {
-  constructor() { this.map = new Map(); }
-  absorbFromResponse(res) {
-    const arr = getSetCookieStrings(res.headers);
-    for (const line of arr) {
-      const kv = parseCookiePair(line);
-      if (kv) this.map.set(kv.name, kv.value);
-    }
-  }
-  headerValue() {
-    if (this.map.size === 0) return "";
-    return [...this.map.entries()].map(([k, v]) => `${k}=${v}`).join("; ");
+
+// --source http|browser 는 예전 옵션 (= 캘린더 + 그 월 이동 방식)
+function sourcesOf(args) {
+  let dataSource = typeof args.source === "string" ? String(args.source).toLowerCase() : "calendar";
+  let calendarSource = typeof args["calendar-fetch"] === "string" ? String(args["calendar-fetch"]).toLowerCase() : "http";
+  if (dataSource === "http" || dataSource === "browser") {
+    calendarSource = dataSource;
+    dataSource = "calendar";
   }
+  return { dataSource, calendarSource };
 }
 
-// ---------------- fetch calendar month ----------------
-async function fetchCalendarMonthHTML(y, m) {
-  const headers = {
-    "User-Agent": "Mozilla/5.0 (compatible; ipo-calender-bot/1.0)",
-    "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-    "Accept-Language": "ko-KR,ko;q=0.9,en-US;q=0.7,en;q=0.6",
-    "Cache-Control": "no-cache",
-    "Pragma": "no-cache",
-    "Referer": DART_CAL_URL,
-  };
+function openClassifyCacheOf(args, transport) {
+  return openClassifyCache({
+    file: typeof args["classify-cache"] === "string" ? args["classify-cache"] : DEFAULT_CLASSIFY_CACHE,
+    refresh: Boolean(args["refresh-classify"]),
+    classifierVersion: FILING_CACHE_VERSION,
+    disabled: transport.offline && typeof args["classify-cache"] !== "string",
+  });
+}
 
-  const jar = new CookieJar();
-
-  // 1) bootstrap GET
-  const res0 = await fetch(DART_CAL_URL, { method: "GET", headers });
-  jar.absorbFromResponse(res0);
-  const buf0 = Buffer.from(await res0.arrayBuffer());
-  const ct0 = res0.headers.get("content-type") || "";
-  const dec0 = pickBestDecodedHTML(buf0, ct0);
-
-  // 2) month change POST
-  const form = new URLSearchParams();
-  form.set("selectYear", String(y));
-  form.set("selectMonth", pad2(m));
-  form.set("search", "검색");
-
-  const cookie = jar.headerValue();
-  const res1 = await fetch(DART_CAL_URL, {
-    method: "POST",
-    headers: {
-      ...headers,
-      "Content-Type": "application/x-www-form-urlencoded",
-      ...(cookie ? { Cookie: cookie } : {}),
-    },
-    body: form.toString(),
+// 보정 파일 (replay 는 녹화 결과만 보도록 직접 줄 때만)
+function openOverridesOf(args, transport) {
+  const given = typeof args.overrides === "string";
+  return openOverrides({
+    file: given ? args.overrides : DEFAULT_OVERRIDES,
+    legacyFile: typeof args.meta === "string" ? args.meta : LEGACY_META_JSON,
+    disabled: given ? !parseOnOff(args.overrides, true) : transport.offline,
   });
+}
 
-  const buf1 = Buffer.from(await res1.arrayBuffer());
-  const ct1 = res1.headers.get("content-type") || "";
-  const dec1 = pickBestDecodedHTML(buf1, ct1);
+// 녹화에는 당시 여유 날 수를 같이 남김 → replay 는 그 값 (예전 녹화는 여유 없이)
+function windowMarginOf(args, transport) {
+  const given = numArg(args["window-margin"]);
+  if (given !== undefined) return given;
+  return transport.offline ? (transport.recordedRange?.margin_days ?? 0) : DEFAULT_WINDOW_MARGIN_DAYS;
+}
 
+// runPipeline 옵션 중 범위/HTTP 를 뺀 나머지 (일반 실행과 backfill 이 같이 씀)
+function pipelineOptionsOf(args, transport, classifyCache) {
   return {
-    html: dec1.html,
-    fetch_info: {
-      method: "POST",
-      status: res1.status,
-      content_type: ct1,
-      bytes: buf1.length,
-      decoded_charset: dec1.picked,
-      event_score: dec1.score,
-      cookie_names: [...jar.map.keys()],
-      requested: { y, m },
-      bootstrap: { status: res0.status, bytes: buf0.length, decoded_charset: dec0.picked, event_score: dec0.score },
-    }
+    classifyCache,
+    ...sourcesOf(args),
+    opendart: typeof args["opendart-base"] === "string" ? { baseUrl: args["opendart-base"] } : {},
+    mode: typeof args.mode === "string" ? String(args.mode).toLowerCase() : "ipo", // ipo | exrights | all
+    include: typeof args.include === "string" ? args.include : undefined,
+    exclude: typeof args.exclude === "string" ? args.exclude : undefined,
+    listedFilter: parseOnOff(args["listed-filter"], undefined),
+    listedCache: {
+      file: typeof args["listed-cache"] === "string" ? args["listed-cache"] : DEFAULT_LISTED_CACHE,
+      refresh: Boolean(args["refresh-listed"]),
+      disabled: transport.offline && typeof args["listed-cache"] !== "string",
+      ...(numArg(args["listed-max-age"]) !== undefined ? { maxAgeDays: numArg(args["listed-max-age"]) } : {}),
+    },
+    overrides: openOverridesOf(args, transport),
+    windowMarginDays: windowMarginOf(args, transport),
+    concurrency: numArg(args.concurrency) || DEFAULT_CONCURRENCY,
   };
 }
 
-// ---------------- parse day ----------------
-function inferDayFromAnchor($, aEl) {
-  let node = $(aEl);
-  for (let up = 0; up < 6; up++) {
-    node = node.parent();
-    if (!node || node.length === 0) break;
-
-    const cloned = node.clone();
-    cloned.find("a").remove();
-    const t = normalizeText(cloned.text());
-    if (!t) continue;
-    if (t.length > 160) continue;
-
-    const nums = [...t.matchAll(/\b(\d{1,2})\b/g)]
-      .map((m) => Number(m[1]))
-      .filter((n) => n >= 1 && n <= 31);
-
-    if (nums.length) return nums[0];
-  }
-  return null;
+function logArchive(archiveDir, result) {
+  console.log(`[OK] archive: added=${result.added} updated=${result.updated} months=${result.months.join(", ") || "-"} -> ${archiveDir}`);
 }
 
-// ---------------- parse month events ----------------
-function parseCalendarMonth(html, y, m) {
-  const $ = cheerio.load(html);
-
-  const allATexts = $("a")
-    .toArray()
-    .map((el) => normalizeText($(el).text()))
-    .filter(Boolean);
-
-  const matchedAnchors = $("a")
-    .toArray()
-    .filter((el) => EVENT_RE.test(normalizeText($(el).text())));
-
-  const events = [];
-  for (const a of matchedAnchors) {
-    const raw = normalizeText($(a).text());
-    const mm = raw.match(EVENT_RE);
-    if (!mm) continue;
-
-    const marketShort = mm[1];
-    const corpName = normalizeText(mm[2]);
-    const mark = mm[3];
-    const href = $(a).attr("href") || "";
-
-    const day = inferDayFromAnchor($, a);
-    if (!day) continue;
-
-    events.push({
-      date: toISODate(y, m, day),
-      market_short: marketShort,
-      corp_name: corpName,
-      mark,
-      href,
+// 아카이브의 지나간 공모에 상장 결과 채우기 — 실패해도 이번 실행은 성공으로 둠 (다음 실행에서 다시)
+// status.json 에 넣을 단계 결과를 돌려줌
+async function fillOutcomes(http, archiveDir, args, listedCache, runAt) {
+  if (!archiveDir || !parseOnOff(args.outcomes, true)) return { name: "outcomes", status: "skipped", duration_ms: 0 };
+  const t0 = Date.now();
+  try {
+    const { index } = await loadListedIndex(http, listedCache);
+    let stats;
+    const months = await updateArchive(archiveDir, runAt, async (archive) => {
+      stats = await enrichOutcomes(http, archive, {
+        listedIndex: index,
+        today: kstTodayISO(),
+        maxLookups: numArg(args["max-outcomes"]) ?? DEFAULT_MAX_OUTCOME_LOOKUPS,
+      });
     });
+    console.log(`[OK] outcomes: pending=${stats.pending} checked=${stats.checked} completed=${stats.completed} errors=${stats.errors.length} months=${months.join(", ") || "-"}`);
+    for (const e of stats.errors) console.warn(`[WARN] 상장 결과 ${e.corp_name}: ${e.error}`);
+    return {
+      name: "outcomes",
+      status: stats.errors.length ? "degraded" : "ok",
+      duration_ms: Date.now() - t0,
+      counts: { pending: stats.pending, checked: stats.checked, completed: stats.completed, errors: stats.errors.length },
+    };
+  } catch (e) {
+    console.warn("[WARN] 상장 결과 채우기 실패:", e?.message || e);
+    return { name: "outcomes", status: "failed", duration_ms: Date.now() - t0, error: String(e?.message || e) };
   }
+}
 
-  // month 단위 중복 제거
-  const dedup = new Map();
-  for (const e of events) {
-    const k = `${e.date}||${e.market_short}||${e.corp_name}||${e.mark}||${e.href}`;
-    dedup.set(k, e);
-  }
+const STATUS_UNKNOWN_LIMIT = 30;
 
+// status.json 공통 부분 (성공/점검 실패 모두)
+function runReport(payload, stats, previous, http) {
   return {
-    ok: true,
-    anchors_total: allATexts.length,
-    anchors_matched: matchedAnchors.length,
-    events: [...dedup.values()],
-    sample_matched_texts: matchedAnchors.slice(0, 15).map((a) => normalizeText($(a).text())),
+    count: payload.count,
+    previous_count: previous?.count ?? null,
+    failed_months: payload.failed_months,
+    months: stats.month_status,
+    unknown_count: stats.unknown.length,
+    unknown: stats.unknown.slice(0, STATUS_UNKNOWN_LIMIT),
+    ...(stats.overrides.entries ? { overrides: stats.overrides } : {}),
+    http: { requests: http.stats.requests, retries: http.stats.retries, failures: http.stats.failures, waited_ms: http.stats.waited_ms },
   };
 }
 
-// ---------------- merge to items ----------------
-function mergeEventsToItems(events) {
-  const map = new Map();
-
-  for (const e of events) {
-    const key = `${e.market_short}||${e.corp_name}`;
-    if (!map.has(key)) {
-      map.set(key, {
-        corp_name: e.corp_name,
-        market_short: e.market_short,
-        market: marketFromShort(e.market_short),
-        sbd_start: null,
-        sbd_end: null,
-        hrefs: [],
-      });
-    }
-    const it = map.get(key);
-    if (e.href) it.hrefs.push(e.href);
-
-    if (e.mark === "시작") {
-      if (!it.sbd_start || e.date < it.sbd_start) it.sbd_start = e.date;
-    } else if (e.mark === "종료") {
-      if (!it.sbd_end || e.date > it.sbd_end) it.sbd_end = e.date;
-    }
-  }
-
-  const items = [];
-  for (const it of map.values()) {
-    if (it.sbd_start && !it.sbd_end) it.sbd_end = it.sbd_start;
-    if (!it.sbd_start && it.sbd_end) it.sbd_start = it.sbd_end;
-
-    // 대표 href는 rcpNo 있는 걸 우선
-    const href = it.hrefs.find((h) => /rcpNo=\d{14}/.test(h)) || it.hrefs.find(Boolean) || "";
-
-    items.push({
-      corp_name: it.corp_name,
-      market_short: it.market_short,
-      market: it.market,
-      sbd_start: it.sbd_start,
-      sbd_end: it.sbd_end,
-      href,
-      href_abs: href ? new URL(href, "https://dart.fss.or.kr").toString() : "",
+// ---------------- run (기본) ----------------
+async function runUpdate(args) {
+  const runAt = new Date().toISOString();
+  const transport = createTransportOf(args);
+
+  const recorded = transport.offline ? transport.recordedRange : null;
+  const start = typeof args.start === "string" ? args.start : (recorded?.start || kstTodayISO());
+  const end = typeof args.end === "string" ? args.end : (recorded?.end || endOfNextMonthISO(kstTodayISO()));
+  transport.noteRange({ start, end, margin_days: windowMarginOf(args, transport) });
+  const http = createHttpClient(transport, httpOptionsOf(args));
+  const outPath = outPathOf(args);
+  const statusPath = statusPathOf(args);
+  const archiveDir = archiveDirOf(args, transport);
+  const { dataSource, calendarSource } = sourcesOf(args);
+
+  const classifyCache = openClassifyCacheOf(args, transport);
+
+  const pipelineOptions = pipelineOptionsOf(args, transport, classifyCache);
+  const { payload, stats } = await runPipeline({ ...pipelineOptions, http, start, end });
+
+  // ---- 쓰기 전 점검: 실패하면 이전 파일 유지 ----
+  const previous = readJsonIfExists(path.resolve(outPath));
+  const validation = validateOutput(payload);
+  const guards = checkRunGuards(payload, previous, stats, {
+    ...(Number(args["max-drop"]) > 0 ? { maxDropRatio: Number(args["max-drop"]) } : {}),
+  });
+  const blockingGuards = args.force ? [] : guards;
+  const stages = [...stats.stages, {
+    name: "guards",
+    status: !validation.ok || blockingGuards.length ? "failed" : guards.length ? "degraded" : "ok",
+    duration_ms: 0,
+    counts: { schema_errors: validation.errors.length, guards: guards.length },
+    ...(guards.length && args.force ? { note: "--force" } : {}),
+  }];
+
+  if (!validation.ok || blockingGuards.length) {
+    writeStatus(statusPath, {
+      ok: false,
+      run_at: runAt,
+      out: outPath,
+      kept_previous: Boolean(previous),
+      ...runReport(payload, stats, previous, http),
+      stages,
+      schema_errors: validation.errors.slice(0, 50),
+      guards,
     });
+    for (const e of validation.errors.slice(0, 20)) console.error("[SCHEMA]", e);
+    for (const g of blockingGuards) console.error(`[GUARD] ${g.code}: ${g.message}`);
+    console.error(`[FAIL] ${outPath} 는 덮어쓰지 않음 (${previous ? "이전 파일 유지" : "이전 파일 없음"}) -> ${statusPath}`);
+    return EXIT.FAILED;
   }
+  for (const g of guards) console.warn(`[WARN] --force 로 무시: ${g.code}: ${g.message}`);
 
-  items.sort((a, b) => {
-    if ((a.sbd_start || "") !== (b.sbd_start || "")) return (a.sbd_start || "").localeCompare(b.sbd_start || "");
-    return (a.corp_name || "").localeCompare(b.corp_name || "");
+  let t0 = Date.now();
+  const { changeRun, changesPath } = writeOutput(payload, {
+    outPath,
+    changesPath: typeof args.changes === "string" ? args.changes : "",
+    historyRuns: Number(args.history) > 0 ? Number(args.history) : DEFAULT_HISTORY_RUNS,
   });
+  stages.push({ name: "write", status: "ok", duration_ms: Date.now() - t0, counts: changeRun.counts });
+
+  // 아카이브/상장 결과는 ipo.json 을 쓴 뒤에 (여기서 실패해도 이번 결과는 유지)
+  let archived = null;
+  if (archiveDir) {
+    t0 = Date.now();
+    archived = mergeIntoArchive(payload.items, { dir: archiveDir, runAt, range: payload.range });
+    stages.push({ name: "archive", status: "ok", duration_ms: Date.now() - t0, counts: { added: archived.added, updated: archived.updated, months: archived.months.length } });
+  } else {
+    stages.push({ name: "archive", status: "skipped", duration_ms: 0 });
+  }
+  stages.push(await fillOutcomes(http, archiveDir, args, pipelineOptions.listedCache, runAt));
 
-  return items;
-}
-
-// ---------------- classify (IPO vs Rights) by fetching filing text ----------------
-function includesAny(text, keywords) {
-  const t = text || "";
-  return keywords.some((k) => t.includes(k));
-}
-
-/**
- * dsaf001(main.do?rcpNo=...) HTML에서
- * "증권신고서(지분증권)" 항목의 javascript:viewDoc(...) 파라미터를 추출
- */
-function extractViewerParamsFromDsaf(html) {
-  // 1) a[href^="javascript: viewDoc("] 중 텍스트에 '증권신고서(지분증권)'가 있는 걸 우선
-  const $ = cheerio.load(html);
-  const candidates = [];
-
-  $("a").each((_, el) => {
-    const href = String($(el).attr("href") || "");
-    const text = normalizeText($(el).text());
-    if (!href.includes("viewDoc(")) return;
-
-    candidates.push({ href, text });
+  writeStatus(statusPath, {
+    ok: true,
+    run_at: runAt,
+    out: outPath,
+    ...runReport(payload, stats, previous, http),
+    stages,
+    schema_errors: [],
+    guards,
   });
 
-  // 우선순위: 본문 '증권신고서(지분증권)' > 그 외 viewDoc
-  const picked =
-    candidates.find((c) => c.text.includes("증권신고서(지분증권)")) ||
-    candidates.find((c) => c.text.includes("증권신고서")) ||
-    candidates[0];
-
-  if (!picked) return null;
-
-  // viewDoc('rcpNo', 'dcmNo', 'eleId', 'offset', 'length', 'dtd')
-  // 숫자/NULL/따옴표 섞이는 케이스 대응
-  const m = picked.href.match(
-    /viewDoc\(\s*'?(?<rcpNo>\d{14})'?\s*,\s*'?(?<dcmNo>\d+)'?\s*,\s*(?<eleId>null|\d+)?\s*,\s*(?<offset>null|\d+)?\s*,\s*(?<length>null|\d+)?\s*,\s*'?(?<dtd>[^'()\s]+)'?\s*\)/
-  );
-  if (!m || !m.groups) return null;
-
-  const eleId = m.groups.eleId && m.groups.eleId !== "null" ? m.groups.eleId : "0";
-  const offset = "0";
-  const length = "0";
-  const dtd = m.groups.dtd || "dart3.xsd";
-
-  return {
-    rcpNo: m.groups.rcpNo,
-    dcmNo: m.groups.dcmNo,
-    eleId,
-    offset,
-    length,
-    dtd,
-    picked_text: picked.text,
-  };
-}
-
-async function fetchTextHTML(url, headers) {
-  const res = await fetch(url, { method: "GET", headers });
-  const buf = Buffer.from(await res.arrayBuffer());
-  const ct = res.headers.get("content-type") || "";
-  const html = decodeByCharset(buf, extractCharset(ct) || "utf-8");
-  return { res, html, bytes: buf.length, content_type: ct };
-}
-
-async function classifyRcpNo(rcpNo) {
-  const headers = {
-    "User-Agent": "Mozilla/5.0 (compatible; ipo-calender-bot/1.0)",
-    "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-    "Accept-Language": "ko-KR,ko;q=0.9,en-US;q=0.7,en;q=0.6",
-    "Cache-Control": "no-cache",
-    "Pragma": "no-cache",
-    "Referer": DART_DSAF_URL,
-  };
-
-  // 1) dsaf001 (메타 페이지)
-  const dsafUrl = `${DART_DSAF_URL}?rcpNo=${rcpNo}`;
-  const dsaf = await fetchTextHTML(dsafUrl, headers);
-
-  const params = extractViewerParamsFromDsaf(dsaf.html);
-  if (!params) {
-    return { type: "unknown", reason: "viewDoc params not found", dsaf_url: dsafUrl };
+  console.log("[OK] wrote:", outPath);
+  console.log("[OK] months:", stats.months.map((x) => `${x.y}-${pad2(x.m)}`).join(", "));
+  console.log("[OK] source:", dataSource === "opendart" ? dataSource : `${dataSource} (calendar: ${calendarSource})`);
+  if (stats.opendart_items != null) console.log("[OK] opendart items:", stats.opendart_items);
+  for (const e of stats.opendart_list_errors) {
+    console.warn(`[WARN] OpenDART list.json ${e.window.start}~${e.window.end} 실패${dataSource === "both" ? " (캘린더만 사용, 교차 확인 생략)" : ""}: ${e.error}`);
   }
-
-  // 2) viewer 원문(HTML)
-  const viewerUrl =
-    `${DART_VIEWER_BASE}?rcpNo=${params.rcpNo}` +
-    `&dcmNo=${params.dcmNo}` +
-    `&eleId=${params.eleId}` +
-    `&offset=${params.offset}` +
-    `&length=${params.length}` +
-    `&dtd=${encodeURIComponent(params.dtd)}`;
-
-  const viewer = await fetchTextHTML(viewerUrl, headers);
-  const text = normalizeText(cheerio.load(viewer.html).text());
-
-  // 3) 분류
-  const isRights = includesAny(text, RIGHTS_KEYWORDS);
-  const isIpo = includesAny(text, IPO_KEYWORDS);
-
-  if (isRights) return { type: "rights", reason: "matched rights keywords", viewer_url: viewerUrl, picked: params.picked_text };
-  if (isIpo) return { type: "ipo", reason: "matched ipo keywords", viewer_url: viewerUrl, picked: params.picked_text };
-
-  // 애매하면 unknown
-  return { type: "unknown", reason: "no decisive keywords", viewer_url: viewerUrl, picked: params.picked_text };
+  if (stats.cross_check) {
+    const x = stats.cross_check;
+    console.log(`[OK] cross-check: matched=${x.matched} calendar_only=${x.calendar_only.length} opendart_only=${x.opendart_only.length} date_mismatch=${x.date_mismatch.length}`);
+    for (const d of x.date_mismatch) {
+      console.warn(`[WARN] 청약일 불일치 ${d.corp_name}: calendar ${d.calendar.sbd_start}~${d.calendar.sbd_end} / opendart ${d.opendart.sbd_start}~${d.opendart.sbd_end}`);
+    }
+  }
+  console.log("[OK] mode:", stats.type_filter.mode, `(${stats.type_filter.types.join(", ")})`);
+  console.log("[OK] total events:", stats.events);
+  console.log("[OK] ranged events:", stats.ranged_events);
+  console.log("[OK] merged items:", stats.merged);
+  if (stats.listed_index) {
+    const li = stats.listed_index;
+    console.log(`[OK] listed index: ${li.source} (${li.count}, ${li.fetched_at || "-"})`);
+  }
+  console.log("[OK] excluded listed:", stats.excluded_listed.length, stats.excluded_listed.map((x) => `${x.corp_name}(${x.matched_by})`).join(", "));
+  const ov = stats.overrides;
+  if (ov.entries) {
+    console.log(`[OK] overrides: entries=${ov.entries} patched=${ov.patched} included=${ov.included} hidden=${ov.hidden.length} added=${ov.added.length}`);
+    for (const w of ov.warnings) console.warn(`[WARN] 보정 ${w.source} (${w.corp_name}): ${w.reason}`);
+    for (const u of ov.unmatched) console.warn(`[WARN] 보정 ${u.source} (${u.key}): 맞는 항목 없음 — 지워도 되는지 확인`);
+  }
+  console.log("[OK] output items:", payload.count);
+  const hs = http.stats;
+  console.log(`[OK] http: requests=${hs.requests} retries=${hs.retries} failures=${hs.failures} waited=${hs.waited_ms}ms`);
+  const cs = classifyCache.stats;
+  console.log(`[OK] classify cache: hits=${cs.hits} misses=${cs.misses} stored=${cs.stored} expired=${cs.expired}`);
+  const cc = changeRun.counts;
+  console.log(`[OK] changes: added=${cc.added} removed=${cc.removed} rescheduled=${cc.rescheduled} reclassified=${cc.reclassified} -> ${changesPath}`);
+  if (archived) logArchive(archiveDir, archived);
+  if (transport.mode !== "live") console.log(`[OK] ${transport.mode}:`, transport.dir);
+
+  if (typeof args.golden === "string") {
+    const diffs = diffAgainstGolden(payload, args.golden);
+    if (diffs.length) {
+      console.error(`[GOLDEN] ${diffs.length} difference(s) vs ${args.golden}`);
+      for (const d of diffs) console.error("  -", d);
+      return EXIT.FAILED;
+    }
+    console.log("[GOLDEN] items match:", args.golden);
+  }
+  return EXIT.OK;
 }
 
-// ---------------- main ----------------
-async function main() {
-  const args = parseArgs(process.argv);
-
-  const start = typeof args.start === "string" ? args.start : kstTodayISO();
-  const end = typeof args.end === "string" ? args.end : addDaysISO(kstTodayISO(), 45);
-  const outPath = typeof args.out === "string" ? args.out : "docs/data/ipo.json";
-  const mode = typeof args.mode === "string" ? String(args.mode).toLowerCase() : "ipo"; // ipo | exrights | all
-
-  const months = monthsBetween(start, end);
-
-  const allEvents = [];
-  const debug = [];
+// ---------------- backfill ----------------
+const MONTH_ARG_RE = /^(\d{4})-(0[1-9]|1[0-2])$/;
 
+// 달마다 따로 runPipeline → 스키마/전체 실패만 점검하고 아카이브에 합침
+async function runBackfill(args) {
+  if (!MONTH_ARG_RE.test(String(args.from)) || !MONTH_ARG_RE.test(String(args.to)) || args.from > args.to) {
+    throw usageError("--from YYYY-MM --to YYYY-MM 이 필요함 (from <= to)");
+  }
+  const transport = createTransportOf(args);
+  const archiveDir = archiveDirOf(args, transport);
+  if (!archiveDir) throw usageError("아카이브에만 쓰니 --archive <dir> 가 필요함 (replay 또는 --archive off)");
+
+  const months = monthsBetween(`${args.from}-01`, `${args.to}-01`);
+  const first = months[0];
+  const last = months[months.length - 1];
+  transport.noteRange({ start: `${args.from}-01`, end: lastDayOfMonthISO(last.y, last.m), margin_days: windowMarginOf(args, transport) });
+  const classifyCache = openClassifyCacheOf(args, transport);
+  const base = pipelineOptionsOf(args, transport, classifyCache);
+
+  const failed = [];
   for (const { y, m } of months) {
+    const label = `${y}-${pad2(m)}`;
+    const runAt = new Date().toISOString();
+    const start = `${label}-01`;
+    const end = lastDayOfMonthISO(y, m);
     try {
-      await sleep(900);
-
-      const { html, fetch_info } = await fetchCalendarMonthHTML(y, m);
-      const pm = parseCalendarMonth(html, y, m);
-
-      debug.push({
-        y, m,
-        fetch: fetch_info,
-        parse: {
-          ok: pm.ok,
-          anchors_total: pm.anchors_total,
-          anchors_matched: pm.anchors_matched,
-          events: pm.events.length,
-          sample_matched_texts: pm.sample_matched_texts,
-        },
-      });
-
-      allEvents.push(...pm.events);
-    } catch (err) {
-      debug.push({
-        y, m,
-        fetch: null,
-        parse: { ok: false, reason: String(err?.message || err) },
-      });
+      // 요청 예산은 달마다 새로 (긴 backfill 이 중간에 예산에 걸리지 않게)
+      const http = createHttpClient(transport, httpOptionsOf(args));
+      const { payload, stats } = await runPipeline({ ...base, http, start, end });
+      const validation = validateOutput(payload);
+      const guards = checkRunGuards(payload, null, stats).filter((g) => g.code === "all_months_failed" || g.code === "unparsed_month");
+      if (!validation.ok || guards.length) {
+        for (const e of validation.errors.slice(0, 20)) console.error(`[SCHEMA] ${label}`, e);
+        for (const g of guards) console.error(`[GUARD] ${label} ${g.code}: ${g.message}`);
+        failed.push(label);
+        continue;
+      }
+      const archived = mergeIntoArchive(payload.items, { dir: archiveDir, runAt, range: payload.range });
+      console.log(`[OK] ${label}: items=${payload.count} added=${archived.added} updated=${archived.updated} requests=${http.stats.requests}`);
+    } catch (e) {
+      console.error(`[FAIL] ${label}:`, e?.message || e);
+      failed.push(label);
     }
   }
 
-  // 1) 날짜 범위 필터
-  const rangedEvents = allEvents.filter((e) => withinRange(e.date, start, end));
-
-  // 2) 아이템 병합
-  const merged = mergeEventsToItems(rangedEvents);
-
-  // 3) rcpNo 기반 분류 + mode 필터
-  const classified = [];
-  const classify_debug = [];
+  await fillOutcomes(createHttpClient(transport, httpOptionsOf(args)), archiveDir, args, base.listedCache, new Date().toISOString());
+  console.log(`[OK] backfill ${first.y}-${pad2(first.m)} ~ ${last.y}-${pad2(last.m)}: ${months.length - failed.length}/${months.length} months -> ${archiveDir}`);
+  if (transport.mode !== "live") console.log(`[OK] ${transport.mode}:`, transport.dir);
+  if (failed.length) {
+    console.error("[FAIL] backfill failed months:", failed.join(", "));
+    return EXIT.FAILED;
+  }
+  return EXIT.OK;
+}
 
-  for (const it of merged) {
-    const rcpNo = extractRcpNo(it.href);
-    if (!rcpNo) {
-      // rcpNo 없으면 애매: mode=all일 때만 살림
-      if (mode === "all") classified.push({ ...it, offer_type: "unknown", offer_reason: "no rcpNo" });
-      continue;
+// ---------------- classify / explain ----------------
+const oneLine = (s) => String(s || "").replace(/\s+/g, " ");
+
+function printClassification(resolved, rcpNo, explain) {
+  const cls = resolved.cls;
+  const via = resolved.rcpNo !== rcpNo ? ` (입력 ${rcpNo} → 최신 신고서)` : "";
+  console.log(`[classify] ${resolved.rcpNo}${via}`);
+  console.log(`  type: ${cls.type}${cls.family && cls.family !== cls.type ? ` (family ${cls.family})` : ""}, 신뢰도 ${cls.confidence ?? "-"}`);
+  if (cls.scores) console.log(`  scores: ipo ${cls.scores.ipo} : rights ${cls.scores.rights}`);
+  console.log(`  reason: ${cls.reason}`);
+  if (resolved.withdrawn) console.log("  withdrawn: 철회신고서 있음");
+  if (!explain) return;
+
+  console.log("  근거:");
+  for (const e of cls.evidence || []) console.log(`    +${e.points} ${e.zone} '${e.term}'  ${oneLine(e.snippet)}`);
+  if (cls.ignored?.length) {
+    console.log("  무시:");
+    for (const e of cls.ignored) console.log(`    ${e.zone} '${e.term}' ${e.why}  ${oneLine(e.snippet)}`);
+  }
+  if (cls.subtype && cls.subtype.source !== "default") {
+    console.log(`  세부 유형: ${cls.subtype.type} (${cls.subtype.source} '${cls.subtype.term}')  ${oneLine(cls.subtype.snippet)}`);
+  }
+  if (cls.keywords?.length) console.log(`  키워드: ${cls.keywords.join(", ")}`);
+  if (cls.terms) console.log(`  공모 조건: ${JSON.stringify(cls.terms)}`);
+  if (cls.schedule) console.log(`  일정: ${JSON.stringify(cls.schedule)}`);
+  if (resolved.amendments?.length) {
+    console.log("  신고서 흐름:");
+    for (const a of resolved.amendments) {
+      const changes = a.changes.map((c) => c.field).join(", ");
+      console.log(`    ${a.date} ${a.rcpNo} ${a.kind} ${a.title}${changes ? ` — 변경: ${changes}` : ""}`);
     }
+  }
+  if (cls.viewer_url) console.log(`  원문: ${cls.viewer_url}`);
+}
 
-    await sleep(400); // DART 부담 줄이기
+// 캐시 없이 바로 분류 (정정이 있으면 최신 신고서 기준 — run 과 같은 경로)
+async function runClassify(args) {
+  // 접수번호 또는 DART 링크(...?rcpNo=...)
+  const input = String(args._[1] || "");
+  const rcpNo = /^\d{14}$/.test(input) ? input : extractRcpNo(input);
+  if (!rcpNo) throw usageError("접수번호(rcpNo, 14자리)나 DART 링크가 필요함");
+  const transport = createTransportOf(args);
+  const http = createHttpClient(transport, httpOptionsOf(args));
+  const cache = openClassifyCache({ disabled: true, classifierVersion: FILING_CACHE_VERSION });
+
+  const resolved = await resolveFiling(http, cache, typeof args.corp === "string" ? args.corp : "", rcpNo);
+  if (args.json) console.log(JSON.stringify(resolved, null, 2));
+  else printClassification(resolved, rcpNo, Boolean(args.explain));
+  if (resolved.family_error) console.warn(`[WARN] 관련 공시를 못 읽어 입력 rcpNo 로만 판정: ${resolved.family_error}`);
+  return resolved.cls.type === "unknown" ? EXIT.FAILED : EXIT.OK;
+}
 
-    let cls;
-    try {
-      cls = await classifyRcpNo(rcpNo);
-    } catch (e) {
-      cls = { type: "unknown", reason: `classify error: ${String(e?.message || e)}` };
-    }
+// ---------------- fetch-month ----------------
+async function runFetchMonth(args) {
+  const mm = String(args._[1] || "").match(MONTH_ARG_RE);
+  if (!mm) throw usageError("달(YYYY-MM)이 필요함");
+  const y = Number(mm[1]);
+  const m = Number(mm[2]);
+  const label = `${y}-${pad2(m)}`;
+  const transport = createTransportOf(args);
+  transport.noteRange({ start: `${label}-01`, end: lastDayOfMonthISO(y, m) });
+  const http = createHttpClient(transport, httpOptionsOf(args));
+
+  const source = createCalendarSource(sourcesOf(args).calendarSource, http);
+  let fetched;
+  try {
+    fetched = await source.fetchMonth(y, m);
+  } finally {
+    await source.close();
+  }
+  if (!fetched.ok) {
+    console.error(`[FAIL] ${label}: ${fetched.fetch_info.reason}`);
+    return EXIT.FAILED;
+  }
 
-    classify_debug.push({ corp_name: it.corp_name, rcpNo, ...cls });
+  const pm = parseCalendarMonth(fetched.html, y, m);
+  if (!pm.ok) {
+    console.error(`[FAIL] ${label}: ${pm.reason}`);
+    return EXIT.FAILED;
+  }
+  const events = [...pm.events].sort((a, b) => a.date.localeCompare(b.date) || a.corp_name.localeCompare(b.corp_name));
+  const items = args.items ? mergeEventsToItems(events) : null;
+  if (args.json) {
+    console.log(JSON.stringify({ month: label, fetch: fetched.fetch_info, grid: pm.grid, market_via: pm.market_via, unparsed: pm.unparsed, anchors_total: pm.anchors_total, anchors_matched: pm.anchors_matched, events, ...(items ? { items } : {}) }, null, 2));
+    return EXIT.OK;
+  }
+  for (const e of events) console.log(`${e.date}  [${e.mark}]  ${e.market_short}  ${e.corp_name}  ${e.rcpNo || "-"}${e.spillover ? `  (${e.spillover === "prev" ? "이전" : "다음"} 달 칸)` : ""}`);
+  for (const raw of pm.unparsed) console.warn(`[WARN] 시장/회사명을 못 읽은 링크: ${raw}`);
+  for (const it of items || []) console.log(`item: ${it.sbd_start} ~ ${it.sbd_end}  ${it.market_short}  ${it.corp_name}  ${extractRcpNo(it.href) || "-"}`);
+  console.log(`[OK] ${label}: events=${events.length} anchors=${pm.anchors_matched}/${pm.anchors_total} weeks=${pm.grid.rows}${items ? ` items=${items.length}` : ""}`);
+  return EXIT.OK;
+}
 
-    const itemOut = {
-      ...it,
-      rcpNo,
-      offer_type: cls.type,
-      offer_reason: cls.reason,
-      viewer_url: cls.viewer_url || "",
-    };
+// ---------------- validate / diff ----------------
+function readJsonArg(file) {
+  if (typeof file !== "string") throw usageError("JSON 파일 경로가 필요함");
+  const obj = readJsonIfExists(path.resolve(file));
+  if (!obj) throw usageError(`읽을 수 없는 JSON: ${file}`);
+  return obj;
+}
 
-    if (mode === "all") {
-      classified.push(itemOut);
-    } else if (mode === "exrights") {
-      if (cls.type !== "rights") classified.push(itemOut);
-    } else {
-      // mode === "ipo" (기본): IPO만
-      if (cls.type === "ipo") classified.push(itemOut);
-    }
+async function runValidate(args) {
+  const file = args._[1] || outPathOf(args);
+  const v = validateOutput(readJsonArg(file));
+  if (v.ok) {
+    console.log(`[OK] valid: ${file}`);
+    return EXIT.OK;
   }
+  for (const e of v.errors) console.error("[SCHEMA]", e);
+  console.error(`[FAIL] ${file}: 스키마 오류 ${v.errors.length}건`);
+  return EXIT.FAILED;
+}
 
-  const payload = {
-    ok: true,
-    source: "dart-dsac008(calendar) + classify-by-filing(viewer.do) + mode-filter",
-    range: { start, end },
-    mode,
-    last_updated_kst: kstTodayISO(),
-    count: classified.length,
-    items: classified,
-    _debug: debug,
-    _classify_debug: classify_debug.slice(0, 80), // 너무 길어지는 거 방지
-  };
+async function runDiff(args) {
+  const [, oldFile, newFile] = args._;
+  if (!oldFile || !newFile) throw usageError("비교할 파일 두 개가 필요함 (<old> <new>)");
+  const run = diffRuns(readJsonArg(oldFile), readJsonArg(newFile), new Date().toISOString());
+  if (args.json) {
+    console.log(JSON.stringify(run, null, 2));
+  } else {
+    const fmt = (x) => `${x.corp_name} (${x.market || "-"}, ${x.sbd_start || "?"} ~ ${x.sbd_end || "?"}, ${x.offer_type})`;
+    for (const x of run.added) console.log(`+ ${fmt(x)}`);
+    for (const x of run.removed) console.log(`- ${fmt(x)} [${x.reason}]`);
+    for (const x of run.rescheduled) console.log(`~ ${fmt(x)} 일정: ${x.before.sbd_start}~${x.before.sbd_end} -> ${x.after.sbd_start}~${x.after.sbd_end}`);
+    for (const x of run.reclassified) console.log(`~ ${fmt(x)} 유형: ${x.before.offer_type} -> ${x.after.offer_type}`);
+    const c = run.counts;
+    console.log(`[diff] added=${c.added} removed=${c.removed} rescheduled=${c.rescheduled} reclassified=${c.reclassified}`);
+  }
+  return hasChanges(run) ? EXIT.FAILED : EXIT.OK;
+}
 
-  const absOut = path.resolve(outPath);
-  fs.mkdirSync(path.dirname(absOut), { recursive: true });
-  fs.writeFileSync(absOut, JSON.stringify(payload, null, 2), "utf-8");
+// ---------------- commands ----------------
+const NET_OPTIONS = `네트워크:
+  --record <dir> | --replay <dir>   응답 녹화 / 오프라인 재생
+  --retries 3 --rate-ms 400 --max-requests 1500 --timeout-ms 20000`;
+
+const COMMANDS = {
+  run: {
+    usage: "run [--start YYYY-MM-DD] [--end YYYY-MM-DD] [--mode ipo|exrights|all] [--out docs/data/ipo.json] ...",
+    summary: "수집 → 분류 → 점검 → ipo.json/changes.json/status.json/아카이브 쓰기 (명령 생략 시 기본)",
+    help: `범위 기본값: 오늘 ~ 다음 달 말 (replay 는 녹화 당시 범위)
+범위 여유: --window-margin ${DEFAULT_WINDOW_MARGIN_DAYS} (캘린더를 앞뒤로 더 받아 경계에 걸친 공모의 시작/종료일을 살림, replay 는 녹화 당시 값)
+유형: --mode ipo|exrights|all, --include ipo,spac --exclude reit
+소스: --source calendar|opendart|both, --calendar-fetch http|browser, --opendart-base <url>
+상장회사 필터: --listed-filter on|off --listed-cache <file> --listed-max-age 7 --refresh-listed
+분류 캐시: --classify-cache <file> --refresh-classify, 원문 분류 동시 실행 --concurrency 4
+출력: --out --changes --history 30 --status, 보정: --overrides <file>|off (예전 메타 --meta), 점검: --max-drop 0.5 --force
+아카이브: --archive <dir>|off, 상장 결과: --outcomes on|off --max-outcomes 30
+회귀 확인: --golden <ipo.json> (items 가 다르면 exit 1)
+${NET_OPTIONS}
+종료 코드: 0 성공, 1 점검에 걸려 이전 파일 유지 / golden 불일치, 3 실행 중 오류`,
+    run: runUpdate,
+  },
+  backfill: {
+    usage: "backfill --from YYYY-MM --to YYYY-MM [--mode all] [--archive docs/data/archive]",
+    summary: "지나간 달을 한 달씩 수집해서 아카이브에만 합침",
+    help: `ipo.json / changes.json / status.json 은 건드리지 않음. 유형/소스/캐시 옵션은 run 과 같음
+${NET_OPTIONS}
+종료 코드: 0 모든 달 성공, 1 실패한 달 있음, 2 --from/--to 누락`,
+    run: runBackfill,
+  },
+  classify: {
+    usage: "classify <rcpNo|DART 링크> [--explain] [--corp 회사명] [--json]",
+    summary: "신고서 하나를 분류 (정정이 있으면 최신 신고서). explain <rcpNo> = classify --explain",
+    help: `--explain  판정 근거(표지/본문 문구와 점수), 무시한 문구, 세부 유형, 공모 조건/일정, 신고서 흐름
+--corp     회사명 (스팩/리츠 같은 세부 유형을 이름으로도 판정)
+--json     resolveFiling 결과 그대로
+분류 캐시는 쓰지 않음 (항상 원문을 다시 받음)
+${NET_OPTIONS}
+종료 코드: 0 분류됨, 1 판정 보류(unknown), 2 rcpNo 누락`,
+    run: runClassify,
+  },
+  "fetch-month": {
+    usage: "fetch-month YYYY-MM [--calendar-fetch http|browser] [--items] [--json]",
+    summary: "청약 달력 한 달을 받아서 파싱한 이벤트 출력",
+    help: `--items  회사별로 합친 아이템도 출력 (run 의 1단계와 같은 병합)
+--json   fetch_info / 이벤트 전체를 JSON 으로
+${NET_OPTIONS}
+종료 코드: 0 성공, 1 그 달을 못 받음(다른 달이 옴 등), 2 달 누락`,
+    run: runFetchMonth,
+  },
+  validate: {
+    usage: "validate [file]",
+    summary: "ipo.json 을 스키마(docs/data/schema)로 검증 (기본: --out 또는 docs/data/ipo.json)",
+    help: "종료 코드: 0 통과, 1 스키마 오류, 2 파일을 못 읽음",
+    run: runValidate,
+  },
+  diff: {
+    usage: "diff <old.json> <new.json> [--json]",
+    summary: "두 ipo.json 의 추가/제거/일정 변경/재분류 (changes.json 과 같은 비교)",
+    help: "종료 코드: 0 차이 없음, 1 차이 있음, 2 파일을 못 읽음",
+    run: runDiff,
+  },
+};
+
+// 예전 이름 / 줄임
+const COMMAND_ALIASES = { update: "run", explain: "classify" };
+
+function commandOf(args) {
+  const name = args._[0];
+  return COMMAND_ALIASES[name] || name || "run";
+}
 
-  console.log("[OK] wrote:", outPath);
-  console.log("[OK] months:", months.map((x) => `${x.y}-${pad2(x.m)}`).join(", "));
-  console.log("[OK] mode:", mode);
-  console.log("[OK] total events:", allEvents.length);
-  console.log("[OK] ranged events:", rangedEvents.length);
-  console.log("[OK] merged items:", merged.length);
-  console.log("[OK] output items:", classified.length);
+// ---------------- main ----------------
+async function main(args) {
+  const name = commandOf(args);
+  if (name === "help") {
+    console.log(formatHelp(COMMANDS, COMMAND_ALIASES[args._[1]] || args._[1]));
+    return EXIT.OK;
+  }
+  const command = COMMANDS[name];
+  if (!command) throw usageError(`알 수 없는 명령: ${name}`);
+  if (args.help) {
+    console.log(formatHelp(COMMANDS, name));
+    return EXIT.OK;
+  }
+  if (args._[0] === "explain") args.explain = true;
+  return command.run(args);
 }
 
-main().catch((e) => {
+const cliArgs = parseArgs(process.argv);
+main(cliArgs).then((code) => {
+  process.exitCode = code ?? EXIT.OK;
+}).catch((e) => {
+  const name = commandOf(cliArgs);
+  if (e?.code === "USAGE") {
+    console.error(`[USAGE] ${e.message}\n`);
+    console.error(formatHelp(COMMANDS, COMMANDS[name] ? name : undefined));
+    process.exit(EXIT.USAGE);
+  }
   console.error("[FATAL]", e);
-  process.exit(1);
+  // status.json 은 ipo.json 을 쓰는 실행(run) 것만 (backfill 등의 실패로 덮지 않음)
+  if (name === "run") {
+    try {
+      writeStatus(statusPathOf(cliArgs), {
+        ok: false,
+        run_at: new Date().toISOString(),
+        error: redactText(e?.stack || e),
+      });
+    } catch {
+      // status 도 못 쓰면 exit code 만으로 충분
+    }
+  }
+  process.exit(EXIT.ERROR);
 });
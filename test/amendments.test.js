@@ -0,0 +1,60 @@
+/**
+ * amendments.js — 신고서 제목 → 종류, 관련 공시에서 정정 흐름 읽기
+ *  - [발행조건확정] 신고서는 확정공모가를 채운 정정이라 amendment (repriced 플래그로 이어짐)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { filingKind, extractFilingFamily, latestContentFiling, summarizeAmendments } from "../scripts/lib/amendments.js";
+
+const KINDS = [
+  ["증권신고서(지분증권)", "original"],
+  ["[기재정정]증권신고서(지분증권)", "amendment"],
+  ["[첨부정정]증권신고서(지분증권)", "amendment"],
+  ["[발행조건확정]증권신고서(지분증권)", "amendment"],
+  ["[기재정정][발행조건확정]증권신고서(지분증권)", "amendment"],
+  ["철회신고서", "withdrawal"],
+  ["", "original"],
+];
+
+for (const [title, kind] of KINDS) {
+  test(`filingKind '${title}' is ${kind}`, () => {
+    assert.equal(filingKind(title), kind);
+  });
+}
+
+const DSAF = `<html><head><title>에스에너지/증권신고서(지분증권)</title></head><body>
+<select id="family">
+  <option value="rcpNo=20260202000001">2026.02.02 증권신고서(지분증권)</option>
+  <option value="rcpNo=20260216000002">2026.02.16 [기재정정]증권신고서(지분증권)</option>
+  <option value="rcpNo=20260305000003">2026.03.05 [발행조건확정]증권신고서(지분증권)</option>
+  <option value="rcpNo=20260306000004">2026.03.06 투자설명서</option>
+</select></body></html>`;
+
+test("extractFilingFamily puts the 발행조건확정 filing in the chain as an amendment", () => {
+  const { chain, related } = extractFilingFamily(DSAF, "20260202000001");
+  assert.deepEqual(chain.map((f) => [f.date, f.kind]), [
+    ["2026-02-02", "original"],
+    ["2026-02-16", "amendment"],
+    ["2026-03-05", "amendment"],
+  ]);
+  assert.deepEqual(related.map((f) => f.title), ["투자설명서"]);
+  assert.equal(latestContentFiling(chain).rcpNo, "20260305000003");
+});
+
+test("a final price set by 발행조건확정 is reported as a repricing", () => {
+  const { chain } = extractFilingFamily(DSAF, "20260202000001");
+  const band = { low: 10000, high: 12000 };
+  const details = new Map([
+    ["20260202000001", { terms: { price_band: band, final_price: null } }],
+    ["20260305000003", { terms: { price_band: band, final_price: 12000 } }],
+  ]);
+  const { amendments, flags, withdrawn } = summarizeAmendments(chain, details);
+  assert.deepEqual(amendments.map((a) => [a.kind, a.changes.length]), [["original", 0], ["amendment", 0], ["amendment", 0]]);
+  assert.deepEqual(flags, []);
+  assert.equal(withdrawn, false);
+
+  details.set("20260216000002", { terms: { price_band: band, final_price: 11000 } });
+  assert.deepEqual(summarizeAmendments(chain, details).amendments[2].changes, [{ field: "terms.final_price", before: 11000, after: 12000 }]);
+  assert.deepEqual(summarizeAmendments(chain, details).flags, ["repriced"]);
+});
@@ -0,0 +1,107 @@
+/**
+ * archive.js — 월별 아카이브 합치기
+ *  - 같은 공모: 시장+회사명이 같고 청약일이 14일 안 / 정정으로 시작월이 바뀌면 달 파일을 옮김
+ *  - 실행 범위 경계에서 잘린 하루짜리 조각은 기존 청약기간을 줄이지 않음
+ */
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { mergeIntoArchive, loadArchive, updateArchive } from "../scripts/lib/archive.js";
+
+const MARCH = { start: "2026-03-01", end: "2026-03-31" };
+const T1 = "2026-03-01T00:00:00.000Z";
+const T2 = "2026-03-02T00:00:00.000Z";
+const offering = (corp_name, sbd_start, sbd_end = sbd_start, extra = {}) =>
+  ({ corp_name, market_short: "코", market: "KOSDAQ", sbd_start, sbd_end, offer_type: "ipo", ...extra });
+
+let dir;
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), "ipo-archive-")); });
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const merge = (items, runAt = T2, range = MARCH) => mergeIntoArchive(items, { dir, runAt, range });
+const monthItems = (m) => loadArchive(dir).get(m) || [];
+const readJson = (f) => JSON.parse(fs.readFileSync(path.join(dir, f), "utf-8"));
+
+test("new offerings go to the month their subscription starts, with an index", () => {
+  const r = merge([offering("에스에너지", "2026-03-09", "2026-03-10"), offering("전월바이오", "2026-02-27", "2026-03-02")], T1);
+  assert.deepEqual(r, { added: 2, updated: 0, months: ["2026-02", "2026-03"] });
+  assert.equal(monthItems("2026-03")[0].first_seen_at, T1);
+  assert.deepEqual(readJson("index.json").months, [
+    { month: "2026-02", count: 1, file: "2026-02.json" },
+    { month: "2026-03", count: 1, file: "2026-03.json" },
+  ]);
+});
+
+test("the same offering rescheduled within 14 days is updated in place, first_seen_at kept", () => {
+  merge([offering("에스에너지", "2026-03-09", "2026-03-10", { outcome: { complete: false } })], T1);
+  const r = merge([offering("에스에너지", "2026-03-19", "2026-03-20")]);
+  assert.deepEqual(r, { added: 0, updated: 1, months: ["2026-03"] });
+  const [it] = monthItems("2026-03");
+  assert.deepEqual([it.sbd_start, it.sbd_end, it.first_seen_at], ["2026-03-19", "2026-03-20", T1]);
+  assert.deepEqual(it.outcome, { complete: false }); // 새 결과에 없는 필드는 유지
+});
+
+test("14 days is the limit: a later offering by the same company is a separate entry", () => {
+  merge([offering("에스에너지", "2026-03-01")], T1);
+  assert.equal(merge([offering("에스에너지", "2026-03-15")]).updated, 1);
+  assert.equal(merge([offering("에스에너지", "2026-03-30")]).added, 1);
+  assert.deepEqual(monthItems("2026-03").map((it) => it.sbd_start), ["2026-03-15", "2026-03-30"]);
+});
+
+test("a different market is a different offering", () => {
+  merge([offering("에스에너지", "2026-03-09")], T1);
+  assert.equal(merge([{ ...offering("에스에너지", "2026-03-09"), market_short: "유", market: "KOSPI" }]).added, 1);
+});
+
+test("a reschedule into another month moves the entry to that month's file", () => {
+  merge([offering("넥스트팜", "2026-03-31", "2026-04-01")], T1);
+  const r = merge([offering("넥스트팜", "2026-04-06", "2026-04-07")], T2, { start: "2026-03-01", end: "2026-04-30" });
+  assert.deepEqual(r, { added: 0, updated: 1, months: ["2026-03", "2026-04"] });
+  assert.deepEqual(monthItems("2026-03"), []);
+  assert.equal(monthItems("2026-04")[0].first_seen_at, T1);
+});
+
+test("a one-day fragment near the range edge widens instead of overwriting", () => {
+  merge([offering("넥스트팜", "2026-03-30", "2026-04-01")], T1, { start: "2026-03-01", end: "2026-04-30" });
+  // 다음 실행은 3월까지만 봐서 [시작] 만 보임 → 30일 하루짜리
+  merge([offering("넥스트팜", "2026-03-30")]);
+  const [it] = monthItems("2026-03");
+  assert.deepEqual([it.sbd_start, it.sbd_end], ["2026-03-30", "2026-04-01"]);
+
+  // 범위 시작 쪽 조각도 같음
+  merge([offering("전월바이오", "2026-02-27", "2026-03-02")], T1, { start: "2026-02-01", end: "2026-03-31" });
+  merge([offering("전월바이오", "2026-03-02")]);
+  const jw = monthItems("2026-02").find((x) => x.corp_name === "전월바이오");
+  assert.deepEqual([jw.sbd_start, jw.sbd_end], ["2026-02-27", "2026-03-02"]);
+});
+
+test("a one-day entry in the middle of the range overwrites (real schedule change)", () => {
+  merge([offering("에스에너지", "2026-03-09", "2026-03-10")], T1);
+  merge([offering("에스에너지", "2026-03-16")]);
+  const [it] = monthItems("2026-03");
+  assert.deepEqual([it.sbd_start, it.sbd_end], ["2026-03-16", "2026-03-16"]);
+});
+
+test("unchanged months are not rewritten", () => {
+  merge([offering("에스에너지", "2026-03-09", "2026-03-10")], T1);
+  const r = merge([offering("에스에너지", "2026-03-09", "2026-03-10")]);
+  assert.deepEqual(r.months, []);
+  assert.equal(readJson("2026-03.json").updated_at, T1);
+});
+
+test("items without dates are skipped", () => {
+  assert.deepEqual(merge([offering("미정", null, null)]), { added: 0, updated: 0, months: [] });
+});
+
+test("updateArchive rewrites only the months the callback changed", async () => {
+  merge([offering("전월바이오", "2026-02-27", "2026-03-02"), offering("에스에너지", "2026-03-09", "2026-03-10")], T1);
+  const months = await updateArchive(dir, T2, (archive) => {
+    archive.get("2026-03")[0].outcome = { complete: true };
+  });
+  assert.deepEqual(months, ["2026-03"]);
+  assert.equal(readJson("2026-02.json").updated_at, T1);
+  assert.equal(readJson("2026-03.json").updated_at, T2);
+});
@@ -0,0 +1,165 @@
+/**
+ * classifier.js 점수 규칙 — 규칙마다 가중치, 표지 ×3, 본문 최대 3회, negative 문맥, 세부 유형
+ *  - 규칙 표는 여기 따로 적어 둠: 가중치가 바뀌면 golden 재생성 전에 여기서 먼저 걸리게
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scoreFilingText } from "../scripts/lib/classifier.js";
+
+// 표지(제목 + 앞 2000자) 밖으로 밀어내는 채움 글
+const FILLER = "본 문서는 투자 판단에 참고가 되는 사항을 적은 것으로 ".repeat(100);
+const inBody = (s) => `${FILLER}${s} ${FILLER}`;
+const evidenceOf = (r, term) => [...r.evidence, ...r.ignored].filter((e) => e.term === term);
+
+// [family, term, 가중치, 그 용어 하나로 얻는 점수 (다른 규칙 용어를 품고 있으면 합)]
+const RULES = [
+  ["rights", "주주배정", 5],
+  ["rights", "주주우선공모", 5],
+  ["rights", "일반공모(유상증자)", 5, 5 + 2],
+  ["rights", "실권주", 3],
+  ["rights", "구주주", 3],
+  ["rights", "신주배정기준일", 3],
+  ["rights", "유상증자", 2],
+  ["rights", "제3자배정", 1],
+  ["rights", "제3자 배정", 1],
+  ["rights", "신주인수권", 1],
+  ["ipo", "신규상장", 5],
+  ["ipo", "상장예정", 4],
+  ["ipo", "상장 예정", 4],
+  ["ipo", "상장예비심사", 4],
+  ["ipo", "상장심사", 3],
+  ["ipo", "예비상장", 3],
+  ["ipo", "코스닥시장 상장", 3],
+  ["ipo", "유가증권시장 상장", 3],
+  ["ipo", "기관투자자 수요예측", 3, 3 + 2],
+  ["ipo", "수요예측", 2],
+  ["ipo", "희망공모가액", 3, 3 + 1],
+  ["ipo", "공모가", 1],
+  ["ipo", "대표주관회사", 1],
+  ["ipo", "기업인수목적회사", 4],
+];
+
+for (const [family, term, weight, score = weight] of RULES) {
+  test(`rule '${term}': ${weight} in body, ×3 on cover`, () => {
+    const other = family === "ipo" ? "rights" : "ipo";
+
+    const body = scoreFilingText({ text: inBody(term) });
+    assert.equal(body.scores[family], score);
+    assert.equal(body.scores[other], 0);
+    assert.deepEqual(evidenceOf(body, term).map((e) => [e.zone, e.points]), [["body", weight]]);
+
+    const cover = scoreFilingText({ title: `증권신고서 ${term}`, text: FILLER });
+    assert.equal(cover.scores[family], score * 3);
+    assert.deepEqual(evidenceOf(cover, term).map((e) => [e.zone, e.points]), [["cover", weight * 3]]);
+  });
+}
+
+test("body hits count at most three times per rule, cover hits always count", () => {
+  const body = scoreFilingText({ text: inBody(Array(5).fill("신규상장").join(" 및 ")) });
+  assert.equal(body.scores.ipo, 5 * 3);
+
+  const cover = scoreFilingText({ title: Array(5).fill("신규상장").join(" "), text: FILLER });
+  assert.equal(cover.scores.ipo, 5 * 3 * 5);
+});
+
+// ---------------- negative 문맥 ----------------
+const HISTORY_RULES = ["주주배정", "주주우선공모", "실권주", "구주주", "유상증자", "제3자배정", "제3자 배정", "신주인수권"];
+const HISTORY_CONTEXTS = ["과거", "최근 3 년", "자본금 변동", "증자(감자) 현황", "연혁", "발행 이력"];
+
+for (const term of HISTORY_RULES) {
+  test(`'${term}' in a capital-history context is ignored`, () => {
+    const r = scoreFilingText({ text: inBody(`자본금 변동 내역: 2019년 ${term} 실시`) });
+    assert.equal(r.scores.rights, 0);
+    assert.deepEqual(r.ignored.filter((e) => e.term === term).map((e) => e.zone), ["body"]);
+  });
+}
+
+for (const ctx of HISTORY_CONTEXTS) {
+  test(`history context '${ctx}' suppresses rights terms`, () => {
+    const r = scoreFilingText({ text: inBody(`${ctx} 유상증자 내역`) });
+    assert.equal(r.scores.rights, 0);
+    assert.equal(r.ignored.length, 1);
+  });
+}
+
+const WARRANT_CONTEXTS = [
+  ["신주인수권부사채", "당사는 신주인수권부사채를 발행한 바 있습니다"],
+  ["신주인수권 부 사채", "신주인수권 부 사채 잔액"],
+  ["신주인수권증서", "신주인수권증서 매매"],
+  ["신주인수권 행사", "신주인수권 행사 시"],
+  ["주식매수선택권", "주식매수선택권 및 신주인수권 잔량"],
+  ["희석", "신주인수권으로 인한 지분 희석"],
+  ["위험", "신주인수권 관련 위험"],
+];
+
+for (const [why, text] of WARRANT_CONTEXTS) {
+  test(`'신주인수권' next to '${why}' is ignored`, () => {
+    const r = scoreFilingText({ text: inBody(text) });
+    assert.equal(r.scores.rights, 0);
+    assert.deepEqual(r.ignored.map((e) => e.term), ["신주인수권"]);
+  });
+}
+
+test("terms without a negative list still count in a history context", () => {
+  const r = scoreFilingText({ text: inBody("과거 신주배정기준일") });
+  assert.equal(r.scores.rights, 3);
+});
+
+// ---------------- 판정 ----------------
+test("an IPO filing with rights terms only in its risk/history sections stays ipo", () => {
+  const r = scoreFilingText({
+    title: "증권신고서(지분증권)",
+    text: `코스닥시장 상장 예정 희망공모가액 기관투자자 수요예측 ${FILLER} 최근 3년간 제3자배정 유상증자 신주인수권 희석 위험`,
+  });
+  assert.equal(r.type, "ipo");
+  assert.equal(r.scores.rights, 0);
+  assert.match(r.reason, /무시: /);
+});
+
+test("low or split scores are unknown", () => {
+  assert.equal(scoreFilingText({ text: inBody("공모가") }).family, "unknown"); // 1점 < MIN_SCORE
+  const split = scoreFilingText({ text: inBody("신규상장 주주배정") }); // 5 : 5
+  assert.equal(split.family, "unknown");
+  assert.equal(split.confidence, 0.5);
+});
+
+// ---------------- 세부 유형 ----------------
+const IPO_COVER = "증권신고서(지분증권) 신규상장 상장예정";
+
+const SUBTYPES = [
+  ["spac", "name", { corpName: "하나31호스팩" }],
+  ["spac", "cover", { title: `${IPO_COVER} 기업인수목적회사` }],
+  ["reit", "name", { corpName: "이지스밸류리츠" }],
+  ["reit", "name", { corpName: "KB REIT" }],
+  ["reit", "cover", { title: `${IPO_COVER} 부동산투자회사` }],
+  ["infra", "name", { corpName: "맥쿼리인프라" }],
+  ["infra", "cover", { title: `${IPO_COVER} 사회기반시설 투융자회사` }],
+  ["relisting", "cover", { title: `${IPO_COVER} 재상장` }],
+  ["transfer", "cover", { title: `${IPO_COVER} 코스닥시장 이전 상장` }],
+  ["konex", "cover", { title: `${IPO_COVER} 코넥스시장 신규상장` }],
+  ["other", "cover", { title: `${IPO_COVER} 선박투자회사` }],
+  ["other", "cover", { title: `${IPO_COVER} 주식예탁증권` }],
+  ["ipo", "default", { corpName: "에스에너지" }],
+];
+
+for (const [type, source, doc] of SUBTYPES) {
+  test(`subtype ${type} from ${source}${doc.corpName ? ` (${doc.corpName})` : ""}`, () => {
+    const r = scoreFilingText({ title: IPO_COVER, text: FILLER, ...doc });
+    assert.equal(r.family, "ipo");
+    assert.equal(r.type, type);
+    assert.equal(r.subtype.source, source);
+  });
+}
+
+test("subtype terms outside the cover are not used", () => {
+  const r = scoreFilingText({ title: IPO_COVER, text: inBody("재상장 코넥스시장 상장 부동산투자회사") });
+  assert.equal(r.type, "ipo");
+  assert.equal(r.subtype.source, "default");
+});
+
+test("rights filings get no subtype even with a SPAC-like name", () => {
+  const r = scoreFilingText({ title: "증권신고서 주주배정 유상증자", text: FILLER, corpName: "하나31호스팩" });
+  assert.equal(r.type, "rights");
+  assert.equal(r.subtype, null);
+});
@@ -0,0 +1,85 @@
+/**
+ * update-ipo.js 서브커맨드 종료 코드 (cli.js EXIT) + 인자 파싱
+ *  - 0 성공 · 1 점검 실패/차이 있음 · 2 사용법 오류 (3 은 네트워크 예외라 여기서는 안 봄)
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { EXIT, parseArgs, parseOnOff, numArg } from "../scripts/lib/cli.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const GOLDEN = path.join(ROOT, "test/fixtures/2026-03/ipo.json");
+
+function runCli(...args) {
+  return spawnSync(process.execPath, [path.join(ROOT, "scripts/update-ipo.js"), ...args], { cwd: ROOT, encoding: "utf-8", timeout: 60000 });
+}
+
+let tmp;
+let broken;
+let changed;
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "ipo-cli-"));
+  const golden = JSON.parse(fs.readFileSync(GOLDEN, "utf-8"));
+  broken = path.join(tmp, "broken.json");
+  fs.writeFileSync(broken, JSON.stringify({ ...golden, schema_version: 2, items: [{ corp_name: 1 }] }));
+  changed = path.join(tmp, "changed.json");
+  fs.writeFileSync(changed, JSON.stringify({ ...golden, items: golden.items.slice(1) }));
+});
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test("validate: 0 for a valid file, 1 for schema errors, 2 for an unreadable file", () => {
+  const ok = runCli("validate", GOLDEN);
+  assert.equal(ok.status, EXIT.OK, ok.stderr);
+  assert.match(ok.stdout, /\[OK\] valid/);
+
+  const bad = runCli("validate", broken);
+  assert.equal(bad.status, EXIT.FAILED);
+  assert.match(bad.stderr, /\[SCHEMA\]/);
+
+  const missing = runCli("validate", path.join(tmp, "nope.json"));
+  assert.equal(missing.status, EXIT.USAGE);
+  assert.match(missing.stderr, /\[USAGE\] 읽을 수 없는 JSON/);
+});
+
+test("diff: 0 without changes, 1 with changes, 2 with a missing argument", () => {
+  assert.equal(runCli("diff", GOLDEN, GOLDEN).status, EXIT.OK);
+  const d = runCli("diff", GOLDEN, changed);
+  assert.equal(d.status, EXIT.FAILED);
+  assert.match(d.stdout, /^- 전월바이오/m);
+  assert.equal(runCli("diff", GOLDEN).status, EXIT.USAGE);
+});
+
+test("an unknown command exits 2 with the command list", () => {
+  const r = runCli("frobnicate");
+  assert.equal(r.status, EXIT.USAGE);
+  assert.match(r.stderr, /알 수 없는 명령: frobnicate/);
+  assert.match(r.stderr, /명령:/);
+});
+
+test("help and --help exit 0", () => {
+  assert.equal(runCli("help").status, EXIT.OK);
+  const r = runCli("validate", "--help");
+  assert.equal(r.status, EXIT.OK);
+  assert.match(r.stdout, /사용법: node scripts\/update-ipo\.js validate/);
+});
+
+test("parseArgs splits options from positional arguments", () => {
+  assert.deepEqual(parseArgs(["node", "x", "diff", "a.json", "b.json", "--json", "--retries", "0", "-h"]),
+    { _: ["diff", "a.json", "b.json"], json: true, retries: "0", help: true });
+  assert.deepEqual(parseArgs(["node", "x", "--force", "--mode", "all"]), { _: [], force: true, mode: "all" });
+});
+
+test("parseOnOff / numArg", () => {
+  assert.equal(parseOnOff(undefined, true), true);
+  assert.equal(parseOnOff(true, false), true);
+  for (const v of ["off", "false", "No", "0"]) assert.equal(parseOnOff(v, true), false);
+  assert.equal(parseOnOff("on", false), true);
+  assert.equal(numArg("3"), 3);
+  assert.equal(numArg("0"), 0);
+  for (const v of [undefined, true, "-1", "abc"]) assert.equal(numArg(v), undefined);
+});
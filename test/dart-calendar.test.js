@@ -0,0 +1,116 @@
+/**
+ * 캘린더 링크 한 칸의 시장/회사명 읽기 (parseEventAnchor 경로별) + 못 읽은 링크가 실행을 막는지
+ *  - 형식마다 달력 한 달을 만들어 parseCalendarMonth 로 읽음
+ *  - 한 달 전체가 못 읽히면 calendar 단계 failed, 가드 unparsed_month 로 ipo.json 을 안 덮어씀
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseCalendarMonth } from "../scripts/lib/dart-calendar.js";
+import { createTransport } from "../scripts/lib/transport.js";
+import { createHttpClient } from "../scripts/lib/http-client.js";
+import { openClassifyCache } from "../scripts/lib/classify-cache.js";
+import { FILING_CACHE_VERSION } from "../scripts/lib/filings.js";
+import { runPipeline } from "../scripts/lib/pipeline.js";
+import { checkRunGuards } from "../scripts/lib/guards.js";
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures/2026-03");
+
+// 2026년 3월 (일요일 시작, 3/1 이 일요일) — 3월 2일 칸에 링크들
+function marchHtml(anchors) {
+  let rows = "";
+  for (let w = 0; w < 5; w++) {
+    rows += "<tr>";
+    for (let d = w * 7 + 1; d <= w * 7 + 7; d++) {
+      const day = d <= 31 ? d : d - 31;
+      rows += `<td${d > 31 ? ' class="other"' : ""}><span class="day">${day}</span>${d === 2 ? anchors.join("<br/>") : ""}</td>`;
+    }
+    rows += "</tr>";
+  }
+  return `<html><body><table class="tb_calendar"><tr><th>일</th><th>월</th><th>화</th><th>수</th><th>목</th><th>금</th><th>토</th></tr>${rows}</table></body></html>`;
+}
+
+const HREF = "/dsaf001/main.do?rcpNo=20260201000002";
+
+const CASES = [
+  { form: "icon", html: `<a href="${HREF}"><img src="/images/ico_kosdaq.gif" alt="코스닥" />에스에너지 [시작]</a>`, market: "코", via: "icon" },
+  { form: "icon before link", html: `<img src="/images/ico_kospi.gif" alt="유가증권" /><a href="${HREF}">진양홀딩스 [시작]</a>`, market: "유", via: "icon" },
+  { form: "tag text", html: `<a href="${HREF}"><span>넥</span>넥스트팜 [시작]</a>`, market: "넥", via: "tag" },
+  { form: "tag class", html: `<a href="${HREF}"><em class="mk_etc">기타</em>카나프테라퓨틱스 [시작]</a>`, market: "기", via: "tag" },
+  { form: "spaced", html: `<a href="${HREF}">코 에스에너지 [시작]</a>`, market: "코", via: "text" },
+  { form: "title", html: `<a href="${HREF}" title="유진양홀딩스">유유진양홀딩스 [시작]</a>`, market: "유", name: "유진양홀딩스", via: "title" },
+  { form: "run-together", html: `<a href="${HREF}">코에스에너지 [시작]</a>`, market: "코", name: "에스에너지", via: "prefix" },
+];
+
+for (const c of CASES) {
+  test(`calendar anchor: ${c.form}`, () => {
+    const pm = parseCalendarMonth(marchHtml([c.html]), 2026, 3);
+    assert.equal(pm.ok, true);
+    assert.deepEqual(pm.unparsed, []);
+    assert.equal(pm.events.length, 1);
+    const [e] = pm.events;
+    assert.equal(e.date, "2026-03-02");
+    assert.equal(e.market_short, c.market);
+    if (c.name) assert.equal(e.corp_name, c.name);
+    assert.equal(e.mark, "시작");
+    assert.equal(e.rcpNo, "20260201000002");
+    assert.deepEqual(pm.market_via, { [c.via]: 1 });
+  });
+}
+
+test("calendar anchor without any market marker is unparsed", () => {
+  const pm = parseCalendarMonth(marchHtml([
+    `<a href="${HREF}">에스에너지 [시작]</a>`,
+    `<a href="${HREF}" title="에스에너지">에스에너지 [종료]</a>`,
+    `<a href="${HREF}">코 [시작]</a>`,
+  ]), 2026, 3);
+  assert.equal(pm.ok, true);
+  assert.equal(pm.anchors_matched, 0);
+  assert.deepEqual(pm.unparsed, ["에스에너지 [시작]", "에스에너지 [종료]", "코 [시작]"]);
+});
+
+// 3월 달력만 (또는 전부) 시장 표시 없는 페이지로 바꿔 재생
+function runWithUnreadable(months) {
+  const replay = createTransport({ mode: "replay", dir: FIXTURE });
+  const unreadable = marchHtml([`<a href="${HREF}">에스에너지 [시작]</a>`]);
+  const transport = {
+    ...replay,
+    async fetch(url, init = {}) {
+      const m = String(init.body || "").match(/selectMonth=(\d\d)/);
+      if (m && months.includes(Number(m[1]))) {
+        return new Response(unreadable.replace('<table', `<select name="selectYear"><option value="2026" selected>2026</option></select><select name="selectMonth"><option value="${m[1]}" selected>${Number(m[1])}</option></select><table`), {
+          status: 200, headers: { "content-type": "text/html; charset=UTF-8" },
+        });
+      }
+      return replay.fetch(url, init);
+    },
+  };
+  return runPipeline({
+    http: createHttpClient(transport, { retries: 0, minIntervalMs: 0 }),
+    classifyCache: openClassifyCache({ disabled: true, classifierVersion: FILING_CACHE_VERSION }),
+    start: "2026-03-01",
+    end: "2026-03-31",
+    windowMarginDays: 10,
+    mode: "all",
+  });
+}
+
+test("a month with only unparsed anchors degrades the calendar stage and trips unparsed_month", async () => {
+  const { payload, stats } = await runWithUnreadable([3]);
+  const stage = stats.stages.find((s) => s.name === "calendar");
+  assert.equal(stage.status, "degraded");
+  assert.equal(stage.counts.unparsed, 1);
+  assert.deepEqual(stats.month_status.find((ms) => ms.month === "2026-03"), {
+    month: "2026-03", ok: true, events: 0, anchors_matched: 0, unparsed: 1,
+  });
+  assert.deepEqual(checkRunGuards(payload, null, stats).map((g) => g.code), ["unparsed_month"]);
+});
+
+test("every anchor unparsed fails the calendar stage", async () => {
+  const { payload, stats } = await runWithUnreadable([2, 3, 4]);
+  assert.equal(stats.stages.find((s) => s.name === "calendar").status, "failed");
+  assert.equal(payload.count, 0);
+  assert.ok(checkRunGuards(payload, null, stats).some((g) => g.code === "unparsed_month"));
+});
@@ -0,0 +1,174 @@
+/**
+ * test/fixtures/2026-03 녹화본 만들기 (replay 용 합성 응답)
+ *  - 실제 DART 를 녹화하는 대신 캘린더/dsaf001/viewer.do 응답을 transport 의 녹화 형식 그대로 만든다
+ *    (테스트가 네트워크 없이 돌아야 하고, 실제 공시는 시간이 지나면 바뀌므로)
+ *  - 범위 2026-03-01 ~ 03-31, 여유 10일 → 2월/3월/4월 달력
+ *
+ * 담긴 경우: 달을 넘는 청약(2월→3월, 3월→4월), 정정신고서(가격 변경), 유상증자, 스팩, 코넥스,
+ *           범위 밖 공모, 캘린더에는 없고 OpenDART 에만 있는 공모(opendart-stub.test.js 용)
+ * 시장 표시는 달마다 다른 형식 (parseEventAnchor 의 경로마다 하나씩):
+ *   2월 태그 요소 <span>코</span>, 3월 아이콘 <img alt>, 4월 글자만 — 띄어쓰기 / title 과 맞춤 / 붙여 쓰기
+ *
+ * 다시 만들기:
+ *   node test/fixtures/make-2026-03.js
+ *   node scripts/update-ipo.js run --replay test/fixtures/2026-03 --mode all --out test/fixtures/2026-03/ipo.json \
+ *     --changes /tmp/changes.json --status /tmp/status.json
+ * (ipo.json 이 golden — golden-replay.test.js 가 이 녹화본을 재생해서 items 를 비교)
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { requestKey } from "../../scripts/lib/transport.js";
+
+const DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "2026-03");
+const CAL_URL = "https://dart.fss.or.kr/dsac008/main.do";
+const DSAF_URL = "https://dart.fss.or.kr/dsaf001/main.do";
+const VIEWER_URL = "https://dart.fss.or.kr/report/viewer.do";
+const DCM_NO = "9000001";
+
+const entries = {};
+
+function add(method, url, body, html) {
+  const key = requestKey(url, { method, body });
+  const file = `${key}.bin`;
+  fs.writeFileSync(path.join(DIR, file), Buffer.from(html, "utf-8"));
+  entries[key] = { method, url, body, status: 200, headers: [["content-type", "text/html; charset=UTF-8"]], file };
+}
+
+// ---------------- 공모 ----------------
+const ipoText = ({ market, band, finalPrice, shares, lead, sbd, refund, listing }) =>
+  `증권신고서(지분증권) ${market}시장 상장 예정 희망공모가액 ${band} 기관투자자 수요예측 공모주식수 ${shares}주 ` +
+  `${finalPrice ? `확정공모가액 : ${finalPrice} ` : ""}대표주관회사 ${lead} 최소청약단위 10주 이상 청약증거금률 50% ` +
+  `청약기일 ${sbd} 환불일 ${refund} 납입기일 ${refund} 상장예정일 ${listing}`;
+
+const rightsText = ({ sbd, listing }) =>
+  `증권신고서(지분증권) 주주배정후 실권주 일반공모 유상증자 신주배정기준일 2026년 02월 10일 구주주 청약일 ${sbd} ` +
+  `신주 상장예정일 ${listing} 대표주관회사 미래에셋증권 발행가액 5,000원`;
+
+/** filings: 같은 공모의 신고서 흐름 (시간순), 캘린더 링크는 첫 번째 rcpNo */
+const OFFERINGS = [
+  {
+    market_short: "코", corp_name: "전월바이오", start: "2026-02-27", end: "2026-03-02",
+    filings: [{ rcpNo: "20260210000001", title: "증권신고서(지분증권)", text: ipoText({
+      market: "코스닥", band: "8,000원 ~ 9,000원", shares: "2,000,000", lead: "NH투자증권㈜",
+      sbd: "2026년 02월 27일 ~ 2026년 03월 02일", refund: "2026.03.04", listing: "2026년 03월 11일" }) }],
+  },
+  {
+    market_short: "코", corp_name: "에스에너지", start: "2026-03-09", end: "2026-03-10",
+    filings: [
+      { rcpNo: "20260201000002", title: "증권신고서(지분증권)", text: ipoText({
+        market: "코스닥", band: "15,000원 ~ 17,000원", shares: "1,200,000", lead: "한국투자증권㈜",
+        sbd: "2026년 03월 09일 ~ 2026년 03월 10일", refund: "2026.03.12", listing: "2026년 03월 20일" }) },
+      { rcpNo: "20260303000012", title: "[기재정정]증권신고서(지분증권)", text: ipoText({
+        market: "코스닥", band: "14,000원 ~ 16,000원", finalPrice: "16,000원", shares: "1,200,000", lead: "한국투자증권㈜",
+        sbd: "2026년 03월 09일 ~ 2026년 03월 10일", refund: "2026.03.12", listing: "2026년 03월 20일" }) },
+    ],
+  },
+  {
+    market_short: "유", corp_name: "진양홀딩스", start: "2026-03-16", end: "2026-03-17",
+    filings: [{ rcpNo: "20260201000003", title: "증권신고서(지분증권)", text: rightsText({
+      sbd: "2026년 03월 16일 ~ 03월 17일", listing: "2026년 03월 30일" }) }],
+  },
+  {
+    market_short: "코", corp_name: "하나31호스팩", start: "2026-03-23", end: "2026-03-24",
+    filings: [{ rcpNo: "20260215000005", title: "증권신고서(지분증권)", text: ipoText({
+      market: "코스닥", band: "2,000원 ~ 2,000원", shares: "5,000,000", lead: "하나증권㈜",
+      sbd: "2026년 03월 23일 ~ 2026년 03월 24일", refund: "2026.03.26", listing: "2026년 04월 02일" }) + " 기업인수목적회사" }],
+  },
+  {
+    market_short: "넥", corp_name: "넥스트팜", start: "2026-03-31", end: "2026-04-01",
+    filings: [{ rcpNo: "20260216000006", title: "증권신고서(지분증권)", text: ipoText({
+      market: "코넥스", band: "3,000원 ~ 3,500원", shares: "300,000", lead: "IBK투자증권㈜",
+      sbd: "2026년 03월 31일 ~ 2026년 04월 01일", refund: "2026.04.03", listing: "2026년 04월 10일" }) }],
+  },
+  // 범위 밖 (4월 달력에만 있음, 분류까지 가지 않으므로 원문 없음)
+  { market_short: "코", corp_name: "사월로보틱스", start: "2026-04-13", end: "2026-04-14", filings: [{ rcpNo: "20260301000007" }] },
+  // 캘린더에 없음 (OpenDART 에만)
+  {
+    market_short: "코", corp_name: "오픈디에이", start: null, end: null,
+    filings: [{ rcpNo: "20260205000004", title: "증권신고서(지분증권)", text: ipoText({
+      market: "코스닥", band: "10,000원 ~ 12,000원", shares: "800,000", lead: "KB증권㈜",
+      sbd: "2026년 03월 19일 ~ 2026년 03월 20일", refund: "2026.03.24", listing: "2026년 03월 31일" }) }],
+  },
+];
+
+// ---------------- 달력 (일요일 시작, 앞뒤 달 날짜 칸 포함) ----------------
+const MARKET_ICONS = { 유: ["kospi", "유가증권"], 코: ["kosdaq", "코스닥"], 넥: ["konex", "코넥스"], 기: ["etc", "기타"] };
+
+function calendarHtml(y, m) {
+  const ym = `${y}-${String(m).padStart(2, "0")}`;
+  const first = new Date(Date.UTC(y, m - 1, 1)).getUTCDay();
+  const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const prevLast = new Date(Date.UTC(y, m - 1, 0)).getUTCDate();
+  const prevYm = new Date(Date.UTC(y, m - 2, 1)).toISOString().slice(0, 7);
+  const nextYm = new Date(Date.UTC(y, m, 1)).toISOString().slice(0, 7);
+
+  const cells = [];
+  for (let i = first - 1; i >= 0; i--) cells.push(`${prevYm}-${String(prevLast - i).padStart(2, "0")}`);
+  for (let d = 1; d <= last; d++) cells.push(`${ym}-${String(d).padStart(2, "0")}`);
+  for (let d = 1; cells.length % 7; d++) cells.push(`${nextYm}-${String(d).padStart(2, "0")}`);
+
+  const anchor = (o, mark) => {
+    const href = `/dsaf001/main.do?rcpNo=${o.filings[0].rcpNo}`;
+    const [icon, label] = MARKET_ICONS[o.market_short];
+    if (m === 2) return `<a href="${href}"><span class="tag_${icon}">${o.market_short}</span>${o.corp_name} [${mark}]</a>`;
+    if (m === 3) return `<a href="${href}" title="${o.corp_name}"><img src="/images/ico_${icon}.gif" alt="${label}" />${o.corp_name} [${mark}]</a>`;
+    // 4월: 넥스트팜은 붙여 쓰기만, 사월로보틱스는 시작이 title, 종료가 띄어쓰기
+    if (o.corp_name === "넥스트팜") return `<a href="${href}">${o.market_short}${o.corp_name} [${mark}]</a>`;
+    if (mark === "시작") return `<a href="${href}" title="${o.corp_name}">${o.market_short}${o.corp_name} [${mark}]</a>`;
+    return `<a href="${href}">${o.market_short} ${o.corp_name} [${mark}]</a>`;
+  };
+  const eventsOn = (date) => OFFERINGS.filter((o) => o.start).flatMap((o) => [
+    ...(o.start === date ? [anchor(o, "시작")] : []),
+    ...(o.end === date ? [anchor(o, "종료")] : []),
+  ]);
+
+  let rows = "";
+  for (let i = 0; i < cells.length; i += 7) {
+    rows += `<tr>${cells.slice(i, i + 7).map((date) => {
+      const other = date.slice(0, 7) !== ym ? ' class="other"' : "";
+      return `<td${other}><span class="day">${Number(date.slice(8))}</span>${eventsOn(date).join("<br/>")}</td>`;
+    }).join("")}</tr>\n`;
+  }
+  return `<html><head><meta charset="utf-8"><title>청약 달력</title></head><body>
+<form name="searchForm" action="/dsac008/main.do" method="post">
+<select name="selectYear"><option value="${y}" selected>${y}</option></select>
+<select name="selectMonth"><option value="${String(m).padStart(2, "0")}" selected>${m}</option></select>
+<input type="submit" value="검색" />
+</form>
+<table class="tb_calendar"><tr><th>일</th><th>월</th><th>화</th><th>수</th><th>목</th><th>금</th><th>토</th></tr>
+${rows}</table></body></html>`;
+}
+
+// ---------------- 원문 ----------------
+function dsafHtml(o, f) {
+  const options = o.filings.map((x) => `<option value="rcpNo=${x.rcpNo}"${x.rcpNo === f.rcpNo ? " selected" : ""}>${x.rcpNo.slice(0, 4)}.${x.rcpNo.slice(4, 6)}.${x.rcpNo.slice(6, 8)} ${x.title}</option>`).join("");
+  return `<html><head><title>${f.title}</title></head><body>
+<select id="family">${options}</select>
+<a href="javascript: viewDoc('${f.rcpNo}', '${DCM_NO}', null, null, null, 'dart3.xsd')">${f.title}</a>
+</body></html>`;
+}
+
+fs.rmSync(DIR, { recursive: true, force: true });
+fs.mkdirSync(DIR, { recursive: true });
+
+add("GET", CAL_URL, null, calendarHtml(2026, 3)); // bootstrap (달마다 같은 요청 → 첫 기록으로 재생)
+for (const m of [2, 3, 4]) {
+  const form = new URLSearchParams({ selectYear: "2026", selectMonth: String(m).padStart(2, "0"), search: "검색" });
+  add("POST", CAL_URL, form.toString(), calendarHtml(2026, m));
+}
+for (const o of OFFERINGS) {
+  for (const f of o.filings) {
+    if (!f.text) continue;
+    add("GET", `${DSAF_URL}?rcpNo=${f.rcpNo}`, null, dsafHtml(o, f));
+    add("GET", `${VIEWER_URL}?rcpNo=${f.rcpNo}&dcmNo=${DCM_NO}&eleId=0&offset=0&length=0&dtd=dart3.xsd`, null, `<html><body>${f.text}</body></html>`);
+  }
+}
+
+fs.writeFileSync(path.join(DIR, "index.json"), JSON.stringify({
+  recorded_at: "2026-03-01T00:00:00.000Z",
+  range: { start: "2026-03-01", end: "2026-03-31", margin_days: 10 },
+  entries,
+}, null, 2));
+console.log(`[OK] ${Object.keys(entries).length} responses -> ${DIR}`);
@@ -0,0 +1,42 @@
+/**
+ * 녹화본 재생 → golden ipo.json 과 items 비교 (네트워크 없음)
+ *  - test/fixtures/2026-03 : 2026년 3월 범위의 캘린더/원문 응답 (make-2026-03.js 로 만듦)
+ *  - 파서/분류기/추출기를 바꿔서 결과가 달라지면 여기서 걸림 → 의도한 변경이면 golden 을 다시 씀
+ *    (다시 쓰는 방법은 make-2026-03.js 머리말)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const FIXTURE = path.join(ROOT, "test/fixtures/2026-03");
+
+function runCli(args) {
+  return spawnSync(process.execPath, [path.join(ROOT, "scripts/update-ipo.js"), ...args], { cwd: ROOT, encoding: "utf-8", timeout: 120000 });
+}
+
+test("replay of 2026-03 matches the golden ipo.json", () => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "ipo-golden-"));
+  try {
+    const r = runCli([
+      "run", "--replay", FIXTURE, "--mode", "all",
+      "--out", path.join(tmp, "ipo.json"),
+      "--changes", path.join(tmp, "changes.json"),
+      "--status", path.join(tmp, "status.json"),
+      "--golden", path.join(FIXTURE, "ipo.json"),
+    ]);
+    assert.equal(r.status, 0, `${r.stdout}\n${r.stderr}`);
+    assert.match(r.stdout, /\[GOLDEN\] items match/);
+
+    // golden 이 비어 있으면 비교가 의미 없음
+    const golden = JSON.parse(fs.readFileSync(path.join(FIXTURE, "ipo.json"), "utf-8"));
+    assert.deepEqual(golden.items.map((it) => it.corp_name), ["전월바이오", "에스에너지", "진양홀딩스", "하나31호스팩", "넥스트팜"]);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
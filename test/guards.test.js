@@ -0,0 +1,70 @@
+/**
+ * guards.js — 실패한 수집이 멀쩡한 ipo.json 을 덮어쓰지 않게 하는 점검
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkRunGuards } from "../scripts/lib/guards.js";
+
+const RANGE = { start: "2026-03-01", end: "2026-04-30" };
+const item = (i, sbd_end = "2026-03-20") => ({ corp_name: `회사${i}`, market: "KOSDAQ", sbd_start: sbd_end, sbd_end, offer_type: "ipo" });
+const items = (n, sbd_end) => Array.from({ length: n }, (_, i) => item(i, sbd_end));
+
+function payloadOf(n, extra = {}) {
+  return { mode: "ipo", offer_types: ["ipo"], range: RANGE, count: n, items: items(n), failed_months: [], ...extra };
+}
+const STATS = { months: [{ y: 2026, m: 3 }, { y: 2026, m: 4 }], classify: { attempted: 3, classified: 3 } };
+const codes = (payload, previous, stats = STATS, opts) => checkRunGuards(payload, previous, stats, opts).map((g) => g.code);
+
+test("a normal run trips nothing", () => {
+  assert.deepEqual(codes(payloadOf(5), payloadOf(5)), []);
+  assert.deepEqual(codes(payloadOf(5), null), []);
+});
+
+test("all_months_failed only when every month failed", () => {
+  assert.deepEqual(codes(payloadOf(0, { failed_months: ["2026-03", "2026-04"] }), null), ["all_months_failed"]);
+  assert.deepEqual(codes(payloadOf(2, { failed_months: ["2026-03"] }), null), []);
+  // OpenDART 만 쓰면 달이 없음
+  assert.deepEqual(codes(payloadOf(0), null, { ...STATS, months: [] }), []);
+});
+
+test("count_drop compares against previous items still in range", () => {
+  assert.deepEqual(codes(payloadOf(4), payloadOf(10)), ["count_drop"]);
+  assert.deepEqual(codes(payloadOf(5), payloadOf(10)), []); // 정확히 50% 는 허용
+  assert.deepEqual(codes(payloadOf(4), payloadOf(10), STATS, { maxDropRatio: 0.7 }), []);
+
+  // 기간이 지나 빠진 직전 항목은 감소로 치지 않음
+  const previous = { ...payloadOf(0), items: [...items(8, "2026-02-27"), ...items(2)] };
+  assert.deepEqual(codes(payloadOf(2), previous), []);
+});
+
+test("count_drop ignores small previous runs and filter changes", () => {
+  assert.deepEqual(codes(payloadOf(0), payloadOf(3)), []); // minPreviousForDrop 4 미만
+  assert.deepEqual(codes(payloadOf(0), payloadOf(3), STATS, { minPreviousForDrop: 2 }), ["count_drop"]);
+  assert.deepEqual(codes(payloadOf(1), { ...payloadOf(10), mode: "all" }), []);
+  assert.deepEqual(codes(payloadOf(1), { ...payloadOf(10), offer_types: ["ipo", "rights"] }), []);
+  // 예전 파일(offer_types 없음)은 mode 만 같으면 비교
+  assert.deepEqual(codes(payloadOf(1), { ...payloadOf(10), offer_types: undefined }), ["count_drop"]);
+});
+
+test("no_classifiable when rcpNos were tried but none classified", () => {
+  assert.deepEqual(codes(payloadOf(0), null, { ...STATS, classify: { attempted: 4, classified: 0 } }), ["no_classifiable"]);
+  assert.deepEqual(codes(payloadOf(1), null, { ...STATS, classify: { attempted: 4, classified: 1 } }), []);
+  assert.deepEqual(codes(payloadOf(0), null, { ...STATS, classify: { attempted: 0, classified: 0 } }), []);
+});
+
+test("unparsed_month when a month had links but none could be read", () => {
+  const monthStatus = (matched, unparsed) => [
+    { month: "2026-03", ok: true, events: matched, anchors_matched: matched, unparsed },
+    { month: "2026-04", ok: true, events: 2, anchors_matched: 2, unparsed: 0 },
+  ];
+  assert.deepEqual(codes(payloadOf(2), null, { ...STATS, month_status: monthStatus(0, 6) }), ["unparsed_month"]);
+  assert.deepEqual(codes(payloadOf(2), null, { ...STATS, month_status: monthStatus(5, 1) }), []);
+  assert.deepEqual(codes(payloadOf(2), null, { ...STATS, month_status: monthStatus(0, 0) }), []); // 공모 없는 달
+});
+
+test("several guards can trip together", () => {
+  const payload = payloadOf(0, { failed_months: ["2026-03", "2026-04"] });
+  assert.deepEqual(codes(payload, payloadOf(10), { ...STATS, classify: { attempted: 2, classified: 0 } }),
+    ["all_months_failed", "count_drop", "no_classifiable"]);
+});
@@ -0,0 +1,82 @@
+/**
+ * listed-filter.js — KIND 상장법인 목록 파싱 / 회사명 정규화 / 상장회사 맞추기
+ *  - 영문명 열이 있으면 영문명으로도 맞추고, 음차·영문이 섞인 이름은 못 맞추는 한계까지 확인
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import iconv from "iconv-lite";
+import { normalizeCorpName, parseKindListHTML, loadListedIndex, matchListed, excludeListed } from "../scripts/lib/listed-filter.js";
+
+test("normalizeCorpName drops legal forms, punctuation and case", () => {
+  const same = [
+    ["(주)에스에너지", "에스에너지"],
+    ["㈜에스에너지", "에스에너지"],
+    ["에스에너지 주식회사", "에스에너지"],
+    ["에스 에너지(유)", "에스에너지"],
+    ["NAVER Corp.", "naver"],
+    ["Samsung Electronics Co., Ltd.", "samsungelectronics"],
+    ["ＬＧ전자", "lg전자"],
+  ];
+  for (const [raw, want] of same) assert.equal(normalizeCorpName(raw), want, raw);
+});
+
+const KIND_HEADER = "<tr><td>회사명</td><td>시장구분</td><td>종목코드</td><td>업종</td><td>상장일</td><td>영문 회사명</td></tr>";
+const row = (name, market, code, listed, en = "") => `<tr><td>${name}</td><td>${market}</td><td>${code}</td><td>기타</td><td>${listed}</td><td>${en}</td></tr>`;
+const LISTED = [
+  row("네이버", "유가증권", "035420", "2002-10-29", "NAVER Corp."),
+  row("SK하이닉스", "유가증권", "000660", "1996-12-26", "SK hynix Inc."),
+  row("진양홀딩스", "유가증권", "100250", "2008-07-01", "JINYANG HOLDINGS"),
+  row("코넥스바이오", "코넥스", "299999", "2019-01-01", ""),
+];
+// MIN_LISTED 를 넘기는 채움 행
+const FILLER = Array.from({ length: 500 }, (_, i) => row(`채움${i}`, "코스닥", String(100000 + i), "2020-01-01"));
+
+test("parseKindListHTML finds columns by header, including the English name", () => {
+  const entries = parseKindListHTML(`<table>${KIND_HEADER}${LISTED.join("")}</table>`);
+  assert.deepEqual(entries[0], { name: "네이버", name_en: "NAVER Corp.", stock_code: "035420", market: "유가증권", listed_at: "2002-10-29" });
+  assert.equal("name_en" in entries[3], false);
+
+  // 영문명 열 없는 예전 목록, 열 순서가 다른 목록
+  const plain = parseKindListHTML("<table><tr><td>종목코드</td><td>회사명</td></tr><tr><td>5930</td><td>삼성전자</td></tr></table>");
+  assert.deepEqual(plain, [{ name: "삼성전자", stock_code: "005930", market: "", listed_at: "" }]);
+});
+
+async function indexOf(rows) {
+  const html = `<table>${KIND_HEADER}${[...rows, ...FILLER].join("")}</table>`;
+  const http = { fetch: async () => new Response(iconv.encode(html, "euc-kr"), { status: 200 }) };
+  const { index, info } = await loadListedIndex(http, { disabled: true });
+  assert.equal(info.source, "download");
+  return index;
+}
+
+test("matchListed tries stock_code, corp_code, Korean name, then English name", async () => {
+  const index = await indexOf(LISTED);
+  const by = (it) => { const m = matchListed(index, it); return m && [m.by, m.listed.name]; };
+
+  assert.deepEqual(by({ corp_name: "아무개", stock_code: "35420" }), ["stock_code", "네이버"]);
+  assert.deepEqual(by({ corp_name: "(주)진양홀딩스" }), ["name", "진양홀딩스"]);
+  assert.deepEqual(by({ corp_name: "NAVER" }), ["name_en", "네이버"]);
+  assert.deepEqual(by({ corp_name: "Jinyang Holdings Co., Ltd." }), ["name_en", "진양홀딩스"]);
+  assert.equal(by({ corp_name: "에스에너지" }), null);
+});
+
+test("limitation: transliterated names do not match without a code", async () => {
+  const index = await indexOf(LISTED);
+  assert.equal(matchListed(index, { corp_name: "에스케이하이닉스" }), null);
+  assert.equal(matchListed(index, { corp_name: "에스케이하이닉스", stock_code: "000660" }).by, "stock_code");
+});
+
+test("without an English column only Korean names match", async () => {
+  const index = await indexOf(LISTED.map((r) => r.replace(/<td>[^<]*<\/td><\/tr>$/, "<td></td></tr>")));
+  assert.equal(matchListed(index, { corp_name: "NAVER" }), null);
+  assert.equal(matchListed(index, { corp_name: "네이버" }).by, "name");
+});
+
+test("excludeListed keeps KONEX-listed companies and unmatched items", async () => {
+  const index = await indexOf(LISTED);
+  const { items, excluded } = excludeListed([{ corp_name: "NAVER" }, { corp_name: "코넥스바이오" }, { corp_name: "에스에너지" }], index);
+  assert.deepEqual(items.map((it) => it.corp_name), ["코넥스바이오", "에스에너지"]);
+  assert.deepEqual(excluded, [{ corp_name: "NAVER", matched_by: "name_en", listed_name: "네이버", stock_code: "035420" }]);
+  assert.deepEqual(excludeListed([{ corp_name: "NAVER" }], null), { items: [{ corp_name: "NAVER" }], excluded: [] });
+});
@@ -0,0 +1,50 @@
+/**
+ * offering-schedule.js — 증권신고서 일정 표에서 날짜 뽑기
+ *  - 날짜 표기(년월일 / 점 / 하이픈), 기간 끝 연·월 생략, 미확정("중"), 라벨과의 거리
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseOfferingSchedule } from "../scripts/lib/offering-schedule.js";
+
+const NONE = { demand_forecast: null, subscription: null, allocation_notice: null, refund: null, payment: null, listing: null };
+
+const CASES = [
+  {
+    name: "공모 일정 표 (IPO)",
+    text: "3. 공모일정 등에 관한 사항 수요예측일 2026년 02월 24일 ~ 2026년 02월 25일 청약기일 2026.03.09 ~ 03.10 " +
+      "배정공고일 2026년 03월 12일 환불일 2026-03-12 납입기일 2026년 03월 12일 상장예정일 2026년 03월 중",
+    want: {
+      demand_forecast: { start: "2026-02-24", end: "2026-02-25" },
+      subscription: { start: "2026-03-09", end: "2026-03-10" },
+      allocation_notice: "2026-03-12", refund: "2026-03-12", payment: "2026-03-12", listing: null,
+    },
+  },
+  {
+    name: "기간 끝에 일만 / 상장 예정일 점 표기",
+    text: "청약일 : 2026년 03월 09일 ~ 10일 상장 예정일 : 2026.03.20",
+    want: { ...NONE, subscription: { start: "2026-03-09", end: "2026-03-10" }, listing: "2026-03-20" },
+  },
+  {
+    name: "연을 넘는 기간",
+    text: "청약기간 2025년 12월 30일 ~ 2026년 01월 02일 매매개시 예정일 2026년 01월 12일",
+    want: { ...NONE, subscription: { start: "2025-12-30", end: "2026-01-02" }, listing: "2026-01-12" },
+  },
+  {
+    name: "끝이 시작보다 앞서면 하루짜리 / 없는 달은 null",
+    text: "청약기일 2026년 03월 10일 ~ 2026년 03월 09일 환불일 2026년 13월 01일",
+    want: { ...NONE, subscription: { start: "2026-03-10", end: "2026-03-10" } },
+  },
+  {
+    name: "라벨에서 60자 넘게 떨어진 날짜는 안 읽음",
+    text: "환불일 은 청약 마감일로부터 영업일 기준 이틀째 되는 날이며 자세한 사항은 아래를 참고하시기 바랍니다 2026년 03월 12일",
+    want: NONE,
+  },
+  { name: "빈 원문", text: "", want: NONE },
+];
+
+for (const c of CASES) {
+  test(`parseOfferingSchedule: ${c.name}`, () => {
+    assert.deepEqual(parseOfferingSchedule(c.text), c.want);
+  });
+}
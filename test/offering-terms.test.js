@@ -0,0 +1,60 @@
+/**
+ * offering-terms.js — 증권신고서 공모개요 문구에서 공모 조건 뽑기 + 화면용 문자열
+ *  - 원문 조각은 실제 신고서 표가 평문으로 풀린 모양 그대로
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseOfferingTerms, termsToDisplay } from "../scripts/lib/offering-terms.js";
+
+const EMPTY = { price_band: null, final_price: null, lead_managers: [], underwriters: [], shares_offered: null, subscription_unit: null, deposit_rate: null };
+
+const CASES = [
+  {
+    name: "공모개요 표 (밴드 + 확정가 + 주관/인수 + 청약단위/증거금)",
+    text: "제1부 모집 또는 매출에 관한 사항 Ⅰ. 모집 또는 매출에 관한 일반사항 1. 공모개요 공모주식수 : 1,200,000주 " +
+      "(신주모집 1,000,000주, 구주매출 200,000주) 희망공모가액 : 15,000원 ~ 17,000원 확정공모가액 : 16,000원 " +
+      "대표주관회사 한국투자증권㈜ 공동주관회사 엔에이치투자증권 주식회사 인수회사 KB증권 (주) 최소청약단위 : 10주 이상 청약증거금률 : 50%",
+    want: {
+      price_band: { low: 15000, high: 17000 }, final_price: 16000,
+      lead_managers: ["한국투자증권"], underwriters: ["엔에이치투자증권"],
+      shares_offered: 1200000, subscription_unit: 10, deposit_rate: 50,
+    },
+  },
+  {
+    name: "공동 대표주관 + 인수단, 밴드 앞쪽 '원' 생략, 모집(매출)주식수",
+    text: "모집(매출)주식수 4,000,000 주 공모희망가액 2,000 ~ 2,500원 대표주관회사 : 미래에셋증권 주식회사, 삼성증권㈜ " +
+      "인수단 : 신한투자증권, 키움증권, 미래에셋증권 최소 청약단위 20주 단위 청약증거금 100%",
+    want: {
+      ...EMPTY, price_band: { low: 2000, high: 2500 },
+      lead_managers: ["미래에셋증권", "삼성증권"], underwriters: ["신한투자증권", "키움증권"],
+      shares_offered: 4000000, subscription_unit: 20, deposit_rate: 100,
+    },
+  },
+  {
+    name: "뒤집힌 밴드 / 멀리 떨어진 확정가 / 100% 넘는 증거금률은 버림",
+    text: "희망공모가액 밴드는 17,000 ~ 15,000원 입니다 청약증거금률 150% 확정공모가액은 기관투자자 수요예측 결과를 반영하여 " +
+      "대표주관회사와 협의하여 최종 결정할 예정이며 16,000원",
+    want: EMPTY,
+  },
+  {
+    name: "같은 라벨이 여러 번이면 값이 붙은 첫 출현",
+    text: "공모주식수 산정 근거는 아래와 같습니다 Ⅱ. 증권의 주요 권리내용 …… 공모주식수 : 800,000주",
+    want: { ...EMPTY, shares_offered: 800000 },
+  },
+  { name: "빈 원문", text: "", want: EMPTY },
+];
+
+for (const c of CASES) {
+  test(`parseOfferingTerms: ${c.name}`, () => {
+    assert.deepEqual(parseOfferingTerms(c.text), c.want);
+  });
+}
+
+test("termsToDisplay uses the final price, else the band top", () => {
+  const base = { lead_managers: ["한국투자증권"], underwriters: ["KB증권"], subscription_unit: 10, deposit_rate: 50, price_band: { low: 15000, high: 17000 } };
+  assert.deepEqual(termsToDisplay({ ...base, final_price: 16000 }), { brokers: "한국투자증권, KB증권", equalMin: "80,000원" });
+  assert.deepEqual(termsToDisplay({ ...base, final_price: null }), { brokers: "한국투자증권, KB증권", equalMin: "85,000원 (밴드 상단 기준)" });
+  assert.deepEqual(termsToDisplay({ ...base, deposit_rate: null }), { brokers: "한국투자증권, KB증권", equalMin: "" });
+  assert.deepEqual(termsToDisplay(null), { brokers: "", equalMin: "" });
+});
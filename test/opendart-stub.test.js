@@ -0,0 +1,146 @@
+/**
+ * --source opendart | both 를 로컬 대역 OpenDART 서버로 돌려보기
+ *  - OpenDART(list.json / estkRs.json) 는 이 파일이 띄우는 http 서버가 응답
+ *  - DART 캘린더/원문은 test/fixtures/2026-03 녹화본 재생 (네트워크 없음)
+ *  - 대역 서버는 crtfc_key 를 확인하고, 결과 JSON 어디에도 키가 남지 않는지 본다
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createTransport } from "../scripts/lib/transport.js";
+import { createHttpClient } from "../scripts/lib/http-client.js";
+import { openClassifyCache } from "../scripts/lib/classify-cache.js";
+import { FILING_CACHE_VERSION } from "../scripts/lib/filings.js";
+import { runPipeline } from "../scripts/lib/pipeline.js";
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures/2026-03");
+const API_KEY = "TESTKEY0123456789";
+
+// corp_code → 신고서 (rcept_no 순) + 증권신고서 주요정보 일반사항의 청약기일
+const CORPS = {
+  "00000002": { corp_name: "에스에너지", corp_cls: "K", filings: ["20260201000002", "20260303000012"], sbd: "2026년 03월 09일 ~ 2026년 03월 10일" },
+  "00000003": { corp_name: "진양홀딩스", corp_cls: "Y", filings: ["20260201000003"], sbd: "2026년 03월 17일 ~ 2026년 03월 18일" }, // 캘린더는 16~17일
+  "00000004": { corp_name: "오픈디에이", corp_cls: "K", filings: ["20260205000004"], sbd: "2026.03.19 ~ 2026.03.20" }, // 캘린더에 없음
+  "00000006": { corp_name: "넥스트팜", corp_cls: "N", filings: ["20260216000006"], sbd: "2026년 03월 31일 ~ 2026년 04월 01일" },
+  "00000007": { corp_name: "사월로보틱스", corp_cls: "K", filings: ["20260301000007"], sbd: "2026년 04월 13일 ~ 2026년 04월 14일" }, // 범위 밖
+  "00000009": { corp_name: "응답오류", corp_cls: "E", filings: ["20260220000009"], sbd: null }, // estkRs 가 500
+};
+
+let server;
+let baseUrl;
+let failList = false;
+
+function listJson(q) {
+  if (failList) return [503, {}];
+  const list = Object.entries(CORPS).flatMap(([corp_code, c]) => c.filings
+    .filter((r) => r.slice(0, 8) >= q.get("bgn_de") && r.slice(0, 8) <= q.get("end_de"))
+    .map((rcept_no) => ({ corp_code, corp_name: c.corp_name, corp_cls: c.corp_cls, stock_code: "", rcept_no, report_nm: "증권신고서(지분증권)" })));
+  return [200, list.length ? { status: "000", page_no: 1, total_page: 1, list } : { status: "013", message: "조회된 데이타가 없습니다." }];
+}
+
+function estkRsJson(q) {
+  const c = CORPS[q.get("corp_code")];
+  if (!c) return [200, { status: "013", message: "조회된 데이타가 없습니다." }];
+  if (!c.sbd) return [500, {}];
+  const list = c.filings.map((rcept_no) => ({ rcept_no, corp_cls: c.corp_cls, corp_code: q.get("corp_code"), corp_name: c.corp_name, sbd: c.sbd }));
+  return [200, { status: "000", group: [{ title: "일반사항", list }] }];
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const u = new URL(req.url, "http://localhost");
+    let [status, body] = [404, {}];
+    if (u.searchParams.get("crtfc_key") !== API_KEY) [status, body] = [200, { status: "010", message: "등록되지 않은 인증키입니다." }];
+    else if (u.pathname === "/api/list.json") [status, body] = listJson(u.searchParams);
+    else if (u.pathname === "/api/estkRs.json") [status, body] = estkRsJson(u.searchParams);
+    res.writeHead(status, { "content-type": "application/json; charset=utf-8" });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// 대역 서버로 가는 요청만 실제로 보내고 나머지(DART)는 녹화본 재생
+function stubAwareHttp() {
+  const replay = createTransport({ mode: "replay", dir: FIXTURE });
+  const transport = { ...replay, fetch: (url, init) => (url.startsWith(baseUrl) ? fetch(url, init) : replay.fetch(url, init)) };
+  return createHttpClient(transport, { retries: 0, minIntervalMs: 0 });
+}
+
+function run(dataSource) {
+  return runPipeline({
+    http: stubAwareHttp(),
+    classifyCache: openClassifyCache({ disabled: true, classifierVersion: FILING_CACHE_VERSION }),
+    dataSource,
+    opendart: { apiKey: API_KEY, baseUrl },
+    start: "2026-03-01",
+    end: "2026-03-31",
+    mode: "all",
+  });
+}
+
+const names = (list) => list.map((x) => x.corp_name).sort();
+
+test("--source opendart builds items from list.json + estkRs.json", async () => {
+  failList = false;
+  const { payload } = await run("opendart");
+
+  assert.equal(payload.data_source, "opendart");
+  assert.equal(payload.calendar_source, null);
+  assert.deepEqual(names(payload.items), ["넥스트팜", "에스에너지", "오픈디에이", "진양홀딩스"]);
+
+  const s = payload.items.find((it) => it.corp_name === "에스에너지");
+  assert.equal(s.market, "KOSDAQ");
+  assert.equal(s.corp_code, "00000002");
+  assert.equal(s.rcpNo, "20260303000012"); // 정정신고서 기준
+  assert.deepEqual([s.sbd_start, s.sbd_end], ["2026-03-09", "2026-03-10"]);
+  assert.equal(payload.items.find((it) => it.corp_name === "진양홀딩스").offer_type, "rights");
+  assert.equal(payload.items.find((it) => it.corp_name === "넥스트팜").market, "KONEX");
+
+  // estkRs 500 은 그 회사만 빠지고 에러로 남음 — 키는 가려진 채로
+  assert.deepEqual(payload._opendart_debug.errors.map((e) => e.corp_name), ["응답오류"]);
+  assert.match(payload._opendart_debug.errors[0].error, /crtfc_key=REDACTED/);
+  assert.ok(!JSON.stringify(payload).includes(API_KEY));
+});
+
+test("--source both merges both sources and reports the cross-check", async () => {
+  failList = false;
+  const { payload, stats } = await run("both");
+
+  assert.deepEqual(names(payload.items), ["넥스트팜", "전월바이오", "에스에너지", "오픈디에이", "진양홀딩스", "하나31호스팩"].sort());
+  const x = payload.cross_check;
+  assert.equal(x.matched, 3);
+  assert.deepEqual(names(x.calendar_only), ["전월바이오", "하나31호스팩"]);
+  assert.deepEqual(names(x.opendart_only), ["오픈디에이"]);
+  assert.deepEqual(x.date_mismatch.map((d) => [d.corp_name, d.calendar.sbd_start, d.opendart.sbd_start]), [["진양홀딩스", "2026-03-16", "2026-03-17"]]);
+
+  // 날짜가 다르면 캘린더 값, 코드는 OpenDART 에서
+  const j = payload.items.find((it) => it.corp_name === "진양홀딩스");
+  assert.deepEqual([j.sbd_start, j.sbd_end, j.corp_code], ["2026-03-16", "2026-03-17", "00000003"]);
+  assert.deepEqual(payload.items.find((it) => it.corp_name === "오픈디에이").sources, ["opendart"]);
+  assert.equal(stats.stages.find((s) => s.name === "opendart").status, "degraded"); // 응답오류 회사
+});
+
+test("--source both keeps going on calendar data when list.json fails", async () => {
+  failList = true;
+  try {
+    const { payload, stats } = await run("both");
+    const stage = stats.stages.find((s) => s.name === "opendart");
+    assert.equal(stage.status, "degraded");
+    assert.equal(stage.counts.list_errors, 2);
+    assert.equal(payload.cross_check, undefined);
+    assert.deepEqual(names(payload.items), ["넥스트팜", "전월바이오", "에스에너지", "진양홀딩스", "하나31호스팩"].sort());
+    assert.ok(payload.items.every((it) => it.sources?.[0] === "calendar"));
+    assert.ok(!JSON.stringify({ payload, stats }).includes(API_KEY));
+
+    // 캘린더 없이 OpenDART 만 쓰는데 목록을 못 받으면 그대로 실패
+    await assert.rejects(run("opendart"), /list\.json 실패/);
+  } finally {
+    failList = false;
+  }
+});
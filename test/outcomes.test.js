@@ -0,0 +1,68 @@
+/**
+ * outcomes.js 의 원문 파서 — 증권발행실적보고서 청약·배정 표, 네이버 일봉 XML
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseIssuanceReport, parseNaverDaily } from "../scripts/lib/outcomes.js";
+
+// 최초배정 수량·비율 / 청약 건수·수량·금액·비율 / 최종배정 수량·금액·비율
+const ROWS = {
+  employee: "우리사주조합 240,000 20.00 1 240,000 3,840,000,000 100.00 240,000 3,840,000,000 20.00",
+  institution: "기관투자자 660,000 55.00 1,500 396,000,000 6,336,000,000,000 76.74 660,000 10,560,000,000 55.00",
+  retail: "일반청약자 300,000 25.00 52,000 120,000,000 1,920,000,000,000 23.26 300,000 4,800,000,000 25.00",
+  total: "합계 1,200,000 100.00 53,501 516,240,000 8,259,840,000,000 100.00 1,200,000 19,200,000,000 100.00",
+};
+const REPORT_HEAD = "증권발행실적보고서 1. 청약 및 배정에 관한 사항 1주당 발행가액 : 16,000원 구분 최초배정 청약 최종배정";
+
+const CASES = [
+  {
+    name: "표 전체 → 구분별 경쟁률, 경쟁률은 일반청약자 행에서",
+    text: `${REPORT_HEAD} ${ROWS.employee} ${ROWS.institution} ${ROWS.retail} ${ROWS.total}`,
+    want: {
+      offer_price: 16000,
+      competition_ratio: 400,
+      groups: [
+        { group: "employee", initial_shares: 240000, subscribed_shares: 240000, allotted_shares: 240000, competition_ratio: 1, allotment_pct: 100 },
+        { group: "institution", initial_shares: 660000, subscribed_shares: 396000000, allotted_shares: 660000, competition_ratio: 600, allotment_pct: 0.17 },
+        { group: "retail", initial_shares: 300000, subscribed_shares: 120000000, allotted_shares: 300000, competition_ratio: 400, allotment_pct: 0.25 },
+        { group: "total", initial_shares: 1200000, subscribed_shares: 516240000, allotted_shares: 1200000, competition_ratio: 430.2, allotment_pct: 0.23 },
+      ],
+    },
+  },
+  {
+    name: "본문에 적힌 경쟁률이 있으면 그 값",
+    text: `청약경쟁률 : 412.35 : 1 ${ROWS.retail}`,
+    want: { offer_price: null, competition_ratio: 412.35, groups: [{ group: "retail", initial_shares: 300000, subscribed_shares: 120000000, allotted_shares: 300000, competition_ratio: 400, allotment_pct: 0.25 }] },
+  },
+  {
+    name: "일반청약자 행이 없으면 합계 행",
+    text: `공모가액 2,000원 ${ROWS.total}`,
+    want: { offer_price: 2000, competition_ratio: 430.2, groups: [{ group: "total", initial_shares: 1200000, subscribed_shares: 516240000, allotted_shares: 1200000, competition_ratio: 430.2, allotment_pct: 0.23 }] },
+  },
+  {
+    name: "비율 열이 0~100 이 아닌 행은 버림",
+    text: "일반청약자 300,000 250.00 52,000 120,000,000 1,920,000,000,000 23.26 300,000 4,800,000,000 25.00",
+    want: { offer_price: null, competition_ratio: null, groups: [] },
+  },
+  { name: "빈 원문", text: "", want: { offer_price: null, competition_ratio: null, groups: [] } },
+];
+
+for (const c of CASES) {
+  test(`parseIssuanceReport: ${c.name}`, () => {
+    assert.deepEqual(parseIssuanceReport(c.text), c.want);
+  });
+}
+
+test("parseNaverDaily reads items in date order and skips malformed rows", () => {
+  const xml = `<?xml version="1.0" encoding="EUC-KR" ?><protocol><chartdata symbol="123456" name="에스에너지" count="3" timeframe="day">
+<item data="20260323|40000|41500|33000|34000|812345" />
+<item data="20260320|32000|64000|30500|48000|5123456" />
+<item data="2026032|1|1|1|1|1" />
+</chartdata></protocol>`;
+  assert.deepEqual(parseNaverDaily(xml), [
+    { date: "2026-03-20", open: 32000, high: 64000, low: 30500, close: 48000, volume: 5123456 },
+    { date: "2026-03-23", open: 40000, high: 41500, low: 33000, close: 34000, volume: 812345 },
+  ]);
+  assert.deepEqual(parseNaverDaily(""), []);
+});
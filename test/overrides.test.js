@@ -0,0 +1,133 @@
+/**
+ * overrides.js — 수동 보정 파일 검증과 적용
+ *  - 형식이 틀린 항목은 실행 전에 거부 (PATCH_FIELDS 밖 필드, 날짜/시장/유형 값, set·add 모양)
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { validateOverrides, openOverrides } from "../scripts/lib/overrides.js";
+
+const file = (entries, version = 1) => ({ version, entries });
+const errorsOf = (entry) => validateOverrides(file([entry])).errors;
+
+test("valid entries pass", () => {
+  const v = validateOverrides(file([
+    { rcpNo: "20260302000123", set: { sbd_start: "2026-03-12", "terms.final_price": 15000 }, reason: "정정 전 달력" },
+    { corp_name: "에스팀", set: { offer_type: "ipo", market: "KOSDAQ", note: "" }, include: true },
+    { corp_name: "○○리츠", hide: true },
+    { add: { corp_name: "△△", market: "KOSDAQ", sbd_start: "2026-04-01", sbd_end: "2026-04-02" } },
+    { rcpNo: "20260302000124", set: { sbd_end: null } },
+  ]));
+  assert.deepEqual(v, { ok: true, errors: [] });
+});
+
+test("the file itself must be version 1 with an entries array", () => {
+  assert.deepEqual(validateOverrides(null).errors, ["$: 객체여야 함"]);
+  assert.deepEqual(validateOverrides(file([], 2)).errors, ["$.version: 1 이어야 함"]);
+  assert.deepEqual(validateOverrides({ version: 1, entries: {} }).errors, ["$.entries: 배열이어야 함"]);
+});
+
+// [항목, 오류에 들어 있어야 할 말]
+const MALFORMED = [
+  [null, "객체여야 함"],
+  [[], "객체여야 함"],
+  [{ corp_name: "가", set: { price: 1 } }, ".set.price: 고칠 수 없는 필드"],
+  [{ corp_name: "가", set: { "outcome.close": 1 } }, ".set.outcome.close: 고칠 수 없는 필드"],
+  [{ corp_name: "가", set: { sbd_start: "2026/03/12" } }, ".set.sbd_start: YYYY-MM-DD 여야 함"],
+  [{ corp_name: "가", set: { market: "NASDAQ" } }, ".set.market: NASDAQ 는 허용값 아님"],
+  [{ corp_name: "가", set: { offer_type: "bond" } }, ".set.offer_type: bond 는 허용값 아님"],
+  [{ corp_name: "가", set: [] }, ".set: 객체여야 함"],
+  [{ corp_name: "가", set: "note" }, ".set: 객체여야 함"],
+  [{ set: { note: "x" } }, "rcpNo 나 corp_name 중 하나만"],
+  [{ rcpNo: "20260302000123", corp_name: "가", hide: true }, "rcpNo 나 corp_name 중 하나만"],
+  [{ rcpNo: "2026030200012", hide: true }, ".rcpNo: 14자리 숫자여야 함"],
+  [{ corp_name: "  ", hide: true }, ".corp_name: 빈 문자열"],
+  [{ corp_name: "가", hide: "yes" }, ".hide: true | false"],
+  [{ corp_name: "가", hide: true, include: true }, "hide 와 include 를 같이 쓸 수 없음"],
+  [{ corp_name: "가" }, "set / hide / include 중 하나는 있어야 함"],
+  [{ corp_name: "가", hide: true, reason: 3 }, ".reason: 문자열이어야 함"],
+  [{ add: { corp_name: "가", sbd_start: "2026-04-01" } }, ".add.sbd_end: 필수 필드 없음"],
+  [{ add: { corp_name: "가", sbd_start: "2026-04-01", sbd_end: "2026-04-02", listing: "x" } }, ".add.listing: 고칠 수 없는 필드"],
+  [{ add: "가" }, ".add: 객체여야 함"],
+  [{ corp_name: "가", add: { corp_name: "가", sbd_start: "2026-04-01", sbd_end: "2026-04-02" } }, "add 는 다른 키"],
+];
+
+for (const [entry, message] of MALFORMED) {
+  test(`rejects ${JSON.stringify(entry)}`, () => {
+    const errors = errorsOf(entry);
+    assert.ok(errors.some((e) => e.startsWith("$.entries[0]") && e.includes(message)), errors.join("\n"));
+  });
+}
+
+// ---------------- 적용 ----------------
+let dir;
+before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), "ipo-overrides-")); });
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function open(entries, legacy) {
+  const f = path.join(dir, `o-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(f, JSON.stringify(file(entries)));
+  let legacyFile = "";
+  if (legacy) {
+    legacyFile = path.join(dir, "meta.json");
+    fs.writeFileSync(legacyFile, JSON.stringify(legacy));
+  }
+  return openOverrides({ file: f, legacyFile });
+}
+
+const ITEM = {
+  corp_name: "에스에너지", market_short: "코", market: "KOSDAQ", sbd_start: "2026-03-09", sbd_end: "2026-03-10",
+  href: "/dsaf001/main.do?rcpNo=20260201000002", rcpNo: "20260303000012", amendments: [{ rcpNo: "20260201000002" }],
+  offer_type: "ipo", terms: { lead_managers: ["한국투자증권"], underwriters: [], final_price: null, price_band: { low: 14000, high: 16000 }, subscription_unit: 10, deposit_rate: 50 },
+  brokers: "한국투자증권", equalMin: "80,000원 (밴드 상단 기준)",
+};
+
+test("a malformed file throws before the run", () => {
+  assert.throws(() => open([{ corp_name: "가", set: { price: 1 } }]), /보정 파일 형식 오류[\s\S]*set\.price/);
+});
+
+test("set by an earlier rcpNo in the amendment chain, nested terms recompute brokers/equalMin", () => {
+  const o = open([{ rcpNo: "20260201000002", set: { "terms.final_price": 15000 }, reason: "확정가 공시 전" }]);
+  const { item, hidden } = o.apply(ITEM);
+  assert.equal(hidden, false);
+  assert.equal(item.terms.final_price, 15000);
+  assert.equal(ITEM.terms.final_price, null); // 원본은 그대로
+  assert.equal(item.equalMin, "75,000원");
+  assert.deepEqual(item.override, { fields: ["terms.final_price"], reason: "확정가 공시 전" });
+  assert.deepEqual(o.unmatched(), []);
+});
+
+test("corp_name keys, market re-derives market_short, hide / include", () => {
+  const o = open([
+    { corp_name: "에스 에너지㈜", set: { market: "KOSPI" }, include: true },
+    { corp_name: "진양홀딩스", hide: true },
+  ]);
+  const { item, include } = o.apply(ITEM);
+  assert.deepEqual([item.market, item.market_short, include], ["KOSPI", "유", true]);
+  assert.equal(o.forcesInclude(ITEM), true);
+  assert.equal(o.apply({ ...ITEM, corp_name: "진양홀딩스", rcpNo: "", href: "", amendments: [] }).hidden, true);
+});
+
+test("later entries win and legacy meta is applied first", () => {
+  const o = open([{ corp_name: "에스에너지", set: { note: "overrides" } }], { 에스에너지: { note: "legacy", brokers: "수동 증권" } });
+  const { item } = o.apply(ITEM);
+  assert.deepEqual([item.note, item.brokers], ["overrides", "수동 증권"]);
+});
+
+test("add only inside the range and only when DART does not have the company", () => {
+  const o = open([
+    { add: { corp_name: "수동추가", market: "KONEX", sbd_start: "2026-03-20", sbd_end: "2026-03-21" }, reason: "DART 누락" },
+    { add: { corp_name: "에스에너지", sbd_start: "2026-03-09", sbd_end: "2026-03-10" } },
+    { add: { corp_name: "다음달", sbd_start: "2026-05-01", sbd_end: "2026-05-02" } },
+    { add: { corp_name: "지난달", sbd_start: "2026-01-05", sbd_end: "2026-01-06" } },
+  ]);
+  const { items, warnings } = o.additions([ITEM], "2026-03-01", "2026-03-31");
+  assert.deepEqual(items.map((it) => [it.corp_name, it.market_short, it.offer_type]), [["수동추가", "넥", "ipo"]]);
+  assert.deepEqual(items[0].override, { fields: ["corp_name", "market", "sbd_start", "sbd_end"], added: true, reason: "DART 누락" });
+  assert.deepEqual(warnings.map((w) => w.corp_name), ["에스에너지"]);
+  // 아직 안 온 add 는 기다리는 중, 지나간 add 만 unmatched
+  assert.deepEqual(o.unmatched().map((u) => u.key), ["add:지난달"]);
+});